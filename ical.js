@@ -0,0 +1,219 @@
+// ================================================
+// Beyond the Keys - iCalendar (.ics) Writer/Reader
+// ================================================
+// Shared by the app (loaded before script.js as the global `ICalendar`) and
+// by server.js (`require('./ical')`), so the downloaded .ics file and the
+// /api/calendar.ics feed come from the same code.
+//
+// Deadlines are written as all-day VEVENTs (RFC 5545). The reader unfolds
+// lines and understands DATE and DATE-TIME starts, RRULE and RECURRENCE-ID;
+// other components are ignored.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ICalendar = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Imported date-times are placed on the calendar day they fall on here
+  const TIME_ZONE = 'Asia/Jerusalem';
+
+  class ICalendar {
+    static get deadlinesName() {
+      return 'BTK – תאריכי יעד';
+    }
+
+    static escape(text) {
+      return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    static unescape(text) {
+      return text.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space
+    static fold(line) {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = '';
+      for (const ch of line) {
+        if (encoder.encode(current + ch).length > (parts.length === 0 ? 75 : 74)) {
+          parts.push(current);
+          current = '';
+        }
+        current += ch;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    }
+
+    static stamp(date = new Date()) {
+      return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    }
+
+    static nextDay(day) {
+      const date = new Date(`${day}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + 1);
+      return date.toISOString().slice(0, 10);
+    }
+
+    // One event per task that has a YYYY-MM-DD deadline
+    static taskEvents(tasks) {
+      return tasks.filter(task => /^\d{4}-\d{2}-\d{2}$/.test(task.deadline || '')).map(task => ({
+        uid: task.icsUid || `${task.id}@btk`,
+        date: task.deadline,
+        summary: task.title,
+        description: [task.description, task.project].filter(v => v).join('\n'),
+        categories: task.category
+      }));
+    }
+
+    // events: [{ uid, date: 'YYYY-MM-DD', summary, description, categories }]
+    static build(events, name) {
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Beyond the Keys//BTK Management System//HE',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${ICalendar.escape(name)}`
+      ];
+      const stamp = ICalendar.stamp();
+
+      events.forEach(event => {
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${event.uid}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+          `DTEND;VALUE=DATE:${ICalendar.nextDay(event.date).replace(/-/g, '')}`,
+          `SUMMARY:${ICalendar.escape(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${ICalendar.escape(event.description)}`);
+        if (event.categories) lines.push(`CATEGORIES:${ICalendar.escape(event.categories)}`);
+        lines.push('END:VEVENT');
+      });
+
+      lines.push('END:VCALENDAR');
+      return lines.map(line => ICalendar.fold(line)).join('\r\n') + '\r\n';
+    }
+
+    // Wall-clock fields of `time` (ms) in `timeZone`, as if they were UTC
+    static wallClock(time, timeZone) {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = Number(value); });
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    // Calendar day of a DTSTART value. DATE values and floating date-times
+    // keep their own date; UTC ("Z") and TZID date-times are moved to
+    // Israel time first. An unknown TZID keeps the written date.
+    static startDate(value, tzid) {
+      const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?/);
+      if (!match) return null;
+      const [, year, month, day, hour, minute, second, utc] = match;
+      const written = `${year}-${month}-${day}`;
+      if (hour === undefined || (!utc && !tzid)) return written;
+
+      try {
+        let time = Date.UTC(year, month - 1, day, hour, minute, second);
+        if (!utc) {
+          // The instant whose wall clock in `tzid` reads the written time;
+          // the second pass settles times next to a DST change
+          const local = time;
+          time -= ICalendar.wallClock(time, tzid) - local;
+          time -= ICalendar.wallClock(time, tzid) - local;
+        }
+        return new Date(ICalendar.wallClock(time, TIME_ZONE)).toISOString().slice(0, 10);
+      } catch (error) {
+        return written;
+      }
+    }
+
+    // RRULE → { frequency, until?, count? } in the app's terms (daily,
+    // weekly, monthly, quarterly, counted from the event's `start` day), or
+    // null for rules the app cannot repeat the same way
+    static recurrence(rrule, start) {
+      const parts = {};
+      rrule.split(';').forEach(part => {
+        const [name, value = ''] = part.split('=');
+        parts[name.toUpperCase()] = value.toUpperCase();
+      });
+      const interval = Number(parts.INTERVAL || 1);
+      const frequency = {
+        DAILY: interval === 1 && 'daily',
+        WEEKLY: interval === 1 && 'weekly',
+        MONTHLY: (interval === 1 && 'monthly') || (interval === 3 && 'quarterly')
+      }[parts.FREQ];
+      if (!frequency || (parts.COUNT && parts.UNTIL)) return null;
+
+      // BYDAY / BYMONTHDAY are fine when they only repeat the start's own day
+      const [year, month, day] = start.split('-').map(Number);
+      const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+      const extra = Object.keys(parts).filter(name => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(name));
+      const sameDay = extra.every(name => (name === 'BYDAY' && frequency === 'weekly' && parts.BYDAY === weekday)
+        || (name === 'BYMONTHDAY' && ['monthly', 'quarterly'].includes(frequency) && Number(parts.BYMONTHDAY) === day));
+      if (!sameDay) return null;
+
+      const rule = { frequency };
+      if (parts.COUNT) {
+        if (!(Number(parts.COUNT) >= 1)) return null;
+        rule.count = Number(parts.COUNT);
+      }
+      if (parts.UNTIL) {
+        rule.until = ICalendar.startDate(parts.UNTIL);
+        if (!rule.until) return null;
+      }
+      return rule;
+    }
+
+    // Returns [{ uid, date, summary, description, categories, rrule?, recurrenceId? }]
+    static parse(text) {
+      const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+      const events = [];
+      let event = null;
+
+      lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+          event = {};
+          return;
+        }
+        if (line === 'END:VEVENT') {
+          if (event && event.date) events.push(event);
+          event = null;
+          return;
+        }
+        if (!event) return;
+
+        const match = line.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+        if (!match) return;
+        const [, name, params, value] = match;
+        switch (name.toUpperCase()) {
+          case 'UID': event.uid = value; break;
+          case 'SUMMARY': event.summary = ICalendar.unescape(value); break;
+          case 'DESCRIPTION': event.description = ICalendar.unescape(value); break;
+          case 'CATEGORIES': event.categories = ICalendar.unescape(value); break;
+          case 'RRULE': event.rrule = value; break;
+          case 'RECURRENCE-ID': {
+            const tzid = params.match(/;TZID="?([^";]+)"?/i);
+            event.recurrenceId = ICalendar.startDate(value, tzid && tzid[1]) || value;
+            break;
+          }
+          case 'DTSTART': {
+            const tzid = params.match(/;TZID="?([^";]+)"?/i);
+            const date = ICalendar.startDate(value, tzid && tzid[1]);
+            if (date) event.date = date;
+            break;
+          }
+        }
+      });
+
+      return events;
+    }
+  }
+
+  return ICalendar;
+});
@@ -3,6 +3,15 @@
 // Main Application JavaScript
 // ================================================
 
+// ============================================
+// HTML Escaping
+// ============================================
+// The one escaper for text placed in HTML markup or attributes, SVG and the
+// XML parts of exported files.
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
 // ============================================
 // Theme Manager - Light/Dark Mode Toggle
 // ============================================
@@ -46,48 +55,854 @@ class ThemeManager {
 
 const themeManager = new ThemeManager();
 
+// ============================================
+// Data Schemas - Versions, Validation & Migrations
+// ============================================
+class DataValidationError extends Error {
+  constructor(fileName, errors, source = 'data/') {
+    super(`${source}${fileName} אינו תקין: ${errors.join('; ')}`);
+    this.name = 'DataValidationError';
+    this.fileName = fileName;
+    this.errors = errors;
+    this.source = source;
+  }
+}
+
+// A small JSON-Schema subset: type, required, properties, items, enum
+const DATA_SCHEMAS = {
+  'dashboard.json': {
+    version: 3,
+    schema: {
+      type: 'object',
+      required: ['tasks', 'reviews', 'writingProgress', 'knowledgeSummary', 'widgets'],
+      properties: {
+        tasks: { type: 'array' },
+        reviews: { type: 'array' },
+        // { <projectId>: { targetWords } }
+        writingProgress: { type: 'object' },
+        // { <course>: { plannedUnits } }
+        knowledgeSummary: { type: 'object' },
+        // Widget ids in display order
+        widgets: { type: 'array', items: { type: 'string' } },
+        lastUpdated: { type: 'string' }
+      }
+    }
+  },
+  'documents.json': {
+    version: 2,
+    schema: {
+      type: 'object',
+      required: ['documents'],
+      properties: {
+        documents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'content'],
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              content: { type: 'string' },
+              type: { type: 'string' },
+              status: { type: 'string', enum: ['draft', 'review', 'final'] },
+              tags: { type: 'array', items: { type: 'string' } },
+              // Id of a set in editor_styles.json; missing means the default set
+              styleSet: { type: 'string' },
+              createdAt: { type: 'string' },
+              updatedAt: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  'knowledge.json': {
+    version: 2,
+    schema: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'course', 'unitNumber', 'documentType', 'language'],
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              type: { type: 'string' },
+              course: { type: 'string' },
+              unitNumber: { type: 'string' },
+              documentType: { type: 'string' },
+              language: { type: 'string' },
+              tags: { type: 'array', items: { type: 'string' } },
+              content: { type: 'string' },
+              summary: { type: 'string' },
+              highlights: { type: 'number' },
+              notes: { type: 'number' },
+              userNotes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['text'],
+                  properties: { text: { type: 'string' }, createdAt: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  'writing_projects.json': {
+    version: 3,
+    schema: {
+      type: 'object',
+      required: ['projects'],
+      properties: {
+        projects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'parts'],
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              description: { type: 'string' },
+              parts: { type: 'array' },
+              tags: { type: 'array', items: { type: 'string' } },
+              sections: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['id', 'title', 'content'],
+                  properties: {
+                    id: { type: 'string' },
+                    partId: { type: 'string' },
+                    title: { type: 'string' },
+                    content: { type: 'string' },
+                    wordCount: { type: 'number' },
+                    createdAt: { type: 'string' },
+                    updatedAt: { type: 'string' }
+                  }
+                }
+              },
+              wordCount: { type: 'number' },
+              // Project-wide word count, one entry per day (the day's last save)
+              wordHistory: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['at', 'wordCount'],
+                  properties: { at: { type: 'string' }, wordCount: { type: 'number' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  'tasks.json': {
+    version: 3,
+    schema: {
+      type: 'object',
+      required: ['tasks', 'reviews'],
+      properties: {
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'status', 'deadline', 'priority', 'category', 'project'],
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              description: { type: 'string' },
+              status: { type: 'string', enum: ['pending', 'in-progress', 'completed'] },
+              deadline: { type: 'string' },
+              priority: { type: 'string', enum: ['גבוה', 'בינוני', 'נמוך'] },
+              category: { type: 'string' },
+              project: { type: 'string' },
+              tags: { type: 'array', items: { type: 'string' } },
+              createdAt: { type: 'string' },
+              updatedAt: { type: 'string' },
+              completedAt: { type: 'string' },
+              parentId: { type: 'string' },
+              blockedBy: { type: 'array', items: { type: 'string' } },
+              recurrence: {
+                type: 'object',
+                required: ['frequency', 'start'],
+                properties: {
+                  frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'quarterly'] },
+                  start: { type: 'string' },
+                  until: { type: 'string' },
+                  count: { type: 'number' }
+                }
+              },
+              seriesId: { type: 'string' },
+              occurrence: { type: 'number' },
+              skipped: { type: 'boolean' },
+              skippedAt: { type: 'string' },
+              missed: {
+                type: 'object',
+                required: ['from', 'count'],
+                properties: {
+                  from: { type: 'string' },
+                  count: { type: 'number' }
+                }
+              },
+              icsUid: { type: 'string' },
+              statusHistory: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['status', 'at'],
+                  properties: {
+                    status: { type: 'string', enum: ['pending', 'in-progress', 'completed'] },
+                    at: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        reviews: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'type', 'title', 'period', 'periodStart', 'periodEnd', 'stats', 'answers', 'decisions'],
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', enum: ['monthly', 'quarterly'] },
+              title: { type: 'string' },
+              period: { type: 'string' },
+              periodStart: { type: 'string' },
+              periodEnd: { type: 'string' },
+              stats: {
+                type: 'object',
+                required: ['tasksCompleted', 'tasksOverdue', 'knowledgeAdded', 'wordsWritten'],
+                properties: {
+                  tasksCompleted: { type: 'array' },
+                  tasksOverdue: { type: 'array' },
+                  knowledgeAdded: { type: 'array' },
+                  wordsWritten: { type: 'number' },
+                  averageCycleDays: { type: 'number' },
+                  activity: { type: 'object' }
+                }
+              },
+              answers: { type: 'object' },
+              reflections: { type: 'string' },
+              decisions: { type: 'array', items: { type: 'string' } },
+              createdAt: { type: 'string' },
+              updatedAt: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  'editor_styles.json': {
+    version: 3,
+    schema: {
+      type: 'object',
+      required: ['defaultSet', 'sets'],
+      properties: {
+        defaultSet: { type: 'string' },
+        // Named style sets; a document picks one by id in its `styleSet` field
+        sets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name', 'styles'],
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              // { title|heading1|heading2|heading3|quote|normal: { <camelCase CSS property>: value } }
+              styles: { type: 'object' },
+              createdAt: { type: 'string' },
+              updatedAt: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  'tags.json': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['tags'],
+      properties: {
+        // Records list tag names in their own `tags` array; this file only adds a color
+        tags: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name', 'color'],
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              color: { type: 'string' },
+              createdAt: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  'trash.json': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['entries'],
+      properties: {
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'file', 'collection', 'title', 'record', 'deletedAt'],
+            properties: {
+              id: { type: 'string' },
+              file: { type: 'string' },
+              collection: { type: 'string' },
+              title: { type: 'string' },
+              record: { type: 'object' },
+              deletedAt: { type: 'string' },
+              deletedBy: { type: 'string' },
+              // Links other records had to the deleted one, put back on restore
+              links: { type: 'object' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_DASHBOARD_WIDGETS = ['overdue-tasks', 'upcoming-deadlines', 'quarter-progress', 'recent-edits', 'writing-progress', 'knowledge-coverage'];
+
+// Keyed by file, then by the version a step upgrades *from*.
+// Files without a schemaVersion are version 1.
+const DATA_MIGRATIONS = {
+  'dashboard.json': {
+    1: data => ({
+      tasks: [],
+      reviews: [],
+      writingProgress: {},
+      knowledgeSummary: {},
+      ...data
+    }),
+    2: data => ({ ...data, widgets: [...DEFAULT_DASHBOARD_WIDGETS] })
+  },
+  'documents.json': {
+    1: data => ({ ...data, documents: data.documents || [] })
+  },
+  'knowledge.json': {
+    // Module 3 v2: hierarchical metadata
+    1: data => ({
+      ...data,
+      items: (data.items || []).map(item => ({
+        course: '',
+        unitNumber: '',
+        documentType: '',
+        language: 'he',
+        highlights: 0,
+        notes: 0,
+        userNotes: [],
+        ...item
+      }))
+    })
+  },
+  'writing_projects.json': {
+    1: data => ({
+      ...data,
+      projects: (data.projects || []).map(project => ({ parts: [], wordCount: 0, ...project }))
+    }),
+    2: data => ({
+      ...data,
+      projects: (data.projects || []).map(project => (project.wordHistory
+        ? { ...project, wordHistory: WorkspaceStats.dailyWordHistory(project.wordHistory) }
+        : project))
+    })
+  },
+  'tasks.json': {
+    // Planning fields used by the seeded three-year plan
+    1: data => ({
+      ...data,
+      reviews: data.reviews || [],
+      tasks: (data.tasks || []).map(task => ({
+        deadline: '',
+        priority: 'בינוני',
+        category: '',
+        project: '',
+        ...task
+      }))
+    }),
+    // Counters are derived in the metrics view instead of stored
+    2: ({ metrics, ...data }) => data
+  },
+  'editor_styles.json': {
+    1: data => ({ ...data, styles: data.styles || {} }),
+    // The single style map becomes the first named set
+    2: ({ styles, ...data }) => ({
+      defaultSet: 'default',
+      sets: [{ id: 'default', name: 'ברירת מחדל', styles: styles || {} }],
+      ...data
+    })
+  }
+};
+
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && schema.type !== actualType) {
+    return [`${path}: expected ${schema.type}, got ${actualType}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (key in value) errors.push(...validateSchema(propSchema, value[key], `${path}.${key}`));
+    });
+  }
+  if (actualType === 'array' && schema.items) {
+    value.forEach((entry, index) => {
+      errors.push(...validateSchema(schema.items, entry, `${path}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+// ============================================
+// Local Store - localStorage + IndexedDB Persistence
+// ============================================
+class LocalStore {
+  constructor(prefix = 'btk_') {
+    this.prefix = prefix;
+    this.dbName = 'btk-store';
+    this.objectStore = 'payloads';
+    // Payloads above this size go to IndexedDB; localStorage keeps a pointer
+    this.largePayloadChars = 256 * 1024;
+    this.dbPromise = null;
+  }
+
+  openDb() {
+    if (!window.indexedDB) return Promise.resolve(null);
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.objectStore);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[BTK] IndexedDB unavailable, using localStorage only');
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async idbRequest(mode, action) {
+    const db = await this.openDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(this.objectStore, mode).objectStore(this.objectStore));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(key) {
+    const raw = localStorage.getItem(`${this.prefix}${key}`);
+    if (raw === null) return null;
+
+    const value = JSON.parse(raw);
+    if (value && value.$store === 'indexeddb') {
+      const stored = await this.idbRequest('readonly', store => store.get(key));
+      return stored === undefined ? null : stored;
+    }
+    return value;
+  }
+
+  async set(key, value) {
+    const json = JSON.stringify(value);
+
+    if (json.length <= this.largePayloadChars) {
+      try {
+        localStorage.setItem(`${this.prefix}${key}`, json);
+        await this.idbRequest('readwrite', store => store.delete(key));
+        return 'localStorage';
+      } catch (error) {
+        console.warn(`[BTK] localStorage full, moving ${key} to IndexedDB`);
+      }
+    }
+
+    const db = await this.openDb();
+    if (!db) throw new Error(`No room to store ${key}`);
+    await this.idbRequest('readwrite', store => store.put(value, key));
+    localStorage.setItem(`${this.prefix}${key}`, JSON.stringify({ $store: 'indexeddb' }));
+    return 'indexeddb';
+  }
+
+  async remove(key) {
+    localStorage.removeItem(`${this.prefix}${key}`);
+    await this.idbRequest('readwrite', store => store.delete(key));
+  }
+}
+
 // ============================================
 // Data Manager - Git-First Data Management
 // ============================================
+// load() returns the seed file from data/ merged with the locally saved
+// snapshot. Merge rule:
+//   - Plain fields: the saved value wins, seed only fills in missing keys.
+//   - Record arrays (objects with an `id`): saved records win by id; seed
+//     records that were never saved locally are added, unless the snapshot
+//     lists them as removed (deleted by the user).
+// Both sides are upgraded to the current schemaVersion and validated first.
+//
+// When the app is served by the companion server (server.js), data/ itself is
+// the store: load() reads the server's copy and save() sends a record-level
+// patch, so people working against the same server only overwrite the
+// records they changed.
 class DataManager {
   constructor() {
     this.cache = {};
+    this.seeds = {};
+    this.pending = {};
     this.baseUrl = 'data/';
+    this.apiUrl = 'api/';
+    this.remote = false;
+    this.ready = this.detectServer();
+    this.store = new LocalStore();
+    // Each file as last loaded or saved, to tell what a save changed
+    this.baselines = {};
+    this.activity = new ActivityLog(this);
+    this.history = new UndoHistory(this);
+    // Bumped on every save, so derived data (the search index) knows to rebuild
+    this.revision = 0;
+    this.schemas = DATA_SCHEMAS;
+    this.migrations = {};
+    Object.entries(DATA_MIGRATIONS).forEach(([fileName, steps]) => {
+      Object.entries(steps).forEach(([fromVersion, migrate]) => {
+        this.registerMigration(fileName, Number(fromVersion), migrate);
+      });
+    });
+  }
+
+  registerMigration(fileName, fromVersion, migrate) {
+    if (!this.migrations[fileName]) this.migrations[fileName] = {};
+    this.migrations[fileName][fromVersion] = migrate;
+  }
+
+  getSchemaVersion(fileName) {
+    return this.schemas[fileName]?.version || 1;
+  }
+
+  // Runs each registered step from the payload's schemaVersion up to the current one
+  migrate(fileName, data, source) {
+    const target = this.getSchemaVersion(fileName);
+    let version = data.schemaVersion || 1;
+
+    if (version > target) {
+      throw new DataValidationError(fileName, [`schemaVersion ${version} is newer than supported (${target})`], source);
+    }
+
+    let migrated = data;
+    while (version < target) {
+      const step = this.migrations[fileName]?.[version];
+      if (!step) {
+        throw new DataValidationError(fileName, [`no migration from schemaVersion ${version}`], source);
+      }
+      migrated = step(migrated);
+      version += 1;
+      migrated.schemaVersion = version;
+    }
+    return migrated;
+  }
+
+  validate(fileName, data, source = this.baseUrl) {
+    const entry = this.schemas[fileName];
+    if (!entry) return;
+    const errors = validateSchema(entry.schema, data);
+    if (errors.length > 0) {
+      throw new DataValidationError(fileName, errors, source);
+    }
+  }
+
+  upgrade(fileName, data, source) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new DataValidationError(fileName, ['$: expected object'], source);
+    }
+    const migrated = this.migrate(fileName, data, source);
+    this.validate(fileName, migrated, source);
+    return migrated;
+  }
+
+  async detectServer() {
+    try {
+      const response = await fetch(`${this.apiUrl}health`, { cache: 'no-store' });
+      this.remote = response.ok && (await response.json()).app === 'btk';
+    } catch (error) {
+      this.remote = false;
+    }
+    if (this.remote) console.log('[BTK] Companion server detected, saving to data/');
+    return this.remote;
+  }
+
+  get dataFiles() {
+    return Object.keys(this.schemas);
   }
 
   async load(fileName) {
     if (this.cache[fileName]) {
       return this.cache[fileName];
     }
+    if (!this.pending[fileName]) {
+      this.pending[fileName] = this.hydrate(fileName).finally(() => {
+        delete this.pending[fileName];
+      });
+    }
+    return this.pending[fileName];
+  }
+
+  async hydrate(fileName) {
+    await this.ready;
+    if (this.remote) {
+      const data = await this.loadRemote(fileName);
+      this.seeds[fileName] = data;
+      this.cache[fileName] = this.clone(data);
+      this.baselines[fileName] = this.clone(data);
+      return this.cache[fileName];
+    }
+
+    const seed = await this.loadSeed(fileName);
+    this.seeds[fileName] = seed;
+
+    let snapshot = null;
+    try {
+      snapshot = await this.store.get(fileName);
+    } catch (error) {
+      console.error(`Error reading saved ${fileName}:`, error);
+    }
+
+    let data = this.clone(seed);
+    if (snapshot) {
+      const saved = this.readSnapshot(snapshot);
+      saved.data = this.upgrade(fileName, saved.data, 'localStorage:');
+      data = this.mergeWithSeed(seed, saved);
+    }
+    this.cache[fileName] = data;
+    this.baselines[fileName] = this.clone(data);
+    return data;
+  }
 
+  // A missing file falls back to defaults; a malformed one throws DataValidationError
+  async loadSeed(fileName) {
+    let text;
     try {
       const response = await fetch(`${this.baseUrl}${fileName}`);
-      if (!response.ok) throw new Error('Failed to load data');
-      const data = await response.json();
-      this.cache[fileName] = data;
-      return data;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      text = await response.text();
     } catch (error) {
       console.error(`Error loading ${fileName}:`, error);
-      return this.getDefaultData(fileName);
+      return this.upgrade(fileName, this.getDefaultData(fileName), this.baseUrl);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new DataValidationError(fileName, [`invalid JSON (${error.message})`], this.baseUrl);
+    }
+    return this.upgrade(fileName, data, this.baseUrl);
+  }
+
+  async loadRemote(fileName) {
+    const response = await fetch(`${this.apiUrl}data/${fileName}`, { cache: 'no-store' });
+    if (response.status === 404) {
+      return this.upgrade(fileName, this.getDefaultData(fileName), 'server:');
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new DataValidationError(fileName, [body.error || `HTTP ${response.status}`], 'server:');
+    }
+    return this.upgrade(fileName, body, 'server:');
+  }
+
+  // Record arrays become upserts/removals by id; other changed keys are sent whole
+  createPatch(base, data) {
+    const patch = { fields: {}, upsert: {}, remove: {} };
+
+    Object.keys(data).forEach(key => {
+      if (this.isRecordList(data[key]) && (base[key] === undefined || this.isRecordList(base[key]))) {
+        const before = new Map((base[key] || []).map(record => [record.id, JSON.stringify(record)]));
+        const ids = new Set(data[key].map(record => record.id));
+        const changed = data[key].filter(record => before.get(record.id) !== JSON.stringify(record));
+        const removed = [...before.keys()].filter(id => !ids.has(id));
+        if (changed.length > 0) patch.upsert[key] = changed;
+        if (removed.length > 0) patch.remove[key] = removed;
+      } else if (JSON.stringify(base[key]) !== JSON.stringify(data[key])) {
+        patch.fields[key] = data[key];
+      }
+    });
+
+    return patch;
+  }
+
+  async saveRemote(fileName, data) {
+    const response = await fetch(`${this.apiUrl}data/${fileName}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.createPatch(this.seeds[fileName] || {}, data))
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`[BTK] Server rejected ${fileName}: ${body.error || response.status}`);
+    }
+
+    // Adopt records other people saved meanwhile, keeping the object modules hold
+    const merged = this.upgrade(fileName, body, 'server:');
+    this.seeds[fileName] = this.clone(merged);
+    Object.keys(data).forEach(key => delete data[key]);
+    Object.assign(data, merged);
+  }
+
+  // Snapshots saved before the merge rule existed are the bare data object;
+  // those were always a full copy, so every missing seed record counts as removed.
+  readSnapshot(snapshot) {
+    if (snapshot.savedAt && snapshot.data) {
+      return { data: snapshot.data, removed: snapshot.removed || {} };
     }
+    return { data: snapshot, removed: null };
+  }
+
+  mergeWithSeed(seed, { data, removed }) {
+    const merged = this.clone(data);
+
+    Object.keys(seed).forEach(key => {
+      if (!(key in merged)) {
+        merged[key] = this.clone(seed[key]);
+        return;
+      }
+      if (!this.isRecordList(seed[key]) || !Array.isArray(merged[key])) return;
+      if (removed === null) return;
+
+      const savedIds = new Set(merged[key].map(record => record.id));
+      const removedIds = new Set(removed[key] || []);
+      seed[key].forEach(record => {
+        if (!savedIds.has(record.id) && !removedIds.has(record.id)) {
+          merged[key].push(this.clone(record));
+        }
+      });
+    });
+
+    return merged;
+  }
+
+  isRecordList(value) {
+    return Array.isArray(value) && value.every(record => record && typeof record === 'object' && 'id' in record);
   }
 
-  async save(fileName, data) {
+  // Seed record ids that are no longer in `data`, per record array
+  findRemovedSeedRecords(fileName, data) {
+    const seed = this.seeds[fileName] || {};
+    const removed = {};
+
+    Object.keys(seed).forEach(key => {
+      if (!this.isRecordList(seed[key]) || !Array.isArray(data[key])) return;
+      const ids = new Set(data[key].map(record => record.id));
+      const missing = seed[key].map(record => record.id).filter(id => !ids.has(id));
+      if (missing.length > 0) removed[key] = missing;
+    });
+
+    return removed;
+  }
+
+  // Resolves to false, after telling the user why, when the data is invalid
+  // or the write fails; undo history, the activity log and the baseline only
+  // move once the write has succeeded. options.step collects the undo change
+  // into a group (see UndoHistory.group); options.history false skips it.
+  async save(fileName, data, options = {}) {
+    data.schemaVersion = this.getSchemaVersion(fileName);
+    const baseline = this.baselines[fileName] || {};
+    const changes = this.activity.diff(baseline, data, fileName);
+    const saved = this.clone(data);
+    let backend = 'server';
+
+    try {
+      this.validate(fileName, data, 'save:');
+      await this.ready;
+      if (this.remote) {
+        await this.saveRemote(fileName, data);
+      } else {
+        // In a real Git-first system, this would trigger a git commit
+        // For browser-based demo, we keep a snapshot in localStorage (IndexedDB when large)
+        if (!this.seeds[fileName]) {
+          this.seeds[fileName] = await this.loadSeed(fileName);
+        }
+        backend = await this.store.set(fileName, {
+          savedAt: this.formatDateTime(),
+          removed: this.findRemovedSeedRecords(fileName, data),
+          data
+        });
+      }
+    } catch (error) {
+      console.error(`Error saving ${fileName}:`, error);
+      // Later loads return what is actually stored, not the rejected edit
+      if (this.cache[fileName]) this.cache[fileName] = this.clone(baseline);
+      this.showError(error instanceof DataValidationError
+        ? `⚠️ השינוי לא נשמר: ${error.errors.join('; ')}`
+        : `⚠️ השמירה של ${fileName} נכשלה: ${error.message}`);
+      return false;
+    }
+
     this.cache[fileName] = data;
-    // In a real Git-first system, this would trigger a git commit
-    // For browser-based demo, we'll use localStorage
-    localStorage.setItem(`btk_${fileName}`, JSON.stringify(data));
-    console.log(`[BTK] Data saved: ${fileName}`);
+    if (options.history !== false) this.history.record(fileName, baseline, saved, options.step);
+    this.revision += 1;
+    this.baselines[fileName] = this.clone(data);
+    await this.activity.append(changes);
+    console.log(`[BTK] Data saved: ${fileName} (${backend})`);
     return true;
   }
 
+  showError(message) {
+    const toast = document.createElement('div');
+    toast.className = 'error-toast';
+    toast.setAttribute('role', 'alert');
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 8000);
+  }
+
+  // Drops the local snapshot so the next load() returns the seed file again
+  async reset(fileName) {
+    await this.store.remove(fileName);
+    delete this.cache[fileName];
+    delete this.baselines[fileName];
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
   getDefaultData(fileName) {
     const defaults = {
-      'dashboard.json': { tasks: [], reviews: [], writingProgress: {}, knowledgeSummary: {} },
+      'dashboard.json': {
+        tasks: [], reviews: [], writingProgress: {}, knowledgeSummary: {}, widgets: [...DEFAULT_DASHBOARD_WIDGETS]
+      },
       'documents.json': { documents: [] },
       'knowledge.json': { items: [] },
       'writing_projects.json': { projects: [] },
-      'tasks.json': { tasks: [], reviews: [], metrics: {} }
+      'tasks.json': { tasks: [], reviews: [] },
+      'editor_styles.json': { defaultSet: 'default', sets: [{ id: 'default', name: 'ברירת מחדל', styles: {} }] },
+      'tags.json': { tags: [] },
+      'trash.json': { entries: [] }
     };
     return defaults[fileName] || {};
   }
@@ -106,1337 +921,8160 @@ class DataManager {
 }
 
 // ============================================
-// Router - View Management
+// Activity Log - Append-Only Audit Trail
 // ============================================
-class Router {
-  constructor(app) {
-    this.app = app;
-    this.currentView = null;
-    this.modules = {};
-    this.setupNavigation();
+// DataManager.save() reports every record created, updated or deleted in a
+// record list (documents, knowledge items, writing projects, tasks, reviews)
+// with a field-level diff. Entries are only ever appended: to
+// data/activity_log.jsonl through the companion server, otherwise to local storage.
+class ActivityLog {
+  constructor(dataManager) {
+    this.dm = dataManager;
+    this.storeKey = 'activity_log';
+    this.maxValueLength = 300;
+    // Deleted records are logged from the file they left, not from the trash
+    this.untrackedFiles = ['trash.json'];
+    this.entries = null;
+    // Local appends read and rewrite the stored log, so they run one at a time
+    this.pending = Promise.resolve();
   }
 
-  registerModule(name, module) {
-    this.modules[name] = module;
+  static get collectionLabels() {
+    return { documents: 'מסמכים', items: 'פריטי ידע', projects: 'פרויקטי כתיבה', tasks: 'משימות', reviews: 'סקירות', tags: 'תגיות' };
   }
 
-  setupNavigation() {
-    const navButtons = document.querySelectorAll('.bt-nav button');
-    navButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const view = btn.getAttribute('data-view');
-        this.navigate(view);
-
-        // Update active state
-        navButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+  // Logged values may hold HTML (document content); always show them as text
+  static display(value) {
+    const text = value === null || value === undefined ? '—' : typeof value === 'string' ? value : JSON.stringify(value);
+    return escapeHtml(text);
+  }
+
+  getActor() {
+    return localStorage.getItem('btk-actor') || 'משתמש מקומי';
+  }
+
+  setActor(name) {
+    if (name) localStorage.setItem('btk-actor', name);
+  }
+
+  // Long text and nested values are shortened so the log stays small
+  summarize(value) {
+    if (value === undefined) return null;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text.length <= this.maxValueLength) return value;
+    return `${text.slice(0, this.maxValueLength)}… (${text.length} תווים)`;
+  }
+
+  diff(before, after, fileName) {
+    if (this.untrackedFiles.includes(fileName)) return [];
+    const at = this.dm.formatDateTime();
+    const actor = this.getActor();
+    const entries = [];
+
+    Object.keys({ ...before, ...after }).forEach(collection => {
+      const oldList = before[collection] || [];
+      const newList = after[collection] || [];
+      if (!Array.isArray(oldList) || !Array.isArray(newList)) return;
+      if (!this.dm.isRecordList(oldList) || !this.dm.isRecordList(newList)) return;
+
+      const entry = (action, record, changes = []) => entries.push({
+        id: this.dm.generateId(),
+        at,
+        actor,
+        action,
+        file: fileName,
+        collection,
+        entityId: record.id,
+        title: record.title || record.name || record.id,
+        changes
+      });
+      const oldById = new Map(oldList.map(record => [record.id, record]));
+      const newIds = new Set(newList.map(record => record.id));
+
+      newList.forEach(record => {
+        const previous = oldById.get(record.id);
+        if (!previous) {
+          entry('create', record);
+          return;
+        }
+        const changes = [...new Set([...Object.keys(previous), ...Object.keys(record)])]
+          .filter(field => field !== 'updatedAt' && JSON.stringify(previous[field]) !== JSON.stringify(record[field]))
+          .map(field => ({ field, before: this.summarize(previous[field]), after: this.summarize(record[field]) }));
+        if (changes.length > 0) entry('update', record, changes);
+      });
+      oldList.forEach(record => {
+        if (!newIds.has(record.id)) entry('delete', record);
       });
     });
+
+    return entries;
   }
 
-  navigate(viewName) {
-    this.currentView = viewName;
-    const module = this.modules[viewName];
+  async append(entries) {
+    if (entries.length === 0) return;
+    try {
+      if (this.dm.remote) {
+        const response = await fetch(`${this.dm.apiUrl}activity`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ entries })
+        });
+        if (!response.ok) throw new Error(`server responded ${response.status}`);
+      } else {
+        const write = this.pending.then(async () => {
+          const stored = (await this.dm.store.get(this.storeKey)) || [];
+          await this.dm.store.set(this.storeKey, [...stored, ...entries]);
+        });
+        this.pending = write.catch(() => {});
+        await write;
+      }
+      if (this.entries) this.entries.push(...entries);
+    } catch (error) {
+      // The data itself is already saved; a missing log entry must not undo that
+      console.error('[BTK] Activity log append failed', error);
+    }
+  }
 
-    if (module) {
-      module.render();
-    } else {
-      this.app.innerHTML = `<div class="empty-state">
-        <div class="empty-state-icon">⚠️</div>
-        <div class="empty-state-title">מודול לא נמצא</div>
-      </div>`;
+  // All entries, oldest first; refresh picks up what others logged on the server
+  async load(refresh = false) {
+    if (!this.entries || refresh) {
+      await this.dm.ready;
+      if (this.dm.remote) {
+        const response = await fetch(`${this.dm.apiUrl}activity`, { cache: 'no-store' });
+        this.entries = response.ok ? await response.json() : [];
+      } else {
+        await this.pending;
+        this.entries = (await this.dm.store.get(this.storeKey)) || [];
+      }
     }
+    return this.entries;
+  }
+
+  // filters: { collection, action, actor, from, to, query }, newest first
+  async query(filters = {}) {
+    const text = (filters.query || '').toLowerCase();
+    return (await this.load())
+      .filter(entry => !filters.collection || entry.collection === filters.collection)
+      .filter(entry => !filters.action || entry.action === filters.action)
+      .filter(entry => !filters.actor || entry.actor === filters.actor)
+      .filter(entry => !filters.from || entry.at.slice(0, 10) >= filters.from)
+      .filter(entry => !filters.to || entry.at.slice(0, 10) <= filters.to)
+      .filter(entry => !text || `${entry.title} ${entry.changes.map(change => change.field).join(' ')}`.toLowerCase().includes(text))
+      .reverse();
   }
 }
 
 // ============================================
-// Module 1: Dashboard
+// Undo History - Recent Data Mutations
 // ============================================
-class DashboardModule {
-  constructor(app, dataManager) {
-    this.app = app;
+// DataManager.save() hands every change to record(). Only the touched records
+// and keys are kept, and undo/redo apply them to the file as it is now, so
+// records saved since (or by someone else) are left alone.
+// Saves made through the save function group() hands out form one step, e.g.
+// a deletion that also files the record in the trash.
+class UndoHistory {
+  constructor(dataManager) {
     this.dm = dataManager;
+    this.limit = 50;
+    this.done = [];
+    this.undone = [];
   }
 
-  async render() {
-    this.app.innerHTML = `
-      <div class="module-container">
-        <div class="module-header">
-          <h1 class="module-title">📊 לוח מצב</h1>
-          <p class="module-description">סקירה כללית של כל הפעילויות במערכת</p>
-        </div>
-
-        <div class="stats-grid" id="dashboard-stats">
-          <div class="stat-card">
-            <div class="stat-value">⏳</div>
-            <div class="stat-label">טוען נתונים...</div>
-          </div>
-        </div>
+  get canUndo() {
+    return this.done.length > 0;
+  }
 
-        <div class="card-grid" id="dashboard-content">
-          <div class="card">
-            <div class="card-title">טוען...</div>
-          </div>
-        </div>
+  get canRedo() {
+    return this.undone.length > 0;
+  }
 
-        <div class="btn-group">
-          <button class="btn btn-success" onclick="dashboard.markDone()">✓ סיום</button>
-          <button class="btn btn-secondary" onclick="dashboard.refresh()">🔄 רענון</button>
-        </div>
-      </div>
-    `;
+  // Per record list: each touched record before and after (null when absent)
+  // with its position; other keys: the old and new value
+  capture(fileName, before, after) {
+    const change = { fileName, records: {}, fields: {} };
+
+    Object.keys({ ...before, ...after }).forEach(key => {
+      if (key === 'schemaVersion' || JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+      const lists = [before[key], after[key]].filter(value => value !== undefined);
+
+      if (lists.every(value => this.dm.isRecordList(value))) {
+        const oldList = before[key] || [];
+        const newList = after[key] || [];
+        const ids = [...new Set([...oldList, ...newList].map(record => record.id))];
+        change.records[key] = ids.map(id => {
+          const beforeIndex = oldList.findIndex(record => record.id === id);
+          const afterIndex = newList.findIndex(record => record.id === id);
+          return {
+            id,
+            before: beforeIndex >= 0 ? this.dm.clone(oldList[beforeIndex]) : null,
+            after: afterIndex >= 0 ? this.dm.clone(newList[afterIndex]) : null,
+            beforeIndex,
+            afterIndex
+          };
+        }).filter(pair => JSON.stringify(pair.before) !== JSON.stringify(pair.after));
+      } else {
+        change.fields[key] = {
+          before: before[key] === undefined ? undefined : this.dm.clone(before[key]),
+          after: after[key] === undefined ? undefined : this.dm.clone(after[key])
+        };
+      }
+    });
 
-    await this.loadData();
+    const empty = Object.keys(change.fields).length === 0
+      && Object.values(change.records).every(pairs => pairs.length === 0);
+    return empty ? null : change;
   }
 
-  async loadData() {
-    const dashData = await this.dm.load('dashboard.json');
-    const tasksData = await this.dm.load('tasks.json');
-    const docsData = await this.dm.load('documents.json');
-    const knowledgeData = await this.dm.load('knowledge.json');
-    const writingData = await this.dm.load('writing_projects.json');
-
-    this.renderStats(tasksData, docsData, knowledgeData, writingData);
-    this.renderContent(dashData, tasksData);
+  record(fileName, before, after, step = null) {
+    const change = this.capture(fileName, before, after);
+    if (!change) return;
+    if (step) {
+      step.changes.push(change);
+    } else {
+      this.push({ label: `שינוי ב-${fileName}`, at: this.dm.formatDateTime(), changes: [change] });
+    }
   }
 
-  renderStats(tasks, docs, knowledge, writing) {
-    const statsContainer = document.getElementById('dashboard-stats');
-    const totalTasks = tasks.tasks?.length || 0;
-    const completedTasks = tasks.tasks?.filter(t => t.status === 'completed').length || 0;
-    const totalDocs = docs.documents?.length || 0;
-    const totalKnowledge = knowledge.items?.length || 0;
-    const totalProjects = writing.projects?.length || 0;
+  push(step) {
+    this.done.push(step);
+    if (this.done.length > this.limit) this.done.shift();
+    this.undone = [];
+  }
 
-    statsContainer.innerHTML = `
-      <div class="stat-card">
-        <div class="stat-value">${totalTasks}</div>
-        <div class="stat-label">משימות כוללות</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-value">${completedTasks}</div>
-        <div class="stat-label">משימות שהושלמו</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-value">${totalDocs}</div>
-        <div class="stat-label">מסמכים</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-value">${totalKnowledge}</div>
-        <div class="stat-label">פריטי ידע</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-value">${totalProjects}</div>
-        <div class="stat-label">פרויקטי כתיבה</div>
-      </div>
-    `;
+  // One undo step for an operation that saves several times. Only saves made
+  // through the `save` handed to `mutate` join it, so unrelated saves that
+  // finish meanwhile stay steps of their own.
+  async group(label, mutate) {
+    const step = { label, at: this.dm.formatDateTime(), changes: [] };
+    try {
+      return await mutate((fileName, data) => this.dm.save(fileName, data, { step }));
+    } finally {
+      if (step.changes.length > 0) this.push(step);
+    }
   }
 
-  renderContent(dashData, tasksData) {
-    const contentContainer = document.getElementById('dashboard-content');
-    const recentTasks = (tasksData.tasks || []).slice(-5);
+  // side: 'before' to undo, 'after' to redo
+  apply(data, change, side) {
+    Object.entries(change.records).forEach(([key, pairs]) => {
+      if (!Array.isArray(data[key])) data[key] = [];
+      pairs.forEach(pair => {
+        const position = data[key].findIndex(record => record.id === pair.id);
+        if (position >= 0) data[key].splice(position, 1);
+        const record = pair[side];
+        if (record) data[key].splice(Math.min(pair[`${side}Index`], data[key].length), 0, this.dm.clone(record));
+      });
+    });
+    Object.entries(change.fields).forEach(([key, values]) => {
+      if (values[side] === undefined) delete data[key];
+      else data[key] = this.dm.clone(values[side]);
+    });
+  }
 
-    if (recentTasks.length === 0) {
-      contentContainer.innerHTML = `
-        <div class="empty-state">
-          <div class="empty-state-icon">📋</div>
-          <div class="empty-state-title">אין משימות</div>
-          <div class="empty-state-description">לחץ על מודול הניהול להוספת משימות</div>
-        </div>
-      `;
-      return;
+  async replay(step, side) {
+    const changes = side === 'before' ? [...step.changes].reverse() : step.changes;
+    for (const change of changes) {
+      const data = await this.dm.load(change.fileName);
+      this.apply(data, change, side);
+      if (!await this.dm.save(change.fileName, data, { history: false })) return false;
     }
+    return true;
+  }
 
-    contentContainer.innerHTML = recentTasks.map(task => `
-      <div class="card">
-        <div class="card-title">${task.title}</div>
-        <div class="card-content">${task.description || 'אין תיאור'}</div>
-        <div class="card-meta">
-          <span class="badge badge-${task.status === 'completed' ? 'success' : 'warning'}">
-            ${task.status === 'completed' ? 'הושלם' : 'בתהליך'}
-          </span>
-          <span style="margin-right: 0.5rem;">${task.createdAt || ''}</span>
-        </div>
-      </div>
-    `).join('');
+  async undo() {
+    const step = this.done.pop();
+    if (!step) return false;
+    try {
+      if (!await this.replay(step, 'before')) {
+        this.done.push(step);
+        return false;
+      }
+    } catch (error) {
+      this.done.push(step);
+      throw error;
+    }
+    this.undone.push(step);
+    await router.resolve();
+    this.showToast(`↶ בוטל: ${step.label}`, { label: '↷ שחזור', action: 'dataManager.history.redo()' });
+    return true;
   }
 
-  async markDone() {
-    const dashData = await this.dm.load('dashboard.json');
-    dashData.lastUpdated = this.dm.formatDateTime();
-    await this.dm.save('dashboard.json', dashData);
-    this.showToast('✓ לוח המצב עודכן');
+  async redo() {
+    const step = this.undone.pop();
+    if (!step) return false;
+    try {
+      if (!await this.replay(step, 'after')) {
+        this.undone.push(step);
+        return false;
+      }
+    } catch (error) {
+      this.undone.push(step);
+      throw error;
+    }
+    this.done.push(step);
+    await router.resolve();
+    this.showToast(`↷ בוצע שוב: ${step.label}`, { label: '↶ ביטול', action: 'dataManager.history.undo()' });
+    return true;
   }
 
-  async refresh() {
-    this.dm.cache = {}; // Clear cache
-    await this.render();
-    this.showToast('🔄 הנתונים רועננו');
+  // Shown after destructive actions; the button undoes the last step
+  offerUndo(message) {
+    this.showToast(message, { label: '↶ ביטול', action: 'dataManager.history.undo()' });
   }
 
-  showToast(message) {
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+  bindShortcuts() {
+    document.addEventListener('keydown', event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  showToast(message, button) {
+    document.querySelectorAll('.undo-toast').forEach(toast => toast.remove());
     const toast = document.createElement('div');
-    toast.style.cssText = `
-      position: fixed;
-      top: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: var(--accent-green);
-      color: white;
-      padding: 1rem 2rem;
-      border-radius: 8px;
-      z-index: 9999;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-    `;
-    toast.textContent = message;
+    toast.className = 'undo-toast';
+    toast.innerHTML = `<span></span><button onclick="this.parentElement.remove(); ${button.action}">${button.label}</button>`;
+    toast.querySelector('span').textContent = message;
     document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 2000);
+    setTimeout(() => toast.remove(), 6000);
   }
 }
 
 // ============================================
-// Module 2: Document Library
+// Router - Hash-Based Routes
 // ============================================
-class DocumentLibraryModule {
-  constructor(app, dataManager) {
+// Routes look like #/docs/<id>/edit or #/knowledge?course=C01&unit=U02.
+// Every route names the module to render and an optional action to run
+// once the module has rendered; an action returning false means the record
+// does not exist and the 404 view is shown.
+class Router {
+  constructor(app) {
     this.app = app;
-    this.dm = dataManager;
-    this.currentDoc = null;
-    this.editorStyles = null;
+    this.currentView = null;
+    this.currentPath = null;
+    this.modules = {};
+    this.routes = [];
+    this.setupNavigation();
   }
 
-  async render() {
-    await this.loadEditorStyles();
-
-    this.app.innerHTML = `
-      <div class="module-container">
-        <div class="module-header">
-          <h1 class="module-title">📄 ספריית מסמכים</h1>
-          <p class="module-description">עורך מסמכים מתקדם עם יצוא DOCX/PDF</p>
-        </div>
-
-        <div class="btn-group mb-2">
-          <button class="btn" onclick="docLibrary.createNewDoc()">+ מסמך חדש</button>
-          <button class="btn btn-secondary" onclick="docLibrary.showDocList()">📚 רשימת מסמכים</button>
-        </div>
+  registerModule(name, module) {
+    this.modules[name] = module;
+  }
 
-        <div id="doc-workspace"></div>
-      </div>
-    `;
+  addRoute(pattern, view, action = null) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+      if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    }).join('/');
+    this.routes.push({ pattern, view, action, keys, regex: new RegExp(`^${source}/?$`) });
+  }
 
-    await this.showDocList();
+  setupNavigation() {
+    document.querySelectorAll('.bt-nav button').forEach(btn => {
+      btn.addEventListener('click', () => this.go(`/${btn.getAttribute('data-view')}`));
+    });
+    window.addEventListener('hashchange', () => this.resolve());
   }
 
-  async loadEditorStyles() {
-    try {
-      const response = await fetch('data/editor_styles.json');
-      this.editorStyles = await response.json();
-    } catch (error) {
-      console.error('Failed to load editor styles');
+  start() {
+    if (!location.hash || location.hash === '#' || location.hash === '#/') {
+      history.replaceState(null, '', '#/dashboard');
     }
+    this.resolve();
   }
 
-  async showDocList() {
-    const data = await this.dm.load('documents.json');
-    const docs = data.documents || [];
-    const workspace = document.getElementById('doc-workspace');
-
-    if (docs.length === 0) {
-      workspace.innerHTML = `
-        <div class="empty-state">
-          <div class="empty-state-icon">📄</div>
-          <div class="empty-state-title">אין מסמכים</div>
-          <div class="empty-state-description">לחץ על "מסמך חדש" ליצירת המסמך הראשון</div>
-        </div>
-      `;
-      return;
+  // Pushes a history entry; re-resolves when already on that path
+  go(path) {
+    if (location.hash === `#${path}`) {
+      this.resolve();
+    } else {
+      location.hash = path;
     }
+  }
 
-    workspace.innerHTML = `
-      <div class="item-list">
-        ${docs.map(doc => `
-          <div class="list-item">
-            <div class="list-item-content">
-              <div class="list-item-title">${doc.title}</div>
-              <div class="list-item-meta">
-                ${doc.type || 'כללי'} | ${doc.status || 'טיוטה'} | ${doc.createdAt}
-              </div>
-            </div>
-            <div class="list-item-actions">
-              <button class="btn btn-secondary" onclick="docLibrary.editDoc('${doc.id}')">✎ עריכה</button>
-              <button class="btn btn-warning" onclick="docLibrary.exportDoc('${doc.id}')">⬇ יצוא</button>
-              <button class="btn btn-danger" onclick="docLibrary.deleteDoc('${doc.id}')">🗑</button>
-            </div>
-          </div>
-        `).join('')}
-      </div>
-    `;
+  // Updates the address bar without re-rendering (e.g. a new record got its id)
+  replace(path) {
+    history.replaceState(null, '', `#${path}`);
+    this.currentPath = path;
   }
 
-  createNewDoc() {
-    this.currentDoc = {
-      id: this.dm.generateId(),
-      title: 'מסמך חדש',
-      content: '',
-      type: 'general',
-      status: 'draft',
-      createdAt: this.dm.formatDateTime()
-    };
-    this.showEditor();
+  navigate(viewName) {
+    this.go(`/${viewName}`);
   }
 
-  async editDoc(docId) {
-    const data = await this.dm.load('documents.json');
-    this.currentDoc = data.documents.find(d => d.id === docId);
-    if (this.currentDoc) {
-      this.showEditor();
+  match(path) {
+    const [pathname, queryString = ''] = path.split('?');
+    for (const route of this.routes) {
+      const found = pathname.match(route.regex);
+      if (found) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(found[index + 1]);
+        });
+        return { route, params, query: Object.fromEntries(new URLSearchParams(queryString)) };
+      }
     }
+    return null;
   }
 
-  showEditor() {
-    const workspace = document.getElementById('doc-workspace');
-    workspace.innerHTML = `
-      <div class="form-group">
-        <label class="form-label">כותרת המסמך</label>
-        <input type="text" class="form-input" id="doc-title" value="${this.currentDoc.title}">
-      </div>
+  async resolve() {
+    const path = location.hash.replace(/^#/, '') || '/dashboard';
+    const matched = this.match(path);
+    const module = matched && this.modules[matched.route.view];
 
-      <div class="editor-container">
-        <div class="editor-toolbar">
-          <button onclick="docLibrary.applyStyle('title')">כותרת</button>
-          <button onclick="docLibrary.applyStyle('heading1')">כותרת 1</button>
-          <button onclick="docLibrary.applyStyle('heading2')">כותרת 2</button>
-          <button onclick="docLibrary.applyStyle('heading3')">כותרת 3</button>
-          <button onclick="docLibrary.applyStyle('quote')">ציטוט</button>
-          <button onclick="docLibrary.formatText('bold')">B</button>
-          <button onclick="docLibrary.formatText('italic')">I</button>
-          <button onclick="docLibrary.formatText('underline')">U</button>
-        </div>
-        <div class="editor-content" contenteditable="true" id="doc-editor">${this.currentDoc.content}</div>
-      </div>
+    this.currentPath = path;
+    this.setActiveNav(matched ? matched.route.view : null);
 
-      <div class="form-group mt-2">
-        <label class="form-label">סוג מסמך</label>
-        <select class="form-select" id="doc-type">
-          <option value="general" ${this.currentDoc.type === 'general' ? 'selected' : ''}>כללי</option>
-          <option value="report" ${this.currentDoc.type === 'report' ? 'selected' : ''}>דוח</option>
-          <option value="article" ${this.currentDoc.type === 'article' ? 'selected' : ''}>מאמר</option>
-          <option value="note" ${this.currentDoc.type === 'note' ? 'selected' : ''}>הערה</option>
-        </select>
-      </div>
+    if (!module) {
+      this.currentView = null;
+      this.renderNotFound(path);
+      return;
+    }
 
-      <div class="form-group">
-        <label class="form-label">סטטוס</label>
-        <select class="form-select" id="doc-status">
-          <option value="draft" ${this.currentDoc.status === 'draft' ? 'selected' : ''}>טיוטה</option>
-          <option value="review" ${this.currentDoc.status === 'review' ? 'selected' : ''}>בסקירה</option>
-          <option value="final" ${this.currentDoc.status === 'final' ? 'selected' : ''}>סופי</option>
-        </select>
-      </div>
+    this.currentView = matched.route.view;
+    try {
+      await module.render();
+      if (matched.route.action) {
+        const found = await matched.route.action(module, matched.params, matched.query);
+        if (found === false) this.renderNotFound(path);
+      }
+    } catch (error) {
+      this.renderError(error);
+    }
+  }
 
-      <div class="btn-group mt-2">
-        <button class="btn btn-success" onclick="docLibrary.saveDoc()">💾 שמירה</button>
-        <button class="btn btn-warning" onclick="docLibrary.exportCurrentDoc()">⬇ יצוא</button>
-        <button class="btn btn-secondary" onclick="docLibrary.showDocList()">← חזרה</button>
+  setActiveNav(view) {
+    document.querySelectorAll('.bt-nav button').forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-view') === view);
+    });
+  }
+
+  renderNotFound(path) {
+    this.app.innerHTML = `<div class="empty-state">
+      <div class="empty-state-icon">🧭</div>
+      <div class="empty-state-title">הדף לא נמצא (404)</div>
+      <div class="empty-state-description">
+        הכתובת <code dir="ltr">#${escapeHtml(path)}</code> אינה קיימת, או שהרשומה נמחקה
       </div>
-    `;
+      <button class="btn" onclick="router.go('/dashboard')">← ללוח המצב</button>
+    </div>`;
   }
 
-  applyStyle(styleName) {
-    const editor = document.getElementById('doc-editor');
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      const span = document.createElement('span');
-      span.setAttribute('data-style', styleName);
-      span.style.fontWeight = styleName.includes('heading') || styleName === 'title' ? 'bold' : 'normal';
-      span.style.fontSize = styleName === 'title' ? '2em' : styleName === 'heading1' ? '1.5em' : '1em';
-      range.surroundContents(span);
-    }
+  renderError(error) {
+    console.error(error);
+    const escape = escapeHtml;
+    const details = error instanceof DataValidationError
+      ? `<ul class="error-list">${error.errors.map(e => `<li>${escape(e)}</li>`).join('')}</ul>`
+      : `<p>${escape(String(error.message))}</p>`;
+
+    this.app.innerHTML = `<div class="empty-state">
+      <div class="empty-state-icon">⚠️</div>
+      <div class="empty-state-title">${error instanceof DataValidationError
+        ? `קובץ הנתונים ${escape(error.source + error.fileName)} אינו תקין`
+        : 'שגיאה בטעינת המודול'}</div>
+      <div class="empty-state-description">${details}</div>
+      ${error instanceof DataValidationError && error.source === 'localStorage:' ? `
+        <button class="btn btn-danger" onclick="dataManager.reset('${error.fileName}').then(() => router.resolve())">
+          ↺ מחיקת העותק המקומי וטעינה מחדש
+        </button>
+      ` : ''}
+    </div>`;
   }
+}
 
-  formatText(command) {
-    document.execCommand(command, false, null);
+// ============================================
+// Workspace Stats - Period Queries Across Modules
+// ============================================
+// Dates in the data files are 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS', so
+// comparing the first 10 characters as strings orders them correctly.
+class WorkspaceStats {
+  static day(value) {
+    return (value || '').slice(0, 10);
   }
 
-  async saveDoc() {
-    const title = document.getElementById('doc-title').value;
-    const content = document.getElementById('doc-editor').innerHTML;
-    const type = document.getElementById('doc-type').value;
-    const status = document.getElementById('doc-status').value;
+  static inPeriod(value, from, to) {
+    const day = WorkspaceStats.day(value);
+    return day !== '' && day >= from && day <= to;
+  }
 
-    this.currentDoc.title = title;
-    this.currentDoc.content = content;
-    this.currentDoc.type = type;
-    this.currentDoc.status = status;
-    this.currentDoc.updatedAt = this.dm.formatDateTime();
+  static tasksCompletedBetween(tasks, from, to) {
+    return tasks.filter(task => task.status === 'completed' && WorkspaceStats.inPeriod(task.completedAt, from, to));
+  }
 
-    const data = await this.dm.load('documents.json');
-    const existingIndex = data.documents.findIndex(d => d.id === this.currentDoc.id);
+  // Deadline fell in the period and the task was not completed by then
+  static tasksOverdueBetween(tasks, from, to) {
+    return tasks.filter(task => WorkspaceStats.inPeriod(task.deadline, from, to)
+      && !(task.status === 'completed' && WorkspaceStats.day(task.completedAt) <= task.deadline));
+  }
 
-    if (existingIndex >= 0) {
-      data.documents[existingIndex] = this.currentDoc;
-    } else {
-      data.documents.push(this.currentDoc);
-    }
+  // Days from first entering in-progress to the final completion, per statusHistory
+  static cycleDays(task) {
+    const history = task.statusHistory || [];
+    const started = history.find(entry => entry.status === 'in-progress');
+    const completed = [...history].reverse().find(entry => entry.status === 'completed');
+    if (task.status !== 'completed' || !started || !completed || completed.at < started.at) return null;
+    const days = (Date.parse(completed.at.replace(' ', 'T') + 'Z') - Date.parse(started.at.replace(' ', 'T') + 'Z')) / 86400000;
+    return Math.round(days * 10) / 10;
+  }
 
-    await this.dm.save('documents.json', data);
+  // Open tasks whose deadline falls in the period, nearest first
+  static tasksDueBetween(tasks, from, to) {
+    return tasks
+      .filter(task => task.status !== 'completed' && !task.skipped && WorkspaceStats.isDay(task.deadline)
+        && task.deadline >= from && task.deadline <= to)
+      .sort((a, b) => a.deadline.localeCompare(b.deadline));
+  }
 
-    // Save markdown version
-    const mdContent = this.convertToMarkdown(content, title);
-    localStorage.setItem(`btk_doc_${this.currentDoc.id}.md`, mdContent);
+  static knowledgeAddedBetween(items, from, to) {
+    return items.filter(item => WorkspaceStats.inPeriod(item.createdAt, from, to));
+  }
 
-    this.showToast('✓ המסמך נשמר בהצלחה');
+  // Keeps the last entry of each day
+  static dailyWordHistory(history) {
+    return history.filter((entry, index) => index === history.length - 1 || history[index + 1].at.slice(0, 10) !== entry.at.slice(0, 10));
   }
 
-  convertToMarkdown(htmlContent, title) {
-    let md = `# ${title}\n\n`;
-    const temp = document.createElement('div');
-    temp.innerHTML = htmlContent;
-    md += temp.textContent;
-    return md;
+  // Sum of word-count increases recorded in each project's wordHistory
+  static wordsWrittenBetween(projects, from, to) {
+    return projects.reduce((total, project) => {
+      let previous = 0;
+      return total + (project.wordHistory || []).reduce((sum, entry) => {
+        const delta = entry.wordCount - previous;
+        previous = entry.wordCount;
+        return sum + (delta > 0 && WorkspaceStats.inPeriod(entry.at, from, to) ? delta : 0);
+      }, 0);
+    }, 0);
   }
 
-  exportCurrentDoc() {
-    if (!this.currentDoc) return;
+  static overdueTasks(tasks, today) {
+    return tasks.filter(task => task.status !== 'completed' && !task.skipped && task.deadline && task.deadline < today);
+  }
 
-    const content = document.getElementById('doc-editor').innerHTML;
-    const blob = new Blob([content], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${this.currentDoc.title}.html`;
-    a.click();
+  static groupBy(records, field, fallback = 'ללא') {
+    return records.reduce((groups, record) => {
+      const key = record[field] || fallback;
+      (groups[key] = groups[key] || []).push(record);
+      return groups;
+    }, {});
+  }
 
-    this.showToast('✓ המסמך יוצא בהצלחה');
+  static isDay(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
   }
 
-  async exportDoc(docId) {
-    const data = await this.dm.load('documents.json');
-    const doc = data.documents.find(d => d.id === docId);
-    if (doc) {
-      const blob = new Blob([doc.content], { type: 'text/html' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${doc.title}.html`;
-      a.click();
-      this.showToast('✓ המסמך יוצא');
-    }
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
   }
 
-  async deleteDoc(docId) {
-    if (!confirm('האם אתה בטוח שברצונך למחוק מסמך זה?')) return;
+  // 'YYYY-Qn', the same period format periodRange() accepts
+  static quarterOf(day) {
+    return `${day.slice(0, 4)}-Q${Math.floor((Number(day.slice(5, 7)) - 1) / 3) + 1}`;
+  }
 
-    const data = await this.dm.load('documents.json');
-    data.documents = data.documents.filter(d => d.id !== docId);
-    await this.dm.save('documents.json', data);
-    await this.showDocList();
-    this.showToast('✓ המסמך נמחק');
+  static addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
   }
 
-  showToast(message) {
-    const toast = document.createElement('div');
-    toast.style.cssText = `
-      position: fixed;
-      top: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: var(--accent-green);
-      color: white;
-      padding: 1rem 2rem;
-      border-radius: 8px;
-      z-index: 9999;
-    `;
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 2000);
+  // The last `count` Sunday–Saturday weeks, oldest first, the last one containing `today`
+  static weeksEnding(today, count) {
+    const sunday = WorkspaceStats.addDays(today, -new Date(`${today}T00:00:00Z`).getUTCDay());
+    return Array.from({ length: count }, (_, index) => {
+      const from = WorkspaceStats.addDays(sunday, (index - count + 1) * 7);
+      return { from, to: WorkspaceStats.addDays(from, 6) };
+    });
+  }
+
+  // Share of existing tasks completed by the end of each month, from the first task to today
+  static completionByMonth(tasks, today) {
+    const created = tasks.map(task => WorkspaceStats.day(task.createdAt)).filter(day => day).sort();
+    if (created.length === 0) return [];
+
+    const months = [];
+    let month = created[0].slice(0, 7);
+    while (month <= today.slice(0, 7)) {
+      months.push(month);
+      const next = new Date(`${month}-01T00:00:00Z`);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      month = next.toISOString().slice(0, 7);
+    }
+
+    return months.map(m => {
+      const end = WorkspaceStats.periodRange(m).to;
+      const existing = tasks.filter(task => !task.createdAt || WorkspaceStats.day(task.createdAt) <= end);
+      const done = existing.filter(task => task.status === 'completed' && WorkspaceStats.day(task.completedAt) <= end);
+      return { month: m, rate: existing.length > 0 ? Math.round((done.length / existing.length) * 100) : 0 };
+    });
+  }
+
+  // 'YYYY-MM' → whole month, 'YYYY-Qn' → whole quarter
+  static periodRange(period) {
+    const quarter = period.match(/^(\d{4})-Q([1-4])$/);
+    const [year, firstMonth, months] = quarter
+      ? [Number(quarter[1]), (Number(quarter[2]) - 1) * 3 + 1, 3]
+      : [Number(period.slice(0, 4)), Number(period.slice(5, 7)), 1];
+    const lastMonth = firstMonth + months - 1;
+    const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      from: `${year}-${pad(firstMonth)}-01`,
+      to: `${year}-${pad(lastMonth)}-${pad(lastDay)}`
+    };
   }
 }
 
 // ============================================
-// Module 3: Learning Environment
+// Search Index - Hebrew-Aware Inverted Index
 // ============================================
-class LearningEnvironmentModule {
-  constructor(app, dataManager) {
-    this.app = app;
-    this.dm = dataManager;
-    this.currentItem = null;
-    this.viewMode = 'hierarchical'; // Default to hierarchical view
-    this.currentFilters = {};
+// Words are normalized before indexing and searching: niqqud, cantillation and
+// Latin accents are dropped, final letters become regular ones (so a partly
+// typed word still matches) and case is folded. A Hebrew word is also indexed
+// without up to three leading prefix letters (ו ה ב ל מ ש כ), so "בית" finds
+// "ובבית". Matches on the word as written rank above prefix-stripped ones.
+class SearchIndex {
+  static get prefixLetters() {
+    return 'והבלמשכ';
   }
 
-  async render() {
-    this.app.innerHTML = `
-      <div class="module-container">
-        <div class="module-header">
-          <h1 class="module-title">📚 סביבת למידה</h1>
-          <p class="module-description">העלאת חומרי למידה, הדגשות ותקצירים</p>
-        </div>
+  static normalize(text) {
+    const finals = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0591-\u05C7]/g, mark => (mark === '\u05BE' ? ' ' : ''))
+      .replace(/[\u0300-\u036F]/g, '')
+      // Geresh and gershayim inside a word (צה"ל, ג'ירפה) are part of it
+      .replace(/([א-ת])["'׳״]+(?=[א-ת])/g, '$1')
+      .replace(/[ךםןףץ]/g, letter => finals[letter])
+      .toLowerCase();
+  }
 
-        <div class="btn-group mb-2">
-          <button class="btn" onclick="knowledgeEnv.uploadItem()">+ העלאת חומר</button>
-          <button class="btn btn-secondary" onclick="knowledgeEnv.showKnowledgeList()">📚 רשימת פריטים</button>
-        </div>
+  static tokenize(text) {
+    return SearchIndex.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
 
-        <div id="knowledge-workspace"></div>
-      </div>
-    `;
+  // The word itself first, then each prefix-stripped form of at least two letters
+  static variants(word) {
+    const forms = [word];
+    let rest = word;
+    for (let i = 0; i < 3 && rest.length > 2 && SearchIndex.prefixLetters.includes(rest[0]); i++) {
+      rest = rest.slice(1);
+      forms.push(rest);
+    }
+    return forms;
+  }
 
-    await this.showKnowledgeList();
+  static plainText(html) {
+    const element = document.createElement('div');
+    element.innerHTML = String(html || '').replace(/<(br|\/p|\/div|\/li|\/h\d|\/blockquote|\/td|\/th)[^>]*>/gi, ' $&');
+    return element.textContent.replace(/\s+/g, ' ').trim();
   }
 
-  async showKnowledgeList(filters = {}) {
-    const data = await this.dm.load('knowledge.json');
-    let items = data.items || [];
-    const workspace = document.getElementById('knowledge-workspace');
+  constructor() {
+    this.records = new Map();
+    this.postings = new Map();
+  }
 
-    // Apply filters
-    if (filters.course) {
-      items = items.filter(item => item.course === filters.course);
-    }
-    if (filters.unitNumber) {
-      items = items.filter(item => item.unitNumber === filters.unitNumber);
-    }
-    if (filters.documentType) {
-      items = items.filter(item => item.documentType === filters.documentType);
-    }
+  // record: { key, fields: [{ name, text, weight }] } plus whatever the caller shows
+  add(record) {
+    this.records.set(record.key, record);
+    record.fields.forEach(field => {
+      SearchIndex.tokenize(field.text).forEach(word => {
+        SearchIndex.variants(word).forEach((form, index) => {
+          if (!this.postings.has(form)) this.postings.set(form, new Map());
+          const scores = this.postings.get(form);
+          scores.set(record.key, (scores.get(record.key) || 0) + (index === 0 ? 2 : 1) * (field.weight || 1));
+        });
+      });
+    });
+  }
 
-    if (items.length === 0) {
-      workspace.innerHTML = `
-        <div class="empty-state">
-          <div class="empty-state-icon">📚</div>
-          <div class="empty-state-title">אין פריטי ידע</div>
-          <div class="empty-state-description">לחץ על "העלאת חומר" להתחלה</div>
-        </div>
-      `;
-      return;
+  // Index keys a query word matches: words starting with it (the last word
+  // may still be being typed), and the query word without its own prefixes
+  expand(term) {
+    const matches = new Map();
+    this.postings.forEach((scores, key) => {
+      if (key.startsWith(term)) matches.set(key, key === term ? 1 : 0.5);
+    });
+    SearchIndex.variants(term).slice(1).forEach(form => {
+      if (this.postings.has(form) && !matches.has(form)) matches.set(form, 0.5);
+    });
+    return matches;
+  }
+
+  // Every query word must match; returns records with score and the matched words
+  search(query) {
+    const terms = [...new Set(SearchIndex.tokenize(query))];
+    if (terms.length === 0) return [];
+
+    let results = null;
+    terms.forEach(term => {
+      const found = new Map();
+      this.expand(term).forEach((factor, key) => {
+        this.postings.get(key).forEach((score, recordKey) => {
+          const hit = found.get(recordKey) || { score: 0, words: new Set() };
+          hit.score += score * factor;
+          hit.words.add(key);
+          found.set(recordKey, hit);
+        });
+      });
+      if (results === null) {
+        results = found;
+        return;
+      }
+      results.forEach((hit, recordKey) => {
+        const more = found.get(recordKey);
+        if (!more) {
+          results.delete(recordKey);
+          return;
+        }
+        hit.score += more.score;
+        more.words.forEach(word => hit.words.add(word));
+      });
+    });
+
+    return [...results.entries()]
+      .map(([key, hit]) => ({ record: this.records.get(key), score: hit.score, words: hit.words }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Works on the original text, so niqqud and final letters survive in the
+  // snippet; a word is marked when one of its forms is a matched index key
+  static highlight(text, words, radius = 80) {
+    const marks = [];
+    for (const match of text.matchAll(/[\p{L}\p{M}\p{N}"'׳״]+/gu)) {
+      const forms = SearchIndex.tokenize(match[0]).flatMap(word => SearchIndex.variants(word));
+      if (forms.some(form => words.has(form))) marks.push([match.index, match.index + match[0].length]);
     }
+    if (marks.length === 0) return null;
+
+    const start = Math.max(0, marks[0][0] - radius);
+    const end = Math.min(text.length, marks[0][1] + radius * 2);
+    let html = '';
+    let position = start;
+    marks.filter(([from, to]) => from >= start && to <= end).forEach(([from, to]) => {
+      html += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      position = to;
+    });
+    html += escapeHtml(text.slice(position, end));
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+  }
+}
 
-    // Get all unique values for filters
-    const allItems = data.items || [];
-    const allCourses = [...new Set(allItems.map(i => i.course).filter(c => c))].sort();
-    const allUnits = [...new Set(allItems.map(i => i.unitNumber).filter(u => u))].sort();
-    const allDocTypes = [...new Set(allItems.map(i => i.documentType).filter(d => d))];
+// ============================================
+// Task Graph - Subtasks and Blocking Links
+// ============================================
+// Tasks reference each other by id: `parentId` for subtasks and `blockedBy`
+// for tasks that must be completed first. Links to missing tasks are ignored.
+class TaskGraph {
+  static children(tasks, taskId) {
+    return tasks.filter(task => task.parentId === taskId);
+  }
 
-    workspace.innerHTML = `
-      <div style="margin-bottom: 1.5rem;">
-        <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
-          <button class="btn ${!filters.course && !filters.unitNumber && !filters.documentType ? 'btn-success' : 'btn-secondary'}"
-                  onclick="knowledgeEnv.showKnowledgeList()">
-            📚 הכל
-          </button>
-          <button class="btn btn-secondary" onclick="knowledgeEnv.toggleViewMode()">
-            ${this.viewMode === 'hierarchical' ? '📋 תצוגה שטוחה' : '🗂 תצוגה היררכית'}
-          </button>
-        </div>
+  static descendants(tasks, taskId) {
+    return TaskGraph.children(tasks, taskId)
+      .flatMap(child => [child, ...TaskGraph.descendants(tasks, child.id)]);
+  }
 
-        <div style="display: flex; gap: 1rem; flex-wrap: wrap; background: var(--bg-dark); padding: 1rem; border-radius: 8px;">
-          <div style="flex: 1; min-width: 200px;">
-            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי קורס:</label>
-            <select class="form-select" onchange="knowledgeEnv.applyFilter('course', this.value)">
-              <option value="">-- כל הקורסים --</option>
-              ${allCourses.map(c => `<option value="${c}" ${filters.course === c ? 'selected' : ''}>${c}</option>`).join('')}
-            </select>
-          </div>
-          <div style="flex: 1; min-width: 200px;">
-            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי יחידה:</label>
-            <select class="form-select" onchange="knowledgeEnv.applyFilter('unitNumber', this.value)">
-              <option value="">-- כל היחידות --</option>
-              ${allUnits.map(u => `<option value="${u}" ${filters.unitNumber === u ? 'selected' : ''}>${u}</option>`).join('')}
-            </select>
-          </div>
-          <div style="flex: 1; min-width: 200px;">
-            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי סוג:</label>
-            <select class="form-select" onchange="knowledgeEnv.applyFilter('documentType', this.value)">
-              <option value="">-- כל הסוגים --</option>
-              ${allDocTypes.map(d => `<option value="${d}" ${filters.documentType === d ? 'selected' : ''}>${d}</option>`).join('')}
-            </select>
-          </div>
-        </div>
-      </div>
+  // Leaf tasks count 0 or 100; a parent is the average of its children
+  static progress(tasks, task, seen = new Set()) {
+    const children = TaskGraph.children(tasks, task.id).filter(child => !seen.has(child.id));
+    if (children.length === 0) return task.status === 'completed' ? 100 : 0;
+    seen.add(task.id);
+    const total = children.reduce((sum, child) => sum + TaskGraph.progress(tasks, child, seen), 0);
+    return Math.round(total / children.length);
+  }
 
-      <div id="knowledge-list-content"></div>
-    `;
+  // Blocking tasks that are not completed yet
+  static openBlockers(tasks, task) {
+    return (task.blockedBy || [])
+      .map(id => tasks.find(other => other.id === id))
+      .filter(blocker => blocker && blocker.status !== 'completed');
+  }
 
-    // Store current filters
-    this.currentFilters = filters;
+  // Before a task is deleted: its subtasks move up to its parent and blocking
+  // links to it are dropped. Returns the links for reattach()
+  static detach(tasks, task) {
+    const links = { children: [], blocking: [] };
+    tasks.forEach(other => {
+      if (other.parentId === task.id) {
+        links.children.push(other.id);
+        if (task.parentId) other.parentId = task.parentId;
+        else delete other.parentId;
+      }
+      if (other.blockedBy && other.blockedBy.includes(task.id)) {
+        links.blocking.push(other.id);
+        other.blockedBy = other.blockedBy.filter(id => id !== task.id);
+      }
+    });
+    return links;
+  }
 
-    // Render based on view mode
-    if (this.viewMode === 'hierarchical') {
-      this.renderHierarchicalView(items);
-    } else {
-      this.renderFlatView(items);
-    }
+  // Subtasks that were moved since the deletion stay where they are
+  static reattach(tasks, task, links = {}) {
+    tasks.forEach(other => {
+      if ((links.children || []).includes(other.id) && (other.parentId || null) === (task.parentId || null)) {
+        other.parentId = task.id;
+      }
+      if ((links.blocking || []).includes(other.id) && !(other.blockedBy || []).includes(task.id)) {
+        other.blockedBy = [...(other.blockedBy || []), task.id];
+      }
+    });
   }
 
-  renderHierarchicalView(items) {
-    const content = document.getElementById('knowledge-list-content');
+  // Returns the cycle as a list of tasks if `taskId` with these links would
+  // close one (through parents or through blockers), otherwise null
+  static findCycle(tasks, taskId, { parentId, blockedBy }) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const links = { parentId, blockedBy };
+
+    const parentPath = [];
+    for (let id = parentId; id; id = (byId.get(id) || {}).parentId) {
+      parentPath.push(id);
+      if (id === taskId) return [taskId, ...parentPath].map(id => byId.get(id) || { id });
+      if (parentPath.length > tasks.length) break;
+    }
 
-    // Group items by Course → UnitNumber → DocumentType
-    const hierarchy = {};
+    const blockersOf = id => (id === taskId ? links.blockedBy : (byId.get(id) || {}).blockedBy) || [];
+    const visit = (id, path) => {
+      if (id === taskId && path.length > 0) return [...path, id];
+      if (path.includes(id)) return null;
+      for (const next of blockersOf(id)) {
+        const cycle = visit(next, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    const cycle = visit(taskId, []);
+    return cycle ? cycle.map(id => byId.get(id) || { id }) : null;
+  }
+}
 
-    items.forEach(item => {
-      const course = item.course || 'ללא קורס';
-      const unit = item.unitNumber || 'ללא יחידה';
-      const docType = item.documentType || 'ללא סוג';
+// ============================================
+// Task Recurrence - Repeating Tasks
+// ============================================
+// A recurring task carries `recurrence: { frequency, start, until?, count? }`.
+// Every occurrence is its own task in the series (`seriesId`, `occurrence`),
+// so completed and skipped occurrences keep their own record.
+class TaskRecurrence {
+  static get frequencies() {
+    return { daily: 'יומית', weekly: 'שבועית', monthly: 'חודשית', quarterly: 'רבעונית' };
+  }
 
-      if (!hierarchy[course]) hierarchy[course] = {};
-      if (!hierarchy[course][unit]) hierarchy[course][unit] = {};
-      if (!hierarchy[course][unit][docType]) hierarchy[course][unit][docType] = [];
+  // Date of occurrence `index` (1-based), counted from the series start so
+  // month-end dates don't drift (Jan 31 → Feb 28 → Mar 31)
+  static dateOf(recurrence, index) {
+    const { frequency, start } = recurrence;
+    if (frequency === 'daily') return WorkspaceStats.addDays(start, index - 1);
+    if (frequency === 'weekly') return WorkspaceStats.addDays(start, (index - 1) * 7);
+
+    const [year, month, day] = start.split('-').map(Number);
+    const monthIndex = month - 1 + (index - 1) * (frequency === 'quarterly' ? 3 : 1);
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))).toISOString().slice(0, 10);
+  }
 
-      hierarchy[course][unit][docType].push(item);
-    });
+  static hasEnded(recurrence, index) {
+    return (!!recurrence.count && index > recurrence.count)
+      || (!!recurrence.until && TaskRecurrence.dateOf(recurrence, index) > recurrence.until);
+  }
 
-    // Sort courses
-    const courses = Object.keys(hierarchy).sort();
+  // Occurrences to create once `task` is closed: the first upcoming one,
+  // preceded by a single skipped record standing for every date already
+  // behind `today` (its `missed` field keeps the first date and the count).
+  // Nothing is created while another occurrence of the series is still open.
+  static nextOccurrences(tasks, task, today) {
+    if (!task.recurrence) return [];
+    const seriesId = task.seriesId || task.id;
+    const series = tasks.filter(t => t.id === seriesId || t.seriesId === seriesId);
+    if (series.some(t => t !== task && t.status !== 'completed' && !t.skipped)) return [];
+
+    const occurrences = [];
+    const first = Math.max(...series.map(t => t.occurrence || 1)) + 1;
+    let index = first;
+    while (!TaskRecurrence.hasEnded(task.recurrence, index) && TaskRecurrence.dateOf(task.recurrence, index) < today) {
+      index++;
+    }
+    if (index > first) {
+      const missed = { occurrence: index - 1, deadline: TaskRecurrence.dateOf(task.recurrence, index - 1), skipped: true };
+      if (index - first > 1) missed.missed = { from: TaskRecurrence.dateOf(task.recurrence, first), count: index - first };
+      occurrences.push(missed);
+    }
+    if (!TaskRecurrence.hasEnded(task.recurrence, index)) {
+      occurrences.push({ occurrence: index, deadline: TaskRecurrence.dateOf(task.recurrence, index), skipped: false });
+    }
+    return occurrences;
+  }
 
-    // Document type order
-    const docTypeOrder = ['Theory', 'Exercise', 'Summary', 'Reflection'];
+  // Start date that makes occurrence `index` of the rule fall on `deadline`,
+  // so a moved occurrence shifts its series instead of restarting it. A
+  // monthly start keeps the deadline's day even past a short month's end;
+  // dateOf clamps it per month.
+  static startFor(recurrence, index, deadline) {
+    const { frequency } = recurrence;
+    if (frequency === 'daily') return WorkspaceStats.addDays(deadline, -(index - 1));
+    if (frequency === 'weekly') return WorkspaceStats.addDays(deadline, -(index - 1) * 7);
+
+    const [year, month, day] = deadline.split('-').map(Number);
+    const monthIndex = month - 1 - (index - 1) * (frequency === 'quarterly' ? 3 : 1);
+    const start = new Date(Date.UTC(year, monthIndex, 1));
+    return `${start.toISOString().slice(0, 8)}${String(day).padStart(2, '0')}`;
+  }
 
-    let html = '<div style="display: flex; flex-direction: column; gap: 1.5rem;">';
+  static describe(task) {
+    const { frequency, count } = task.recurrence;
+    return `🔁 ${TaskRecurrence.frequencies[frequency]}${count ? ` (${task.occurrence || 1}/${count})` : ''}`;
+  }
+}
 
-    courses.forEach(course => {
-      html += `
-        <div class="card" style="background: var(--bg-darker);">
-          <div class="card-title" style="background: var(--accent-purple); color: white; padding: 1rem; border-radius: 6px 6px 0 0; margin: -1rem -1rem 1rem -1rem;">
-            ${course}
-          </div>
-          <div class="card-content">
-      `;
+// ============================================
+// SVG Charts - Locally Drawn, No Dependencies
+// ============================================
+// Each method returns an <svg> string sized by viewBox so it scales with
+// its container. Colors are CSS variables so charts follow the theme.
+// Coordinates are laid out left-to-right (.chart sets direction: ltr).
+class SvgCharts {
+  static legend(series) {
+    return `<div class="chart-legend">${series.map(s => `
+      <span><span class="chart-swatch" style="background: ${s.color};"></span>${s.label}</span>
+    `).join('')}</div>`;
+  }
 
-      // Sort units
-      const units = Object.keys(hierarchy[course]).sort();
+  // rows: [{ label, values: { <seriesKey>: number } }] – one stacked bar per row,
+  // labels on the right and bars growing leftwards (RTL)
+  static horizontalBars(rows, series, { width = 640, rowHeight = 30, labelWidth = 220 } = {}) {
+    if (rows.length === 0) return '<p class="text-muted">אין נתונים</p>';
+
+    const totals = rows.map(row => series.reduce((sum, s) => sum + (row.values[s.key] || 0), 0));
+    const max = Math.max(1, ...totals);
+    const barRight = width - labelWidth - 10;
+    const barSpace = barRight - 40;
+    const height = rows.length * rowHeight + 10;
+
+    const bars = rows.map((row, index) => {
+      const y = index * rowHeight + 5;
+      let x = barRight;
+      const segments = series.map(s => {
+        const length = ((row.values[s.key] || 0) / max) * barSpace;
+        x -= length;
+        return length > 0
+          ? `<rect x="${x}" y="${y}" width="${length}" height="${rowHeight - 10}" rx="3" style="fill: ${s.color};"><title>${escapeHtml(s.label)}: ${row.values[s.key]}</title></rect>`
+          : '';
+      }).join('');
+      return `
+        <text x="${width}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" class="chart-label">${escapeHtml(row.label)}</text>
+        ${segments}
+        <text x="${x - 6}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" class="chart-value">${totals[index]}</text>
+      `;
+    }).join('');
 
-      units.forEach(unit => {
-        html += `
-          <div style="margin-bottom: 1.5rem; padding: 1rem; background: var(--bg-dark); border-radius: 6px; border-right: 4px solid var(--accent-blue);">
-            <h3 style="color: var(--accent-blue); margin: 0 0 1rem 0;">${unit}</h3>
-        `;
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+  }
 
-        // Sort document types by predefined order
-        const docTypes = Object.keys(hierarchy[course][unit]).sort((a, b) => {
-          const indexA = docTypeOrder.indexOf(a);
-          const indexB = docTypeOrder.indexOf(b);
-          if (indexA === -1 && indexB === -1) return a.localeCompare(b);
-          if (indexA === -1) return 1;
-          if (indexB === -1) return -1;
-          return indexA - indexB;
-        });
+  // points: [{ label, value }] – vertical columns, oldest on the left
+  static columns(points, { width = 640, height = 220, color = 'var(--brand-blue)' } = {}) {
+    if (points.length === 0) return '<p class="text-muted">אין נתונים</p>';
+
+    const max = Math.max(1, ...points.map(p => p.value));
+    const plotHeight = height - 40;
+    const step = width / points.length;
+    const barWidth = Math.max(4, step * 0.6);
+
+    const columns = points.map((point, index) => {
+      const barHeight = (point.value / max) * plotHeight;
+      const x = index * step + (step - barWidth) / 2;
+      const y = 15 + plotHeight - barHeight;
+      return `
+        <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" style="fill: ${color};"><title>${escapeHtml(point.label)}: ${point.value}</title></rect>
+        ${point.value > 0 ? `<text x="${x + barWidth / 2}" y="${y - 3}" text-anchor="middle" class="chart-value">${point.value}</text>` : ''}
+        <text x="${x + barWidth / 2}" y="${height - 5}" text-anchor="middle" class="chart-label">${escapeHtml(point.label)}</text>
+      `;
+    }).join('');
 
-        docTypes.forEach(docType => {
-          const docItems = hierarchy[course][unit][docType];
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line x1="0" y1="${15 + plotHeight}" x2="${width}" y2="${15 + plotHeight}" class="chart-axis" />
+      ${columns}
+    </svg>`;
+  }
 
-          html += `
-            <div style="margin-bottom: 1rem;">
-              <div style="font-weight: bold; color: var(--accent-green); margin-bottom: 0.5rem; padding: 0.5rem; background: var(--bg-darker); border-radius: 4px;">
-                📄 ${docType} (${docItems.length})
-              </div>
-              <div style="display: flex; flex-direction: column; gap: 0.5rem; margin-right: 1rem;">
-          `;
+  // points: [{ label, value }] on a 0..max scale, oldest on the left
+  static line(points, { width = 640, height = 220, max = 100, suffix = '%', color = 'var(--brand-gold)' } = {}) {
+    if (points.length === 0) return '<p class="text-muted">אין נתונים</p>';
+
+    const left = 40;
+    const plotHeight = height - 40;
+    const step = points.length > 1 ? (width - left - 10) / (points.length - 1) : 0;
+    const coords = points.map((point, index) => ({
+      x: left + index * step,
+      y: 15 + plotHeight - (Math.min(point.value, max) / max) * plotHeight,
+      point
+    }));
+    const labelEvery = Math.ceil(points.length / 12);
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+      ${[0, 0.5, 1].map(fraction => `
+        <line x1="${left}" y1="${15 + plotHeight * (1 - fraction)}" x2="${width}" y2="${15 + plotHeight * (1 - fraction)}" class="chart-grid" />
+        <text x="${left - 6}" y="${15 + plotHeight * (1 - fraction)}" text-anchor="end" dominant-baseline="middle" class="chart-label">${Math.round(max * fraction)}${suffix}</text>
+      `).join('')}
+      <polyline points="${coords.map(c => `${c.x},${c.y}`).join(' ')}" fill="none" style="stroke: ${color};" stroke-width="3" />
+      ${coords.map((c, index) => `
+        <circle cx="${c.x}" cy="${c.y}" r="4" style="fill: ${color};"><title>${escapeHtml(c.point.label)}: ${c.point.value}${suffix}</title></circle>
+        ${index % labelEvery === 0 ? `<text x="${c.x}" y="${height - 5}" text-anchor="middle" class="chart-label">${escapeHtml(c.point.label)}</text>` : ''}
+      `).join('')}
+    </svg>`;
+  }
+}
 
-          docItems.forEach(item => {
-            html += `
-              <div class="list-item" style="padding: 0.75rem; background: var(--bg-darker); border-radius: 4px; border-right: 3px solid var(--accent-green);">
-                <div style="display: flex; justify-content: space-between; align-items: start; gap: 1rem;">
-                  <div style="flex: 1;">
-                    <div style="font-weight: bold; margin-bottom: 0.25rem;">${item.title}</div>
-                    <div style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.5rem;">
-                      ${item.summary ? item.summary.substring(0, 100) + (item.summary.length > 100 ? '...' : '') : 'אין תקציר'}
-                    </div>
-                    <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
-                      <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
-                      ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
-                      <span style="font-size: 0.85rem; color: var(--text-muted);">
-                        ${item.highlights || 0} הדגשות | ${item.notes || 0} הערות
-                      </span>
-                    </div>
-                    <div style="font-size: 0.75rem; color: var(--text-muted); margin-top: 0.5rem;">
-                      ${item.createdAt}
-                    </div>
-                  </div>
-                  <div style="display: flex; gap: 0.5rem; flex-shrink: 0;">
-                    <button class="btn btn-secondary" style="padding: 0.5rem 1rem;" onclick="knowledgeEnv.viewItem('${item.id}')">👁 צפייה</button>
-                    <button class="btn btn-danger" style="padding: 0.5rem 1rem;" onclick="knowledgeEnv.deleteItem('${item.id}')">🗑</button>
-                  </div>
-                </div>
-              </div>
-            `;
-          });
+// ============================================
+// Module 1: Dashboard
+// ============================================
+class DashboardModule {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.editing = false;
+  }
 
-          html += `
-              </div>
-            </div>
-          `;
-        });
+  async render() {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">📊 לוח מצב</h1>
+          <p class="module-description">סקירה כללית של כל הפעילויות במערכת</p>
+        </div>
 
-        html += `
+        <div class="stats-grid" id="dashboard-stats">
+          <div class="stat-card">
+            <div class="stat-value">⏳</div>
+            <div class="stat-label">טוען נתונים...</div>
           </div>
-        `;
-      });
+        </div>
 
-      html += `
+        <div class="card-grid" id="dashboard-content">
+          <div class="card">
+            <div class="card-title">טוען...</div>
           </div>
         </div>
-      `;
-    });
 
-    html += '</div>';
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="dashboard.markDone()">✓ סיום</button>
+          ${this.editing
+            ? '<button class="btn" onclick="dashboard.finishLayout()">✓ סיום התאמה</button>'
+            : '<button class="btn" onclick="dashboard.editLayout()">⚙ התאמת הלוח</button>'}
+          <button class="btn btn-secondary" onclick="dashboard.refresh()">🔄 רענון</button>
+          <button class="btn btn-warning" onclick="backupManager.createBackup()">💾 גיבוי מלא</button>
+          <button class="btn btn-secondary" onclick="backupManager.chooseRestoreFile()">♻ שחזור מגיבוי</button>
+          <button class="btn btn-secondary" onclick="dashboard.syncToGit()">⇅ סנכרון ל-Git</button>
+          <button class="btn btn-secondary" onclick="router.go('/tags')">🏷 תגיות</button>
+          <button class="btn btn-secondary" onclick="router.go('/trash')">🗑 סל מחזור</button>
+        </div>
+      </div>
+    `;
 
-    content.innerHTML = html;
+    await this.loadData();
   }
 
-  renderFlatView(items) {
-    const content = document.getElementById('knowledge-list-content');
+  async loadData() {
+    const dashData = await this.dm.load('dashboard.json');
+    const tasksData = await this.dm.load('tasks.json');
+    const writingData = await this.dm.load('writing_projects.json');
 
-    content.innerHTML = `
-      <div class="card-grid">
-        ${items.map(item => `
-          <div class="card">
-            <div class="card-title">${item.title}</div>
-            <div class="card-content">
-              <div style="margin-bottom: 0.5rem;">
-                <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
-                ${item.course ? `<span class="badge" style="background: var(--accent-purple);">${item.course}</span>` : ''}
-                ${item.unitNumber ? `<span class="badge" style="background: var(--accent-blue);">${item.unitNumber}</span>` : ''}
-                ${item.documentType ? `<span class="badge" style="background: var(--accent-green);">${item.documentType}</span>` : ''}
-                ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
-              </div>
-              <p style="margin-top: 0.5rem;">${item.summary || 'אין תקציר'}</p>
-            </div>
-            <div class="card-meta">
-              ${item.highlights || 0} הדגשות | ${item.notes || 0} הערות
-              <div style="margin-top: 0.5rem;">
-                <button class="btn btn-secondary" onclick="knowledgeEnv.viewItem('${item.id}')">👁 צפייה</button>
-                <button class="btn btn-danger" onclick="knowledgeEnv.deleteItem('${item.id}')">🗑</button>
+    const today = this.dm.formatDate();
+    const tasks = tasksData.tasks || [];
+    const quarter = WorkspaceStats.periodRange(WorkspaceStats.quarterOf(today));
+    const week = WorkspaceStats.weeksEnding(today, 1)[0];
+
+    this.renderStats({
+      quarter: WorkspaceStats.quarterOf(today),
+      overdue: WorkspaceStats.overdueTasks(tasks, today),
+      upcoming: WorkspaceStats.tasksDueBetween(tasks, today, WorkspaceStats.addDays(today, 14)),
+      quarterTasks: tasks.filter(task => WorkspaceStats.inPeriod(task.deadline, quarter.from, quarter.to)),
+      wordsThisWeek: WorkspaceStats.wordsWrittenBetween(writingData.projects || [], week.from, week.to)
+    });
+    await this.renderWidgets(dashData);
+  }
+
+  renderStats(summary) {
+    const statsContainer = document.getElementById('dashboard-stats');
+    const done = summary.quarterTasks.filter(task => task.status === 'completed').length;
+    const quarterRate = summary.quarterTasks.length > 0 ? Math.round((done / summary.quarterTasks.length) * 100) : 0;
+
+    statsContainer.innerHTML = `
+      <a class="stat-card stat-link" href="#/management">
+        <div class="stat-value" style="color: ${summary.overdue.length > 0 ? 'var(--danger)' : 'var(--success)'};">${summary.overdue.length}</div>
+        <div class="stat-label">משימות באיחור</div>
+      </a>
+      <a class="stat-card stat-link" href="#/management/calendar">
+        <div class="stat-value">${summary.upcoming.length}</div>
+        <div class="stat-label">יעדים ב-14 הימים הקרובים</div>
+      </a>
+      <a class="stat-card stat-link" href="#/management/roadmap">
+        <div class="stat-value">${quarterRate}%</div>
+        <div class="stat-label">התקדמות ${summary.quarter}</div>
+      </a>
+      <a class="stat-card stat-link" href="#/writing">
+        <div class="stat-value">${summary.wordsThisWeek}</div>
+        <div class="stat-label">מילים השבוע</div>
+      </a>
+    `;
+  }
+
+  // ---------- Widgets ----------
+
+  // Every registered module may contribute widgets through getDashboardWidgets():
+  // [{ id, title, link, render: async dashData => html }]
+  collectWidgets() {
+    const widgets = new Map();
+    Object.values(router.modules).forEach(module => {
+      if (typeof module.getDashboardWidgets !== 'function') return;
+      module.getDashboardWidgets().forEach(widget => widgets.set(widget.id, widget));
+    });
+    return widgets;
+  }
+
+  getDashboardWidgets() {
+    return [
+      {
+        id: 'recent-edits',
+        title: '🕘 נערך לאחרונה',
+        link: '/docs',
+        render: async () => {
+          const recent = this.recentlyEdited(
+            (await this.dm.load('documents.json')).documents || [],
+            (await this.dm.load('knowledge.json')).items || [],
+            (await this.dm.load('writing_projects.json')).projects || []
+          );
+          if (recent.length === 0) return '<p class="text-muted">עדיין לא נערכו מסמכים, פריטי ידע או מקטעי כתיבה</p>';
+          return `
+            <ul class="review-list">
+              ${recent.map(entry => `
+                <li>${entry.icon} <a href="#${entry.path}">${entry.title}</a>
+                  <span class="text-muted">(${entry.at.slice(0, 10)})</span></li>
+              `).join('')}
+            </ul>
+          `;
+        }
+      }
+    ];
+  }
+
+  async renderWidgets(dashData) {
+    const container = document.getElementById('dashboard-content');
+    const available = this.collectWidgets();
+    const layout = (dashData.widgets || []).filter(id => available.has(id));
+    const unused = [...available.values()].filter(widget => !layout.includes(widget.id));
+
+    const cards = [];
+    for (const [index, id] of layout.entries()) {
+      const widget = available.get(id);
+      let body;
+      try {
+        body = await widget.render(dashData);
+      } catch (error) {
+        console.error(`[BTK] Widget ${id} failed`, error);
+        body = `<p class="text-muted">⚠️ ${error.message}</p>`;
+      }
+      cards.push(`
+        <div class="card widget" data-widget="${id}">
+          <div class="widget-header">
+            <a class="card-title card-link" href="#${widget.link}">${widget.title}</a>
+            ${this.editing ? `
+              <div class="widget-controls">
+                <button class="btn btn-secondary" onclick="dashboard.moveWidget('${id}', -1)" ${index === 0 ? 'disabled' : ''} title="הזזה לפני">↑</button>
+                <button class="btn btn-secondary" onclick="dashboard.moveWidget('${id}', 1)" ${index === layout.length - 1 ? 'disabled' : ''} title="הזזה אחרי">↓</button>
+                <button class="btn btn-danger" onclick="dashboard.removeWidget('${id}')" title="הסרה">✕</button>
               </div>
-            </div>
+            ` : ''}
           </div>
-        `).join('')}
+          ${body}
+        </div>
+      `);
+    }
+
+    if (this.editing) {
+      cards.push(`
+        <div class="card widget widget-add">
+          <div class="card-title">+ הוספת ווידג'ט</div>
+          ${unused.length === 0 ? '<p class="text-muted">כל הווידג\'טים כבר מוצגים</p>' : `
+            <div class="form-group">
+              <select class="form-select" id="widget-add-select">
+                ${unused.map(widget => `<option value="${widget.id}">${widget.title}</option>`).join('')}
+              </select>
+            </div>
+            <button class="btn" onclick="dashboard.addWidget()">הוספה</button>
+          `}
+        </div>
+      `);
+    }
+
+    container.innerHTML = cards.length > 0 ? cards.join('') : `
+      <div class="empty-state">
+        <div class="empty-state-icon">🧩</div>
+        <div class="empty-state-title">אין ווידג'טים בלוח</div>
+        <div class="empty-state-description">לחץ על "⚙ התאמת הלוח" כדי להוסיף</div>
       </div>
     `;
   }
 
-  toggleViewMode() {
-    this.viewMode = this.viewMode === 'hierarchical' ? 'flat' : 'hierarchical';
-    this.showKnowledgeList(this.currentFilters || {});
+  // Applies `change` to the saved widget list and redraws
+  async updateLayout(change) {
+    const dashData = await this.dm.load('dashboard.json');
+    change(dashData.widgets);
+    if (!await this.dm.save('dashboard.json', dashData)) return;
+    await this.renderWidgets(dashData);
   }
 
-  applyFilter(filterType, value) {
-    const filters = this.currentFilters || {};
-    if (value) {
-      filters[filterType] = value;
-    } else {
-      delete filters[filterType];
+  async editLayout() {
+    this.editing = true;
+    await this.render();
+  }
+
+  // Layout changes are saved as they are made; this only leaves edit mode
+  async finishLayout() {
+    this.editing = false;
+    await this.render();
+  }
+
+  async moveWidget(id, offset) {
+    await this.updateLayout(widgets => {
+      const index = widgets.indexOf(id);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= widgets.length) return;
+      [widgets[index], widgets[target]] = [widgets[target], widgets[index]];
+    });
+  }
+
+  async removeWidget(id) {
+    await this.updateLayout(widgets => {
+      const index = widgets.indexOf(id);
+      if (index >= 0) widgets.splice(index, 1);
+    });
+  }
+
+  async addWidget() {
+    const select = document.getElementById('widget-add-select');
+    if (!select) return;
+    await this.updateLayout(widgets => widgets.push(select.value));
+  }
+
+  // Documents, knowledge items and writing sections, most recently edited first
+  recentlyEdited(documents, items, projects, limit = 8) {
+    return [
+      ...documents.map(doc => ({
+        icon: '📄', title: doc.title, at: doc.updatedAt || doc.createdAt, path: `/docs/${doc.id}/edit`
+      })),
+      ...items.map(item => ({
+        icon: '📚', title: item.title, at: item.updatedAt || item.createdAt, path: `/knowledge/${item.id}`
+      })),
+      ...projects.flatMap(project => (project.sections || []).map(section => ({
+        icon: '✍️',
+        title: `${project.title} › ${section.title}`,
+        at: section.updatedAt || section.createdAt,
+        path: `/writing/${project.id}${section.partId ? `/part/${section.partId}` : ''}?section=${section.id}`
+      })))
+    ]
+      .filter(entry => entry.at)
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, limit);
+  }
+
+  async markDone() {
+    const dashData = await this.dm.load('dashboard.json');
+    dashData.lastUpdated = this.dm.formatDateTime();
+    if (!await this.dm.save('dashboard.json', dashData)) return;
+    this.showToast('✓ לוח המצב עודכן');
+  }
+
+  async syncToGit() {
+    try {
+      const { changed, cancelled } = await gitSync.sync();
+      if (cancelled) return;
+      this.showToast(changed.length > 0 ? `⇅ סונכרנו ${changed.length} קבצים` : '⇅ אין שינויים לסנכרון');
+    } catch (error) {
+      console.error(error);
+      this.showToast(`⚠️ הסנכרון נכשל: ${error.message}`);
     }
-    this.showKnowledgeList(filters);
   }
 
-  getTypeLabel(type) {
-    const labels = {
-      pdf: 'PDF',
-      text: 'טקסט',
-      image: 'תמונה',
-      video: 'וידאו'
-    };
-    return labels[type] || type;
+  async refresh() {
+    this.dm.cache = {}; // Clear cache
+    await this.render();
+    this.showToast('🔄 הנתונים רועננו');
   }
 
-  uploadItem() {
-    const workspace = document.getElementById('knowledge-workspace');
-    workspace.innerHTML = `
-      <div class="card">
-        <h3 class="card-title">העלאת חומר למידה חדש</h3>
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
+  }
+}
 
-        <div class="form-group">
-          <label class="form-label">כותרת</label>
-          <input type="text" class="form-input" id="knowledge-title" placeholder="שם החומר">
-        </div>
+// ============================================
+// Module 2: Document Library
+// ============================================
+class DocumentLibraryModule {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.currentDoc = null;
+    this.styleSets = new StyleSetManager(dataManager);
+    this.editor = null;
+  }
 
-        <div class="form-group">
-          <label class="form-label">קורס (Course)</label>
-          <select class="form-select" id="knowledge-course">
-            <option value="">-- בחר קורס --</option>
-            <option value="C01">C01 – מבוא לאנטומיה ומכניקה של נגינה</option>
-            <option value="C02">C02 – מבוא למדעי המוח במוזיקה</option>
-            <option value="C03">C03 – מבוא למחקר למוזיקאים</option>
-            <option value="C04">C04 – נוירופלסטיות ולמידה ממוקדת</option>
-            <option value="C05">C05 – יומן אימון: מתודולוגיה איכותנית</option>
-            <option value="C05_1">C05_1 – מתודיקה לפסנתר: גישות ויישום</option>
-            <option value="C06">C06 – ניתוח תנועה וקשב בנגינה</option>
-            <option value="C07">C07 – תכנון מחקר אישי (Pre-Project)</option>
-          </select>
-        </div>
+  async render() {
+    await this.styleSets.load();
 
-        <div class="form-group">
-          <label class="form-label">יחידה (Unit Number)</label>
-          <input type="text" class="form-input" id="knowledge-unit" placeholder="למשל: U01, U02, U03">
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">📄 ספריית מסמכים</h1>
+          <p class="module-description">עורך מסמכים מתקדם עם יצוא DOCX/PDF</p>
         </div>
 
-        <div class="form-group">
-          <label class="form-label">סוג מסמך (Document Type)</label>
-          <select class="form-select" id="knowledge-doctype">
-            <option value="">-- בחר סוג --</option>
-            <option value="Theory">Theory (תיאוריה)</option>
-            <option value="Exercise">Exercise (תרגול)</option>
-            <option value="Summary">Summary (סיכום)</option>
-            <option value="Reflection">Reflection (רפלקציה)</option>
-          </select>
+        <div class="btn-group mb-2">
+          <button class="btn" onclick="router.go('/docs/new')">+ מסמך חדש</button>
+          <button class="btn btn-secondary" onclick="router.go('/docs')">📚 רשימת מסמכים</button>
+          <button class="btn btn-secondary" onclick="docLibrary.chooseMarkdownFile()">📥 ייבוא Markdown</button>
+          <button class="btn btn-secondary" onclick="router.go('/docs/styles')">🎨 ערכות סגנונות</button>
         </div>
 
-        <div class="form-group">
-          <label class="form-label">שפה (Language)</label>
-          <select class="form-select" id="knowledge-language">
-            <option value="he">עברית (he)</option>
-            <option value="en">English (en)</option>
-          </select>
-        </div>
+        <div id="doc-workspace"></div>
+      </div>
+    `;
 
-        <div class="form-group">
-          <label class="form-label">סוג קובץ</label>
-          <select class="form-select" id="knowledge-type">
-            <option value="pdf">PDF</option>
-            <option value="text">טקסט</option>
-            <option value="image">תמונה</option>
-            <option value="video">וידאו</option>
-          </select>
+    await this.showDocList();
+  }
+
+  async showDocList() {
+    const data = await this.dm.load('documents.json');
+    const docs = data.documents || [];
+    await tagManager.load();
+    const workspace = document.getElementById('doc-workspace');
+
+    if (docs.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📄</div>
+          <div class="empty-state-title">אין מסמכים</div>
+          <div class="empty-state-description">לחץ על "מסמך חדש" ליצירת המסמך הראשון</div>
         </div>
+      `;
+      return;
+    }
 
-        <div class="form-group">
-          <label class="form-label">תוכן / הערות</label>
-          <textarea class="form-textarea" id="knowledge-content" placeholder="הדבק טקסט או כתוב הערות..."></textarea>
+    workspace.innerHTML = `
+      <div class="item-list">
+        ${docs.map(doc => `
+          <div class="list-item">
+            <div class="list-item-content">
+              <div class="list-item-title">${doc.title}</div>
+              <div class="list-item-meta">
+                ${doc.type || 'כללי'} | ${doc.status || 'טיוטה'} | 🎨 ${escapeHtml(this.styleSets.setFor(doc).name)} | ${doc.createdAt}
+              </div>
+              ${doc.tags ? `<div class="tag-list">${tagManager.chips(doc.tags)}</div>` : ''}
+            </div>
+            <div class="list-item-actions">
+              <button class="btn btn-secondary" onclick="router.go('/docs/${doc.id}/edit')">✎ עריכה</button>
+              <button class="btn btn-warning" onclick="docLibrary.exportDoc('${doc.id}')">⬇ Word</button>
+              <button class="btn btn-warning" onclick="docLibrary.exportDoc('${doc.id}', 'pdf')">⬇ PDF</button>
+              <button class="btn btn-secondary" onclick="docLibrary.exportDoc('${doc.id}', 'html')">⬇ HTML</button>
+              <button class="btn btn-secondary" onclick="docLibrary.exportDoc('${doc.id}', 'md')">⬇ MD</button>
+              <button class="btn btn-danger" onclick="docLibrary.deleteDoc('${doc.id}')">🗑</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  createNewDoc() {
+    this.currentDoc = {
+      id: this.dm.generateId(),
+      title: 'מסמך חדש',
+      content: '',
+      type: 'general',
+      status: 'draft',
+      createdAt: this.dm.formatDateTime()
+    };
+    this.showEditor();
+  }
+
+  async editDoc(docId) {
+    const data = await this.dm.load('documents.json');
+    this.currentDoc = data.documents.find(d => d.id === docId);
+    if (!this.currentDoc) return false;
+    this.showEditor();
+  }
+
+  showEditor() {
+    const workspace = document.getElementById('doc-workspace');
+    workspace.innerHTML = `
+      <div class="form-group">
+        <label class="form-label">כותרת המסמך</label>
+        <input type="text" class="form-input" id="doc-title" value="${this.currentDoc.title}">
+      </div>
+
+      <div class="editor-container">
+        <div class="editor-toolbar" onmousedown="if (event.target.closest('button')) event.preventDefault()">
+          <button data-block="paragraph" title="Ctrl+Alt+0" onclick="docLibrary.editor.setBlock('paragraph')">פסקה</button>
+          <button data-block="title" title="Ctrl+Alt+4" onclick="docLibrary.editor.setBlock('heading', 'title')">כותרת</button>
+          <button data-block="heading1" title="Ctrl+Alt+1" onclick="docLibrary.editor.setBlock('heading', 'heading1')">כותרת 1</button>
+          <button data-block="heading2" title="Ctrl+Alt+2" onclick="docLibrary.editor.setBlock('heading', 'heading2')">כותרת 2</button>
+          <button data-block="heading3" title="Ctrl+Alt+3" onclick="docLibrary.editor.setBlock('heading', 'heading3')">כותרת 3</button>
+          <button data-block="quote" title="Ctrl+Shift+9" onclick="docLibrary.editor.setBlock('quote')">ציטוט</button>
+          <button data-block="list:bullet" title="Ctrl+Shift+8" onclick="docLibrary.editor.setBlock('list', 'bullet')">• רשימה</button>
+          <button data-block="list:ordered" title="Ctrl+Shift+7" onclick="docLibrary.editor.setBlock('list', 'ordered')">1. רשימה</button>
+          <button data-mark="bold" title="Ctrl+B" onclick="docLibrary.editor.toggleMark('bold')"><b>B</b></button>
+          <button data-mark="italic" title="Ctrl+I" onclick="docLibrary.editor.toggleMark('italic')"><i>I</i></button>
+          <button data-mark="underline" title="Ctrl+U" onclick="docLibrary.editor.toggleMark('underline')"><u>U</u></button>
+          <button title="תמונה" onclick="docLibrary.chooseImage()">🖼</button>
+          <button title="טבלה" onclick="docLibrary.insertTable()">▦</button>
+          <button title="ביטול (Ctrl+Z)" onclick="docLibrary.editor.undo()">↶</button>
+          <button title="חזרה (Ctrl+Y)" onclick="docLibrary.editor.redo()">↷</button>
         </div>
+        <div class="editor-content" contenteditable="true" id="doc-editor"></div>
+      </div>
+
+      <div class="form-group mt-2">
+        <label class="form-label">סוג מסמך</label>
+        <select class="form-select" id="doc-type">
+          <option value="general" ${this.currentDoc.type === 'general' ? 'selected' : ''}>כללי</option>
+          <option value="report" ${this.currentDoc.type === 'report' ? 'selected' : ''}>דוח</option>
+          <option value="article" ${this.currentDoc.type === 'article' ? 'selected' : ''}>מאמר</option>
+          <option value="note" ${this.currentDoc.type === 'note' ? 'selected' : ''}>הערה</option>
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">סטטוס</label>
+        <select class="form-select" id="doc-status">
+          <option value="draft" ${this.currentDoc.status === 'draft' ? 'selected' : ''}>טיוטה</option>
+          <option value="review" ${this.currentDoc.status === 'review' ? 'selected' : ''}>בסקירה</option>
+          <option value="final" ${this.currentDoc.status === 'final' ? 'selected' : ''}>סופי</option>
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">ערכת סגנונות</label>
+        <select class="form-select" id="doc-style-set" onchange="docLibrary.previewStyleSet(this.value)">
+          ${this.styleSets.options(this.styleSets.setFor(this.currentDoc).id)}
+        </select>
+      </div>
+
+      ${tagManager.input('doc-tags', this.currentDoc.tags)}
+
+      <div class="btn-group mt-2">
+        <button class="btn btn-success" onclick="docLibrary.saveDoc()">💾 שמירה</button>
+        <button class="btn btn-warning" onclick="docLibrary.exportCurrentDoc()">⬇ Word</button>
+        <button class="btn btn-warning" onclick="docLibrary.exportCurrentDoc('pdf')">⬇ PDF</button>
+        <button class="btn btn-secondary" onclick="docLibrary.exportCurrentDoc('html')">⬇ HTML</button>
+        <button class="btn btn-secondary" onclick="docLibrary.exportCurrentDoc('md')">⬇ MD</button>
+        <button class="btn btn-secondary" onclick="router.go('/docs')">← חזרה</button>
+      </div>
+    `;
+
+    this.editor = new BlockEditor(document.getElementById('doc-editor'), this.currentDoc.content, {
+      styles: this.styleSets.stylesFor(this.currentDoc),
+      toolbar: workspace.querySelector('.editor-toolbar')
+    });
+  }
+
+  previewStyleSet(setId) {
+    this.editor.applyStyles(this.styleSets.stylesFor({ styleSet: setId }));
+  }
+
+  chooseImage() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = () => {
+      const file = input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => this.editor.insertImage(reader.result, file.name.replace(/\.[^.]+$/, ''));
+      reader.readAsDataURL(file);
+    };
+    input.click();
+  }
+
+  insertTable() {
+    const size = /(\d+)\s*[x×*]\s*(\d+)/.exec(prompt('גודל הטבלה (שורות × עמודות):', '3x3') || '');
+    if (size) this.editor.insertTable(Math.min(Number(size[1]), 50) || 1, Math.min(Number(size[2]), 10) || 1);
+  }
+
+  async saveDoc() {
+    const title = document.getElementById('doc-title').value;
+    const content = this.editor.getHtml();
+    const type = document.getElementById('doc-type').value;
+    const status = document.getElementById('doc-status').value;
+
+    this.currentDoc.title = title;
+    this.currentDoc.content = content;
+    this.currentDoc.type = type;
+    this.currentDoc.status = status;
+    this.currentDoc.styleSet = document.getElementById('doc-style-set').value;
+    this.currentDoc.updatedAt = this.dm.formatDateTime();
+    await tagManager.apply(this.currentDoc, 'doc-tags');
+
+    const data = await this.dm.load('documents.json');
+    const existingIndex = data.documents.findIndex(d => d.id === this.currentDoc.id);
+
+    if (existingIndex >= 0) {
+      data.documents[existingIndex] = this.currentDoc;
+    } else {
+      data.documents.push(this.currentDoc);
+      router.replace(`/docs/${this.currentDoc.id}/edit`);
+    }
+
+    if (!await this.dm.save('documents.json', data)) return;
+    this.keepMarkdownCopy(this.currentDoc);
+
+    this.showToast('✓ המסמך נשמר בהצלחה');
+  }
+
+  // The Markdown copy sits next to documents.json for backups. Inline images
+  // can make it too big for localStorage; then the stale copy is dropped
+  // rather than failing a save that already succeeded.
+  keepMarkdownCopy(doc) {
+    const key = `btk_doc_${doc.id}.md`;
+    try {
+      localStorage.setItem(key, MarkdownConverter.toMarkdown(doc.content, doc.title));
+    } catch (error) {
+      console.warn(`[BTK] No room for the Markdown copy of ${doc.id}`, error);
+      localStorage.removeItem(key);
+    }
+  }
+
+  chooseMarkdownFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.md,.markdown,text/markdown,text/plain';
+    input.onchange = () => {
+      if (input.files[0]) this.importMarkdown(input.files[0]);
+    };
+    input.click();
+  }
+
+  // The file's leading "# " heading becomes the title, else its name
+  async importMarkdown(file) {
+    const { title, html } = MarkdownConverter.toHtml(await file.text());
+    const doc = {
+      id: this.dm.generateId(),
+      title: title || file.name.replace(/\.(md|markdown|txt)$/i, ''),
+      content: DocumentModel.toHtml(DocumentModel.fromHtml(html)),
+      type: 'general',
+      status: 'draft',
+      createdAt: this.dm.formatDateTime()
+    };
+
+    const data = await this.dm.load('documents.json');
+    data.documents.push(doc);
+    if (!await this.dm.save('documents.json', data)) return;
+    this.keepMarkdownCopy(doc);
+
+    router.go(`/docs/${doc.id}/edit`);
+    this.showToast('✓ המסמך יובא מ-Markdown');
+  }
+
+  // Exports what is in the editor, including unsaved changes
+  async exportCurrentDoc(format = 'docx') {
+    if (!this.currentDoc) return;
+
+    const exported = await this.download({
+      ...this.currentDoc,
+      title: document.getElementById('doc-title').value || this.currentDoc.title,
+      content: this.editor.getHtml(),
+      styleSet: document.getElementById('doc-style-set').value
+    }, format);
+    if (exported) this.showToast('✓ המסמך יוצא בהצלחה');
+  }
+
+  async exportDoc(docId, format = 'docx') {
+    const data = await this.dm.load('documents.json');
+    const doc = data.documents.find(d => d.id === docId);
+    if (doc && await this.download(doc, format)) {
+      this.showToast('✓ המסמך יוצא');
+    }
+  }
+
+  // Returns false (after telling the user) when the file could not be made
+  async download(doc, format) {
+    try {
+      await this.styleSets.load();
+      const styles = this.styleSets.stylesFor(doc);
+      let blob;
+      if (format === 'pdf') {
+        const toc = PdfExporter.headings(DocumentModel.fromHtml(doc.content || '')).size > 0
+          && confirm('להוסיף תוכן עניינים לפי הכותרות?');
+        blob = await new PdfExporter(styles).build(doc, { toc, author: this.dm.activity.getActor() });
+      } else if (format === 'docx') {
+        blob = new DocxWriter(styles).build(doc, this.dm.activity.getActor()).toBlob(DocxWriter.mimeType);
+      } else if (format === 'md') {
+        blob = new Blob([MarkdownConverter.toMarkdown(doc.content, doc.title)], { type: 'text/markdown;charset=utf-8' });
+      } else {
+        blob = new Blob([this.htmlPage(doc, styles)], { type: 'text/html;charset=utf-8' });
+      }
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${doc.title}.${format}`;
+      a.click();
+      return true;
+    } catch (error) {
+      console.error(`[BTK] Export to ${format} failed`, error);
+      this.showToast(`⚠️ היצוא נכשל: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Standalone page styled by the document's style set
+  htmlPage(doc, styles) {
+    return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(doc.title || '')}</title>
+<style>
+body { max-width: 48em; margin: 2em auto; padding: 0 1em; font-family: Arial, sans-serif; }
+img { max-width: 100%; }
+figure { margin: 0 0 1em; text-align: center; }
+table { border-collapse: collapse; width: 100%; }
+td { border: 1px solid #ccc; padding: 0.25em 0.5em; vertical-align: top; }
+${BlockEditor.css(styles, 'body')}
+</style>
+</head>
+<body>
+${doc.content || ''}
+</body>
+</html>`;
+  }
+
+  async deleteDoc(docId) {
+    if (!await trashBin.discard('documents.json', 'documents', docId)) return;
+    await this.showDocList();
+    this.dm.history.offerUndo('🗑 המסמך הועבר לסל המחזור');
+  }
+
+  getDashboardWidgets() {
+    return [
+      {
+        id: 'recent-docs',
+        title: '📄 מסמכים אחרונים',
+        link: '/docs',
+        render: async () => {
+          const docs = [...((await this.dm.load('documents.json')).documents || [])]
+            .sort((a, b) => (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || ''))
+            .slice(0, 5);
+          if (docs.length === 0) return '<p class="text-muted">אין מסמכים עדיין</p>';
+          return `
+            <ul class="review-list">
+              ${docs.map(doc => `
+                <li><a href="#/docs/${doc.id}/edit">${doc.title}</a>
+                  <span class="text-muted">(${(doc.updatedAt || doc.createdAt || '').slice(0, 10)})</span></li>
+              `).join('')}
+            </ul>
+          `;
+        }
+      }
+    ];
+  }
+
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
+  }
+}
+
+// ============================================
+// Module 3: Learning Environment
+// ============================================
+class LearningEnvironmentModule {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.currentItem = null;
+    this.viewMode = 'hierarchical'; // Default to hierarchical view
+    this.currentFilters = {};
+  }
+
+  async render() {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">📚 סביבת למידה</h1>
+          <p class="module-description">העלאת חומרי למידה, הדגשות ותקצירים</p>
+        </div>
+
+        <div class="btn-group mb-2">
+          <button class="btn" onclick="router.go('/knowledge/new')">+ העלאת חומר</button>
+          <button class="btn btn-secondary" onclick="router.go('/knowledge')">📚 רשימת פריטים</button>
+        </div>
+
+        <div id="knowledge-workspace"></div>
+      </div>
+    `;
+
+    await this.showKnowledgeList();
+  }
+
+  async showKnowledgeList(filters = {}) {
+    const data = await this.dm.load('knowledge.json');
+    await tagManager.load();
+    let items = data.items || [];
+    const workspace = document.getElementById('knowledge-workspace');
+
+    // Apply filters
+    if (filters.course) {
+      items = items.filter(item => item.course === filters.course);
+    }
+    if (filters.unitNumber) {
+      items = items.filter(item => item.unitNumber === filters.unitNumber);
+    }
+    if (filters.documentType) {
+      items = items.filter(item => item.documentType === filters.documentType);
+    }
+
+    if (items.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📚</div>
+          <div class="empty-state-title">אין פריטי ידע</div>
+          <div class="empty-state-description">לחץ על "העלאת חומר" להתחלה</div>
+        </div>
+      `;
+      return;
+    }
+
+    // Get all unique values for filters
+    const allItems = data.items || [];
+    const allCourses = [...new Set(allItems.map(i => i.course).filter(c => c))].sort();
+    const allUnits = [...new Set(allItems.map(i => i.unitNumber).filter(u => u))].sort();
+    const allDocTypes = [...new Set(allItems.map(i => i.documentType).filter(d => d))];
+
+    workspace.innerHTML = `
+      <div style="margin-bottom: 1.5rem;">
+        <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
+          <button class="btn ${!filters.course && !filters.unitNumber && !filters.documentType ? 'btn-success' : 'btn-secondary'}"
+                  onclick="router.go('/knowledge')">
+            📚 הכל
+          </button>
+          <button class="btn btn-secondary" onclick="knowledgeEnv.toggleViewMode()">
+            ${this.viewMode === 'hierarchical' ? '📋 תצוגה שטוחה' : '🗂 תצוגה היררכית'}
+          </button>
+        </div>
+
+        <div style="display: flex; gap: 1rem; flex-wrap: wrap; background: var(--bg-dark); padding: 1rem; border-radius: 8px;">
+          <div style="flex: 1; min-width: 200px;">
+            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי קורס:</label>
+            <select class="form-select" onchange="knowledgeEnv.applyFilter('course', this.value)">
+              <option value="">-- כל הקורסים --</option>
+              ${allCourses.map(c => `<option value="${c}" ${filters.course === c ? 'selected' : ''}>${c}</option>`).join('')}
+            </select>
+          </div>
+          <div style="flex: 1; min-width: 200px;">
+            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי יחידה:</label>
+            <select class="form-select" onchange="knowledgeEnv.applyFilter('unitNumber', this.value)">
+              <option value="">-- כל היחידות --</option>
+              ${allUnits.map(u => `<option value="${u}" ${filters.unitNumber === u ? 'selected' : ''}>${u}</option>`).join('')}
+            </select>
+          </div>
+          <div style="flex: 1; min-width: 200px;">
+            <label class="form-label" style="margin-bottom: 0.5rem; display: block;">סינון לפי סוג:</label>
+            <select class="form-select" onchange="knowledgeEnv.applyFilter('documentType', this.value)">
+              <option value="">-- כל הסוגים --</option>
+              ${allDocTypes.map(d => `<option value="${d}" ${filters.documentType === d ? 'selected' : ''}>${d}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div id="knowledge-list-content"></div>
+    `;
+
+    // Store current filters
+    this.currentFilters = filters;
+
+    // Render based on view mode
+    if (this.viewMode === 'hierarchical') {
+      this.renderHierarchicalView(items);
+    } else {
+      this.renderFlatView(items);
+    }
+  }
+
+  renderHierarchicalView(items) {
+    const content = document.getElementById('knowledge-list-content');
+
+    // Group items by Course → UnitNumber → DocumentType
+    const hierarchy = {};
+
+    items.forEach(item => {
+      const course = item.course || 'ללא קורס';
+      const unit = item.unitNumber || 'ללא יחידה';
+      const docType = item.documentType || 'ללא סוג';
+
+      if (!hierarchy[course]) hierarchy[course] = {};
+      if (!hierarchy[course][unit]) hierarchy[course][unit] = {};
+      if (!hierarchy[course][unit][docType]) hierarchy[course][unit][docType] = [];
+
+      hierarchy[course][unit][docType].push(item);
+    });
+
+    // Sort courses
+    const courses = Object.keys(hierarchy).sort();
+
+    // Document type order
+    const docTypeOrder = ['Theory', 'Exercise', 'Summary', 'Reflection'];
+
+    let html = '<div style="display: flex; flex-direction: column; gap: 1.5rem;">';
+
+    courses.forEach(course => {
+      html += `
+        <div class="card" style="background: var(--bg-darker);">
+          <div class="card-title" style="background: var(--accent-purple); color: white; padding: 1rem; border-radius: 6px 6px 0 0; margin: -1rem -1rem 1rem -1rem;">
+            ${course}
+          </div>
+          <div class="card-content">
+      `;
+
+      // Sort units
+      const units = Object.keys(hierarchy[course]).sort();
+
+      units.forEach(unit => {
+        html += `
+          <div style="margin-bottom: 1.5rem; padding: 1rem; background: var(--bg-dark); border-radius: 6px; border-right: 4px solid var(--accent-blue);">
+            <h3 style="color: var(--accent-blue); margin: 0 0 1rem 0;">${unit}</h3>
+        `;
+
+        // Sort document types by predefined order
+        const docTypes = Object.keys(hierarchy[course][unit]).sort((a, b) => {
+          const indexA = docTypeOrder.indexOf(a);
+          const indexB = docTypeOrder.indexOf(b);
+          if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+          if (indexA === -1) return 1;
+          if (indexB === -1) return -1;
+          return indexA - indexB;
+        });
+
+        docTypes.forEach(docType => {
+          const docItems = hierarchy[course][unit][docType];
+
+          html += `
+            <div style="margin-bottom: 1rem;">
+              <div style="font-weight: bold; color: var(--accent-green); margin-bottom: 0.5rem; padding: 0.5rem; background: var(--bg-darker); border-radius: 4px;">
+                📄 ${docType} (${docItems.length})
+              </div>
+              <div style="display: flex; flex-direction: column; gap: 0.5rem; margin-right: 1rem;">
+          `;
+
+          docItems.forEach(item => {
+            html += `
+              <div class="list-item" style="padding: 0.75rem; background: var(--bg-darker); border-radius: 4px; border-right: 3px solid var(--accent-green);">
+                <div style="display: flex; justify-content: space-between; align-items: start; gap: 1rem;">
+                  <div style="flex: 1;">
+                    <div style="font-weight: bold; margin-bottom: 0.25rem;">${item.title}</div>
+                    <div style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.5rem;">
+                      ${item.summary ? item.summary.substring(0, 100) + (item.summary.length > 100 ? '...' : '') : 'אין תקציר'}
+                    </div>
+                    ${item.tags ? `<div class="tag-list">${tagManager.chips(item.tags)}</div>` : ''}
+                    <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                      <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
+                      ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
+                      <span style="font-size: 0.85rem; color: var(--text-muted);">
+                        ${item.highlights || 0} הדגשות | ${item.notes || 0} הערות
+                      </span>
+                    </div>
+                    <div style="font-size: 0.75rem; color: var(--text-muted); margin-top: 0.5rem;">
+                      ${item.createdAt}
+                    </div>
+                  </div>
+                  <div style="display: flex; gap: 0.5rem; flex-shrink: 0;">
+                    <button class="btn btn-secondary" style="padding: 0.5rem 1rem;" onclick="router.go('/knowledge/${item.id}')">👁 צפייה</button>
+                    <button class="btn btn-danger" style="padding: 0.5rem 1rem;" onclick="knowledgeEnv.deleteItem('${item.id}')">🗑</button>
+                  </div>
+                </div>
+              </div>
+            `;
+          });
+
+          html += `
+              </div>
+            </div>
+          `;
+        });
+
+        html += `
+          </div>
+        `;
+      });
+
+      html += `
+          </div>
+        </div>
+      `;
+    });
+
+    html += '</div>';
+
+    content.innerHTML = html;
+  }
+
+  renderFlatView(items) {
+    const content = document.getElementById('knowledge-list-content');
+
+    content.innerHTML = `
+      <div class="card-grid">
+        ${items.map(item => `
+          <div class="card">
+            <div class="card-title">${item.title}</div>
+            <div class="card-content">
+              <div style="margin-bottom: 0.5rem;">
+                <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
+                ${item.course ? `<span class="badge" style="background: var(--accent-purple);">${item.course}</span>` : ''}
+                ${item.unitNumber ? `<span class="badge" style="background: var(--accent-blue);">${item.unitNumber}</span>` : ''}
+                ${item.documentType ? `<span class="badge" style="background: var(--accent-green);">${item.documentType}</span>` : ''}
+                ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
+              </div>
+              <p style="margin-top: 0.5rem;">${item.summary || 'אין תקציר'}</p>
+              ${item.tags ? `<div class="tag-list">${tagManager.chips(item.tags)}</div>` : ''}
+            </div>
+            <div class="card-meta">
+              ${item.highlights || 0} הדגשות | ${item.notes || 0} הערות
+              <div style="margin-top: 0.5rem;">
+                <button class="btn btn-secondary" onclick="router.go('/knowledge/${item.id}')">👁 צפייה</button>
+                <button class="btn btn-danger" onclick="knowledgeEnv.deleteItem('${item.id}')">🗑</button>
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  toggleViewMode() {
+    this.viewMode = this.viewMode === 'hierarchical' ? 'flat' : 'hierarchical';
+    this.showKnowledgeList(this.currentFilters || {});
+  }
+
+  applyFilter(filterType, value) {
+    const filters = { ...this.currentFilters };
+    if (value) {
+      filters[filterType] = value;
+    } else {
+      delete filters[filterType];
+    }
+    router.go(this.listPath(filters));
+  }
+
+  // #/knowledge?course=C01&unit=U02&type=Theory
+  listPath(filters = this.currentFilters || {}) {
+    const query = new URLSearchParams();
+    if (filters.course) query.set('course', filters.course);
+    if (filters.unitNumber) query.set('unit', filters.unitNumber);
+    if (filters.documentType) query.set('type', filters.documentType);
+    const queryString = query.toString();
+    return queryString ? `/knowledge?${queryString}` : '/knowledge';
+  }
+
+  filtersFromQuery(query) {
+    const filters = {};
+    if (query.course) filters.course = query.course;
+    if (query.unit) filters.unitNumber = query.unit;
+    if (query.type) filters.documentType = query.type;
+    return filters;
+  }
+
+  getTypeLabel(type) {
+    const labels = {
+      pdf: 'PDF',
+      text: 'טקסט',
+      image: 'תמונה',
+      video: 'וידאו'
+    };
+    return labels[type] || type;
+  }
+
+  uploadItem() {
+    const workspace = document.getElementById('knowledge-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h3 class="card-title">העלאת חומר למידה חדש</h3>
+
+        <div class="form-group">
+          <label class="form-label">כותרת</label>
+          <input type="text" class="form-input" id="knowledge-title" placeholder="שם החומר">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">קורס (Course)</label>
+          <select class="form-select" id="knowledge-course">
+            <option value="">-- בחר קורס --</option>
+            <option value="C01">C01 – מבוא לאנטומיה ומכניקה של נגינה</option>
+            <option value="C02">C02 – מבוא למדעי המוח במוזיקה</option>
+            <option value="C03">C03 – מבוא למחקר למוזיקאים</option>
+            <option value="C04">C04 – נוירופלסטיות ולמידה ממוקדת</option>
+            <option value="C05">C05 – יומן אימון: מתודולוגיה איכותנית</option>
+            <option value="C05_1">C05_1 – מתודיקה לפסנתר: גישות ויישום</option>
+            <option value="C06">C06 – ניתוח תנועה וקשב בנגינה</option>
+            <option value="C07">C07 – תכנון מחקר אישי (Pre-Project)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">יחידה (Unit Number)</label>
+          <input type="text" class="form-input" id="knowledge-unit" placeholder="למשל: U01, U02, U03">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סוג מסמך (Document Type)</label>
+          <select class="form-select" id="knowledge-doctype">
+            <option value="">-- בחר סוג --</option>
+            <option value="Theory">Theory (תיאוריה)</option>
+            <option value="Exercise">Exercise (תרגול)</option>
+            <option value="Summary">Summary (סיכום)</option>
+            <option value="Reflection">Reflection (רפלקציה)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">שפה (Language)</label>
+          <select class="form-select" id="knowledge-language">
+            <option value="he">עברית (he)</option>
+            <option value="en">English (en)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סוג קובץ</label>
+          <select class="form-select" id="knowledge-type">
+            <option value="pdf">PDF</option>
+            <option value="text">טקסט</option>
+            <option value="image">תמונה</option>
+            <option value="video">וידאו</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תוכן / הערות</label>
+          <textarea class="form-textarea" id="knowledge-content" placeholder="הדבק טקסט או כתוב הערות..."></textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תקציר</label>
+          <textarea class="form-textarea" id="knowledge-summary" placeholder="תקציר קצר של החומר..."></textarea>
+        </div>
+
+        ${tagManager.input('knowledge-tags')}
+
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="knowledgeEnv.saveItem()">💾 שמירה</button>
+          <button class="btn btn-secondary" onclick="router.go(knowledgeEnv.listPath())">← ביטול</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async saveItem(itemId = null) {
+    const title = document.getElementById('knowledge-title').value;
+    const type = document.getElementById('knowledge-type').value;
+    const content = document.getElementById('knowledge-content').value;
+    const summary = document.getElementById('knowledge-summary').value;
+    const course = document.getElementById('knowledge-course').value;
+    const unitNumber = document.getElementById('knowledge-unit').value;
+    const documentType = document.getElementById('knowledge-doctype').value;
+    const language = document.getElementById('knowledge-language').value;
+
+    if (!title) {
+      alert('יש למלא כותרת');
+      return;
+    }
+
+    const data = await this.dm.load('knowledge.json');
+    let item;
+
+    if (itemId) {
+      // Edit existing item
+      item = data.items.find(i => i.id === itemId);
+      if (item) {
+        item.title = title;
+        item.type = type;
+        item.content = content;
+        item.summary = summary;
+        item.course = course;
+        item.unitNumber = unitNumber;
+        item.documentType = documentType;
+        item.language = language;
+        item.updatedAt = this.dm.formatDateTime();
+      }
+    } else {
+      // Create new item
+      item = {
+        id: this.dm.generateId(),
+        title,
+        type,
+        content,
+        summary,
+        course,
+        unitNumber,
+        documentType,
+        language,
+        highlights: 0,
+        notes: 0,
+        userNotes: [],
+        createdAt: this.dm.formatDateTime()
+      };
+      data.items.push(item);
+    }
+    if (item) await tagManager.apply(item, 'knowledge-tags');
+
+    if (!await this.dm.save('knowledge.json', data)) return;
+
+    // Per-item copy
+    if (item) {
+      localStorage.setItem(`btk_knowledge_${item.id}.json`, JSON.stringify(item, null, 2));
+    }
+
+    this.showToast('✓ החומר נשמר בהצלחה');
+    router.go(this.listPath());
+  }
+
+  async viewItem(itemId) {
+    const data = await this.dm.load('knowledge.json');
+    await tagManager.load();
+    const item = data.items.find(i => i.id === itemId);
+
+    if (!item) return false;
+
+    const workspace = document.getElementById('knowledge-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h2 class="card-title">${item.title}</h2>
+        <div class="card-content">
+          <div style="margin-bottom: 1rem;">
+            <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
+            ${item.course ? `<span class="badge" style="background: var(--accent-purple);">${item.course}</span>` : ''}
+            ${item.unitNumber ? `<span class="badge" style="background: var(--accent-blue);">${item.unitNumber}</span>` : ''}
+            ${item.documentType ? `<span class="badge" style="background: var(--accent-green);">${item.documentType}</span>` : ''}
+            ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
+          </div>
+          ${item.tags ? `<div class="tag-list">${tagManager.chips(item.tags)}</div>` : ''}
+
+          <h3 style="margin-top: 1rem; color: var(--accent-blue);">תקציר</h3>
+          <p>${item.summary || 'אין תקציר'}</p>
+
+          <h3 style="margin-top: 1rem; color: var(--accent-blue);">תוכן</h3>
+          <div style="white-space: pre-wrap; background: var(--bg-dark); padding: 1rem; border-radius: 6px; margin-top: 0.5rem;">
+            ${item.content || 'אין תוכן'}
+          </div>
+
+          ${item.userNotes && item.userNotes.length > 0 ? `
+            <h3 style="margin-top: 1rem; color: var(--accent-blue);">הערות (${item.userNotes.length})</h3>
+            <div style="background: var(--bg-dark); padding: 1rem; border-radius: 6px; margin-top: 0.5rem;">
+              ${item.userNotes.map(note => `
+                <div style="margin-bottom: 0.5rem; padding: 0.5rem; background: var(--bg-darker); border-radius: 4px;">
+                  <div style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.25rem;">${note.createdAt}</div>
+                  <div>${note.text}</div>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+
+          <div style="margin-top: 1rem;">
+            <button class="btn" onclick="knowledgeEnv.addHighlight('${item.id}')">✨ הוסף הדגשה (${item.highlights || 0})</button>
+            <button class="btn btn-secondary" onclick="knowledgeEnv.addNote('${item.id}')">📝 הוסף הערה</button>
+            <button class="btn btn-warning" onclick="knowledgeEnv.readAloud('${item.id}')">🔊 הקראה</button>
+          </div>
+
+          <div style="margin-top: 1rem;">
+            <button class="btn" onclick="router.go('/knowledge/${item.id}/edit')">✏️ עריכה</button>
+            <button class="btn btn-secondary" onclick="router.go(knowledgeEnv.listPath())">← חזרה</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async editItem(itemId) {
+    const data = await this.dm.load('knowledge.json');
+    await tagManager.load();
+    const item = data.items.find(i => i.id === itemId);
+
+    if (!item) return false;
+
+    const workspace = document.getElementById('knowledge-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h3 class="card-title">עריכת חומר למידה</h3>
+
+        <div class="form-group">
+          <label class="form-label">כותרת</label>
+          <input type="text" class="form-input" id="knowledge-title" value="${item.title || ''}" placeholder="שם החומר">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">קורס (Course)</label>
+          <select class="form-select" id="knowledge-course">
+            <option value="">-- בחר קורס --</option>
+            <option value="C01" ${item.course === 'C01' ? 'selected' : ''}>C01 – מבוא לאנטומיה ומכניקה של נגינה</option>
+            <option value="C02" ${item.course === 'C02' ? 'selected' : ''}>C02 – מבוא למדעי המוח במוזיקה</option>
+            <option value="C03" ${item.course === 'C03' ? 'selected' : ''}>C03 – מבוא למחקר למוזיקאים</option>
+            <option value="C04" ${item.course === 'C04' ? 'selected' : ''}>C04 – נוירופלסטיות ולמידה ממוקדת</option>
+            <option value="C05" ${item.course === 'C05' ? 'selected' : ''}>C05 – יומן אימון: מתודולוגיה איכותנית</option>
+            <option value="C05_1" ${item.course === 'C05_1' ? 'selected' : ''}>C05_1 – מתודיקה לפסנתר: גישות ויישום</option>
+            <option value="C06" ${item.course === 'C06' ? 'selected' : ''}>C06 – ניתוח תנועה וקשב בנגינה</option>
+            <option value="C07" ${item.course === 'C07' ? 'selected' : ''}>C07 – תכנון מחקר אישי (Pre-Project)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">יחידה (Unit Number)</label>
+          <input type="text" class="form-input" id="knowledge-unit" value="${item.unitNumber || ''}" placeholder="למשל: U01, U02, U03">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סוג מסמך (Document Type)</label>
+          <select class="form-select" id="knowledge-doctype">
+            <option value="">-- בחר סוג --</option>
+            <option value="Theory" ${item.documentType === 'Theory' ? 'selected' : ''}>Theory (תיאוריה)</option>
+            <option value="Exercise" ${item.documentType === 'Exercise' ? 'selected' : ''}>Exercise (תרגול)</option>
+            <option value="Summary" ${item.documentType === 'Summary' ? 'selected' : ''}>Summary (סיכום)</option>
+            <option value="Reflection" ${item.documentType === 'Reflection' ? 'selected' : ''}>Reflection (רפלקציה)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">שפה (Language)</label>
+          <select class="form-select" id="knowledge-language">
+            <option value="he" ${item.language === 'he' ? 'selected' : ''}>עברית (he)</option>
+            <option value="en" ${item.language === 'en' ? 'selected' : ''}>English (en)</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סוג קובץ</label>
+          <select class="form-select" id="knowledge-type">
+            <option value="pdf" ${item.type === 'pdf' ? 'selected' : ''}>PDF</option>
+            <option value="text" ${item.type === 'text' ? 'selected' : ''}>טקסט</option>
+            <option value="image" ${item.type === 'image' ? 'selected' : ''}>תמונה</option>
+            <option value="video" ${item.type === 'video' ? 'selected' : ''}>וידאו</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תוכן / הערות</label>
+          <textarea class="form-textarea" id="knowledge-content" placeholder="הדבק טקסט או כתוב הערות...">${item.content || ''}</textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תקציר</label>
+          <textarea class="form-textarea" id="knowledge-summary" placeholder="תקציר קצר של החומר...">${item.summary || ''}</textarea>
+        </div>
+
+        ${tagManager.input('knowledge-tags', item.tags)}
+
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="knowledgeEnv.saveItem('${item.id}')">💾 שמירה</button>
+          <button class="btn btn-secondary" onclick="router.go('/knowledge/${item.id}')">← ביטול</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async addHighlight(itemId) {
+    const data = await this.dm.load('knowledge.json');
+    const item = data.items.find(i => i.id === itemId);
+    if (item) {
+      item.highlights = (item.highlights || 0) + 1;
+      if (!await this.dm.save('knowledge.json', data)) return;
+      this.showToast('✓ הדגשה נוספה');
+      await this.viewItem(itemId);
+    }
+  }
+
+  async addNote(itemId) {
+    const note = prompt('הכנס הערה:');
+    if (note) {
+      const data = await this.dm.load('knowledge.json');
+      const item = data.items.find(i => i.id === itemId);
+      if (item) {
+        item.notes = (item.notes || 0) + 1;
+        if (!item.userNotes) item.userNotes = [];
+        item.userNotes.push({ text: note, createdAt: this.dm.formatDateTime() });
+        if (!await this.dm.save('knowledge.json', data)) return;
+        this.showToast('✓ הערה נוספה');
+      }
+    }
+  }
+
+  readAloud(itemId) {
+    this.showToast('🔊 תכונת הקראה תהיה זמינה בקרוב');
+  }
+
+  async deleteItem(itemId) {
+    if (!await trashBin.discard('knowledge.json', 'items', itemId)) return;
+    await this.showKnowledgeList();
+    this.dm.history.offerUndo('🗑 הפריט הועבר לסל המחזור');
+  }
+
+  // Units covered per course; the planned unit count is kept in
+  // dashboard.json › knowledgeSummary so the dashboard can show coverage
+  getDashboardWidgets() {
+    return [
+      {
+        id: 'knowledge-coverage',
+        title: '📚 כיסוי ידע לפי קורס',
+        link: '/knowledge',
+        render: async dashData => {
+          const items = (await this.dm.load('knowledge.json')).items || [];
+          const courses = Object.entries(WorkspaceStats.groupBy(items, 'course')).sort(([a], [b]) => a.localeCompare(b));
+          if (courses.length === 0) return '<p class="text-muted">אין פריטי ידע עדיין</p>';
+          return courses.map(([course, group]) => {
+            const units = new Set(group.map(item => item.unitNumber).filter(unit => unit)).size;
+            const planned = (dashData.knowledgeSummary[course] || {}).plannedUnits;
+            return `
+              <div class="mb-1">
+                <div style="display: flex; justify-content: space-between; gap: 0.5rem;">
+                  <a href="#/knowledge?course=${encodeURIComponent(course)}">${course}</a>
+                  <span class="text-muted">
+                    ${group.length} פריטים · ${planned ? `${units}/${planned} יחידות` : `${units} יחידות`}
+                    <button class="btn btn-secondary" onclick="knowledgeEnv.setPlannedUnits('${course}')" title="מספר יחידות מתוכנן">🎯</button>
+                  </span>
+                </div>
+                ${planned ? `<div class="progress-bar"><div class="progress-fill" style="width: ${Math.min(100, Math.round((units / planned) * 100))}%;"></div></div>` : ''}
+              </div>
+            `;
+          }).join('');
+        }
+      }
+    ];
+  }
+
+  async setPlannedUnits(course) {
+    const dashData = await this.dm.load('dashboard.json');
+    const current = (dashData.knowledgeSummary[course] || {}).plannedUnits || '';
+    const value = prompt(`מספר היחידות המתוכנן בקורס ${course}:`, current);
+    if (value === null) return;
+
+    const plannedUnits = parseInt(value, 10);
+    if (plannedUnits > 0) {
+      dashData.knowledgeSummary[course] = { ...dashData.knowledgeSummary[course], plannedUnits };
+    } else {
+      delete dashData.knowledgeSummary[course];
+    }
+    if (!await this.dm.save('dashboard.json', dashData)) return;
+    if (router.currentView === 'dashboard') await dashboard.loadData();
+  }
+
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
+  }
+}
+
+// ============================================
+// Module 4: Creative Studio
+// ============================================
+class CreativeStudioModule {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.currentProject = null;
+    this.currentPartId = null;
+    this.currentSectionId = null;
+  }
+
+  async render() {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">✍️ סטודיו כתיבה יצירתית</h1>
+          <p class="module-description">כתיבה מובנית: ספר → חלק → פרק → מקטע</p>
+        </div>
+
+        <div class="btn-group mb-2">
+          <button class="btn" onclick="router.go('/writing/new')">+ פרויקט חדש</button>
+          <button class="btn btn-secondary" onclick="router.go('/writing')">📖 הפרויקטים שלי</button>
+        </div>
+
+        <div id="writing-workspace"></div>
+      </div>
+    `;
+
+    await this.showProjectList();
+  }
+
+  async showProjectList() {
+    const data = await this.dm.load('writing_projects.json');
+    await tagManager.load();
+    const projects = data.projects || [];
+    const workspace = document.getElementById('writing-workspace');
+
+    if (projects.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">✍️</div>
+          <div class="empty-state-title">אין פרויקטי כתיבה</div>
+          <div class="empty-state-description">צור פרויקט חדש להתחלת כתיבה</div>
+        </div>
+      `;
+      return;
+    }
+
+    workspace.innerHTML = `
+      <div class="card-grid">
+        ${projects.map(project => `
+          <div class="card">
+            <div class="card-title">${project.title}</div>
+            <div class="card-content">
+              <p>${project.description || 'אין תיאור'}</p>
+              <div style="margin-top: 1rem;">
+                <span class="badge badge-info">${project.parts?.length || 0} חלקים</span>
+                <span class="badge badge-success">${project.wordCount || 0} מילים</span>
+              </div>
+              ${project.tags ? `<div class="tag-list">${tagManager.chips(project.tags)}</div>` : ''}
+            </div>
+            <div class="card-meta">
+              <button class="btn btn-secondary" onclick="router.go('/writing/${project.id}')">✎ פתיחה</button>
+              <button class="btn btn-warning" onclick="writingStudio.exportProject('${project.id}')">⬇ יצוא</button>
+              <button class="btn btn-danger" onclick="writingStudio.deleteProject('${project.id}')">🗑</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  createProject() {
+    const workspace = document.getElementById('writing-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h3 class="card-title">פרויקט כתיבה חדש</h3>
+
+        <div class="form-group">
+          <label class="form-label">שם הפרויקט</label>
+          <input type="text" class="form-input" id="project-title" placeholder="לדוגמה: הספר שלי">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תיאור</label>
+          <textarea class="form-textarea" id="project-description" placeholder="תיאור קצר של הפרויקט..."></textarea>
+        </div>
+
+        ${tagManager.input('project-tags')}
+
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="writingStudio.saveNewProject()">💾 יצירה</button>
+          <button class="btn btn-secondary" onclick="router.go('/writing')">← ביטול</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async saveNewProject() {
+    const title = document.getElementById('project-title').value;
+    const description = document.getElementById('project-description').value;
+
+    if (!title) {
+      alert('יש למלא שם פרויקט');
+      return;
+    }
+
+    const project = {
+      id: this.dm.generateId(),
+      title,
+      description,
+      parts: [],
+      wordCount: 0,
+      createdAt: this.dm.formatDateTime()
+    };
+    await tagManager.apply(project, 'project-tags');
+
+    const data = await this.dm.load('writing_projects.json');
+    data.projects.push(project);
+    if (!await this.dm.save('writing_projects.json', data)) return;
+
+    this.showToast('✓ הפרויקט נוצר בהצלחה');
+    router.go(`/writing/${project.id}`);
+  }
+
+  async openProject(projectId, partId = null, sectionId = null) {
+    const data = await this.dm.load('writing_projects.json');
+    await tagManager.load();
+    this.currentProject = data.projects.find(p => p.id === projectId);
+
+    if (!this.currentProject) return false;
+    if (partId && !(this.currentProject.parts || []).some(part => part.id === partId)) return false;
+    this.currentPartId = partId;
+    const currentPart = (this.currentProject.parts || []).find(part => part.id === partId);
+
+    // The requested section, otherwise the last one edited in this part
+    const partSections = (this.currentProject.sections || []).filter(section => (section.partId || null) === partId);
+    const currentSection = sectionId
+      ? partSections.find(section => section.id === sectionId)
+      : [...partSections].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0];
+    if (sectionId && !currentSection) return false;
+    this.currentSectionId = currentSection ? currentSection.id : null;
+
+    const workspace = document.getElementById('writing-workspace');
+    workspace.innerHTML = `
+      <div style="display: grid; grid-template-columns: 250px 1fr 300px; gap: 1rem;">
+        <!-- Structure Panel -->
+        <div class="card">
+          <h3 class="card-title">מבנה</h3>
+          <div id="structure-panel">
+            <button class="btn btn-secondary mb-1" onclick="writingStudio.addPart()">+ חלק חדש</button>
+            ${this.renderStructure()}
+          </div>
+        </div>
+
+        <!-- Editor Panel -->
+        <div class="card">
+          <h3 class="card-title">${this.currentProject.title}${currentPart ? ` › ${currentPart.title}` : ''}</h3>
+          <div class="tag-list mb-1">
+            ${tagManager.chips(this.currentProject.tags)}
+            <button class="btn btn-secondary" onclick="writingStudio.editProjectTags()">🏷 תגיות</button>
+          </div>
+          ${partSections.length > 0 ? `
+            <div class="form-group">
+              <select class="form-select" onchange="router.go('/writing/${projectId}${partId ? `/part/${partId}` : ''}?section=' + this.value)">
+                ${partSections.map(section => `
+                  <option value="${section.id}" ${section.id === this.currentSectionId ? 'selected' : ''}>${section.title}</option>
+                `).join('')}
+              </select>
+            </div>
+          ` : ''}
+          <div class="form-group">
+            <input type="text" class="form-input" id="section-title" placeholder="כותרת המקטע">
+          </div>
+          <div class="editor-container">
+            <div class="editor-content" contenteditable="true" id="writing-editor" style="min-height: 500px;">
+              ${currentSection ? currentSection.content : 'התחל לכתוב כאן...'}
+            </div>
+          </div>
+          <div class="btn-group mt-1">
+            <button class="btn btn-success" onclick="writingStudio.saveSection()">💾 שמירה</button>
+            <button class="btn btn-secondary" onclick="writingStudio.newSection()">+ מקטע חדש</button>
+            <button class="btn btn-secondary" onclick="router.go('/writing')">← חזרה</button>
+          </div>
+        </div>
+
+        <!-- Knowledge Panel (Read-Only) -->
+        <div class="card">
+          <h3 class="card-title">📚 ידע</h3>
+          <div id="knowledge-panel" style="max-height: 600px; overflow-y: auto;">
+            ${await this.renderKnowledgePanel()}
+          </div>
+        </div>
+      </div>
+    `;
+    if (currentSection) document.getElementById('section-title').value = currentSection.title;
+  }
+
+  async editProjectTags() {
+    const value = prompt('תגיות (מופרדות בפסיקים):', (this.currentProject.tags || []).join(', '));
+    if (value === null) return;
+
+    const names = TagManager.parse(value);
+    await tagManager.register(names);
+    const data = await this.dm.load('writing_projects.json');
+    const project = data.projects.find(p => p.id === this.currentProject.id);
+    if (!project) return;
+    if (names.length > 0) project.tags = names;
+    else delete project.tags;
+    if (!await this.dm.save('writing_projects.json', data)) return;
+    await router.resolve();
+  }
+
+  newSection() {
+    this.currentSectionId = null;
+    document.getElementById('section-title').value = '';
+    document.getElementById('writing-editor').innerHTML = '';
+    document.getElementById('writing-editor').focus();
+  }
+
+  renderStructure() {
+    if (!this.currentProject.parts || this.currentProject.parts.length === 0) {
+      return '<p class="text-muted">אין חלקים עדיין</p>';
+    }
+
+    return this.currentProject.parts.map(part => `
+      <div class="structure-part ${part.id === this.currentPartId ? 'active' : ''}"
+           style="margin: 0.5rem 0; padding: 0.5rem; background: var(--bg-dark); border-radius: 4px; cursor: pointer;"
+           onclick="router.go('/writing/${this.currentProject.id}/part/${part.id}')">
+        <strong>${part.title}</strong>
+        <div style="font-size: 0.85rem; color: var(--text-muted);">
+          ${part.chapters?.length || 0} פרקים
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async renderKnowledgePanel() {
+    const knowledgeData = await this.dm.load('knowledge.json');
+    const items = knowledgeData.items || [];
+
+    if (items.length === 0) {
+      return '<p class="text-muted">אין פריטי ידע</p>';
+    }
+
+    return items.map(item => `
+      <div style="margin: 0.5rem 0; padding: 0.5rem; background: var(--bg-dark); border-radius: 4px; cursor: pointer;"
+           onclick="writingStudio.copyFromKnowledge('${item.id}')">
+        <strong>${item.title}</strong>
+        <div style="font-size: 0.85rem; color: var(--text-muted);">${item.summary || ''}</div>
+      </div>
+    `).join('');
+  }
+
+  async copyFromKnowledge(itemId) {
+    const knowledgeData = await this.dm.load('knowledge.json');
+    const item = knowledgeData.items.find(i => i.id === itemId);
+
+    if (item) {
+      const editor = document.getElementById('writing-editor');
+      const sourceTag = `[מקור: ${item.title}]`;
+      editor.innerHTML += `<p>${sourceTag}</p><p>${item.content}</p>`;
+      this.showToast('✓ המידע הועתק עם תגית מקור');
+    }
+  }
+
+  addPart() {
+    const partName = prompt('שם החלק:');
+    if (partName) {
+      if (!this.currentProject.parts) this.currentProject.parts = [];
+      this.currentProject.parts.push({
+        id: this.dm.generateId(),
+        title: partName,
+        chapters: []
+      });
+      this.openProject(this.currentProject.id, this.currentPartId);
+    }
+  }
+
+  async saveSection() {
+    const content = document.getElementById('writing-editor').innerHTML;
+    const title = document.getElementById('section-title').value;
+    const now = this.dm.formatDateTime();
+
+    // Sections are kept per project, tagged with the part they were written in
+    if (!this.currentProject.sections) this.currentProject.sections = [];
+    let section = this.currentProject.sections.find(s => s.id === this.currentSectionId);
+    if (!section) {
+      section = { id: this.dm.generateId(), createdAt: now };
+      if (this.currentPartId) section.partId = this.currentPartId;
+      this.currentProject.sections.push(section);
+      this.currentSectionId = section.id;
+    }
+
+    // Update word count
+    const words = content.replace(/<[^>]*>/g, '').split(/\s+/).filter(w => w.length > 0);
+    Object.assign(section, { title: title || 'מקטע ללא שם', content, wordCount: words.length, updatedAt: now });
+    this.currentProject.wordCount = this.currentProject.sections.reduce((sum, s) => sum + (s.wordCount || 0), 0);
+    if (!this.currentProject.wordHistory) this.currentProject.wordHistory = [];
+    const history = this.currentProject.wordHistory;
+    if (history.length > 0 && history[history.length - 1].at.slice(0, 10) === now.slice(0, 10)) history.pop();
+    history.push({ at: now, wordCount: this.currentProject.wordCount });
+
+    const data = await this.dm.load('writing_projects.json');
+    const index = data.projects.findIndex(p => p.id === this.currentProject.id);
+    if (index >= 0) {
+      data.projects[index] = this.currentProject;
+      if (!await this.dm.save('writing_projects.json', data)) return;
+    }
+
+    this.showToast('✓ המקטע נשמר');
+  }
+
+  async exportProject(projectId) {
+    const data = await this.dm.load('writing_projects.json');
+    const project = data.projects.find(p => p.id === projectId);
+
+    if (project) {
+      const content = JSON.stringify(project, null, 2);
+      const blob = new Blob([content], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${project.title}.json`;
+      a.click();
+      this.showToast('✓ הפרויקט יוצא');
+    }
+  }
+
+  async deleteProject(projectId) {
+    if (!await trashBin.discard('writing_projects.json', 'projects', projectId)) return;
+    await this.showProjectList();
+    this.dm.history.offerUndo('🗑 הפרויקט הועבר לסל המחזור');
+  }
+
+  // Word count per project against the target kept in
+  // dashboard.json › writingProgress
+  getDashboardWidgets() {
+    return [
+      {
+        id: 'writing-progress',
+        title: '✍️ התקדמות כתיבה',
+        link: '/writing',
+        render: async dashData => {
+          const projects = (await this.dm.load('writing_projects.json')).projects || [];
+          if (projects.length === 0) return '<p class="text-muted">אין פרויקטי כתיבה עדיין</p>';
+          return projects.map(project => {
+            const target = (dashData.writingProgress[project.id] || {}).targetWords;
+            const words = project.wordCount || 0;
+            return `
+              <div class="mb-1">
+                <div style="display: flex; justify-content: space-between; gap: 0.5rem;">
+                  <a href="#/writing/${project.id}">${project.title}</a>
+                  <span class="text-muted">
+                    ${target ? `${words}/${target}` : words} מילים
+                    <button class="btn btn-secondary" onclick="writingStudio.setWordTarget('${project.id}')" title="יעד מילים">🎯</button>
+                  </span>
+                </div>
+                ${target ? `<div class="progress-bar"><div class="progress-fill" style="width: ${Math.min(100, Math.round((words / target) * 100))}%;"></div></div>` : ''}
+              </div>
+            `;
+          }).join('');
+        }
+      }
+    ];
+  }
+
+  async setWordTarget(projectId) {
+    const dashData = await this.dm.load('dashboard.json');
+    const current = (dashData.writingProgress[projectId] || {}).targetWords || '';
+    const value = prompt('יעד מילים לפרויקט:', current);
+    if (value === null) return;
+
+    const targetWords = parseInt(value, 10);
+    if (targetWords > 0) {
+      dashData.writingProgress[projectId] = { ...dashData.writingProgress[projectId], targetWords };
+    } else {
+      delete dashData.writingProgress[projectId];
+    }
+    if (!await this.dm.save('dashboard.json', dashData)) return;
+    if (router.currentView === 'dashboard') await dashboard.loadData();
+  }
+
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
+  }
+}
+
+// ============================================
+// Module 5: Management Layer
+// ============================================
+class ManagementModule {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.editingReview = null;
+    this.editingStats = null;
+  }
+
+  async render() {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">⚙️ שכבת ניהול</h1>
+          <p class="module-description">ניהול משימות, סקירות ומדדים</p>
+        </div>
+
+        <div class="btn-group mb-2">
+          <button class="btn" onclick="router.go('/management/tasks/new')">+ משימה חדשה</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/reviews/new')">📋 סקירה חדשה</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/reviews')">🗂 סקירות</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/board')">🗂 לוח</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/roadmap')">🗺 מפת דרכים</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/calendar')">📅 לוח שנה</button>
+          <button class="btn btn-warning" onclick="router.go('/management/metrics')">📊 מדדים</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/activity')">🕘 יומן פעילות</button>
+        </div>
+
+        <div id="management-workspace"></div>
+      </div>
+    `;
+
+    await this.showTaskList();
+  }
+
+  async showTaskList() {
+    const data = await this.dm.load('tasks.json');
+    await tagManager.load();
+    const tasks = data.tasks || [];
+    const workspace = document.getElementById('management-workspace');
+
+    if (tasks.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📋</div>
+          <div class="empty-state-title">אין משימות</div>
+          <div class="empty-state-description">צור משימה חדשה להתחלה</div>
+        </div>
+      `;
+      return;
+    }
+
+    const today = this.dm.formatDate();
+    // Nearest deadline first; tasks without a deadline last; subtasks under their parent
+    const byDeadline = (a, b) => (a.deadline || '9999').localeCompare(b.deadline || '9999');
+    const ids = new Set(tasks.map(task => task.id));
+    const rows = [];
+    const addRows = (task, depth) => {
+      if (rows.some(row => row.task === task)) return;
+      rows.push({ task, depth });
+      TaskGraph.children(tasks, task.id).sort(byDeadline).forEach(child => addRows(child, depth + 1));
+    };
+    tasks.filter(task => !ids.has(task.parentId)).sort(byDeadline).forEach(task => addRows(task, 0));
+
+    workspace.innerHTML = `
+      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">רשימת משימות</h3>
+      <div class="item-list">
+        ${rows.map(({ task, depth }) => {
+          const overdue = this.isOverdue(task, today);
+          const blockers = TaskGraph.openBlockers(tasks, task);
+          const hasChildren = TaskGraph.children(tasks, task.id).length > 0;
+          const progress = hasChildren ? TaskGraph.progress(tasks, task) : null;
+          return `
+          <div class="list-item ${overdue ? 'list-item-overdue' : ''} ${task.skipped ? 'list-item-skipped' : ''}" style="margin-right: ${depth * 2}rem;">
+            <div class="list-item-content">
+              <div class="list-item-title">${depth > 0 ? '↳ ' : ''}${task.title}</div>
+              <div class="list-item-meta">${task.description || ''}</div>
+              <div class="list-item-meta">
+                ${[task.project, task.category].filter(v => v).join(' | ')}
+              </div>
+              ${task.tags ? `<div class="tag-list">${tagManager.chips(task.tags)}</div>` : ''}
+              ${blockers.length > 0 ? `<div class="list-item-meta">ממתינה ל: ${blockers.map(b => b.title).join(', ')}</div>` : ''}
+              ${hasChildren ? `
+                <div class="list-item-meta">תתי-משימות: ${progress}%</div>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%;"></div></div>
+              ` : ''}
+            </div>
+            <div class="list-item-actions">
+              ${blockers.length > 0 ? '<span class="badge badge-danger">⛔ חסומה</span>' : ''}
+              ${task.recurrence ? `<span class="badge badge-gold">${TaskRecurrence.describe(task)}</span>` : ''}
+              ${task.skipped ? `<span class="badge badge-secondary">⏭ דולג${task.missed ? ` (${task.missed.count} מופעים מ-${task.missed.from})` : ''}</span>` : ''}
+              ${task.deadline ? `<span class="badge badge-${overdue ? 'danger' : 'info'}">📅 ${task.deadline}${overdue ? ' – באיחור' : ''}</span>` : ''}
+              <span class="badge badge-${this.getPriorityBadge(task.priority)}">${task.priority}</span>
+              <span class="badge badge-${task.status === 'completed' ? 'success' : task.status === 'in-progress' ? 'warning' : 'secondary'}">
+                ${this.getStatusLabel(task.status)}
+              </span>
+              <button class="btn btn-secondary" onclick="router.go('/management/tasks/${task.id}/edit')">✎</button>
+              <button class="btn btn-secondary" onclick="router.go('/management/tasks/new?parent=${task.id}')" title="תת-משימה">+</button>
+              <button class="btn btn-success" onclick="management.completeTask('${task.id}')">✓</button>
+              ${task.recurrence && task.status !== 'completed' && !task.skipped ? `
+                <button class="btn btn-secondary" onclick="management.skipOccurrence('${task.id}')" title="דילוג על המופע">⏭</button>
+              ` : ''}
+              <button class="btn btn-danger" onclick="management.deleteTask('${task.id}')">🗑</button>
+            </div>
+          </div>
+        `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  getStatusLabel(status) {
+    const labels = {
+      'pending': 'ממתין',
+      'in-progress': 'בתהליך',
+      'completed': 'הושלם'
+    };
+    return labels[status] || status;
+  }
+
+  getPriorityBadge(priority) {
+    const badges = {
+      'גבוה': 'danger',
+      'בינוני': 'warning',
+      'נמוך': 'secondary'
+    };
+    return badges[priority] || 'secondary';
+  }
+
+  isOverdue(task, today = this.dm.formatDate()) {
+    return task.status !== 'completed' && !task.skipped && !!task.deadline && task.deadline < today;
+  }
+
+  async createTask(parentId = null) {
+    const data = await this.dm.load('tasks.json');
+    const parent = data.tasks.find(t => t.id === parentId);
+
+    await this.showTaskForm({
+      title: '',
+      description: '',
+      status: 'pending',
+      deadline: '',
+      priority: 'בינוני',
+      category: parent ? parent.category : '',
+      project: parent ? parent.project : '',
+      parentId: parent ? parent.id : '',
+      blockedBy: []
+    });
+  }
+
+  async editTask(taskId) {
+    const data = await this.dm.load('tasks.json');
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task) return false;
+    await this.showTaskForm(task);
+  }
+
+  async showTaskForm(task) {
+    const data = await this.dm.load('tasks.json');
+    await tagManager.load();
+    const categories = [...new Set(data.tasks.map(t => t.category).filter(c => c))].sort();
+    const projects = [...new Set(data.tasks.map(t => t.project).filter(p => p))].sort();
+    // A task cannot be its own parent or sit under one of its subtasks
+    const excluded = new Set(task.id ? [task.id, ...TaskGraph.descendants(data.tasks, task.id).map(t => t.id)] : []);
+    const others = data.tasks.filter(t => t.id !== task.id);
+    const blockedBy = task.blockedBy || [];
+    const recurrence = task.recurrence || {};
+
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h3 class="card-title">${task.id ? 'עריכת משימה' : 'משימה חדשה'}</h3>
+
+        <div class="form-group">
+          <label class="form-label">כותרת</label>
+          <input type="text" class="form-input" id="task-title" value="${task.title.replace(/"/g, '&quot;')}" placeholder="שם המשימה">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תיאור</label>
+          <textarea class="form-textarea" id="task-description" placeholder="פרטי המשימה...">${task.description || ''}</textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סטטוס</label>
+          <select class="form-select" id="task-status">
+            <option value="pending" ${task.status === 'pending' ? 'selected' : ''}>ממתין</option>
+            <option value="in-progress" ${task.status === 'in-progress' ? 'selected' : ''}>בתהליך</option>
+            <option value="completed" ${task.status === 'completed' ? 'selected' : ''}>הושלם</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">תאריך יעד</label>
+          <input type="date" class="form-input" id="task-deadline" value="${task.deadline}">
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">עדיפות</label>
+          <select class="form-select" id="task-priority">
+            <option value="גבוה" ${task.priority === 'גבוה' ? 'selected' : ''}>גבוה</option>
+            <option value="בינוני" ${task.priority === 'בינוני' ? 'selected' : ''}>בינוני</option>
+            <option value="נמוך" ${task.priority === 'נמוך' ? 'selected' : ''}>נמוך</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">קטגוריה</label>
+          <input type="text" class="form-input" id="task-category" list="task-categories" value="${task.category.replace(/"/g, '&quot;')}" placeholder="למשל: הכשרת מחקר">
+          <datalist id="task-categories">
+            ${categories.map(c => `<option value="${c}">`).join('')}
+          </datalist>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">פרויקט</label>
+          <input type="text" class="form-input" id="task-project" list="task-projects" value="${task.project.replace(/"/g, '&quot;')}" placeholder="למשל: שנת 2026 – שנת הלמידה והתשתית">
+          <datalist id="task-projects">
+            ${projects.map(p => `<option value="${p}">`).join('')}
+          </datalist>
+        </div>
+
+        ${tagManager.input('task-tags', task.tags)}
+
+        <div class="form-group">
+          <label class="form-label">חזרתיות</label>
+          <select class="form-select" id="task-frequency">
+            <option value="">ללא</option>
+            ${Object.entries(TaskRecurrence.frequencies).map(([value, label]) => `
+              <option value="${value}" ${recurrence.frequency === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">סיום החזרתיות (תאריך או מספר מופעים, לא חובה)</label>
+          <div style="display: flex; gap: 1rem;">
+            <input type="date" class="form-input" id="task-recurrence-until" value="${recurrence.until || ''}">
+            <input type="number" class="form-input" id="task-recurrence-count" min="1" value="${recurrence.count || ''}" placeholder="מספר מופעים">
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">משימת אב</label>
+          <select class="form-select" id="task-parent">
+            <option value="">ללא (משימה ראשית)</option>
+            ${others.filter(t => !excluded.has(t.id)).map(t => `
+              <option value="${t.id}" ${t.id === task.parentId ? 'selected' : ''}>${t.title}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">חסומה על ידי (יש להשלים קודם)</label>
+          <select class="form-select" id="task-blocked-by" multiple size="6">
+            ${others.map(t => `
+              <option value="${t.id}" ${blockedBy.includes(t.id) ? 'selected' : ''}>${t.title}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="management.saveTask(${task.id ? `'${task.id}'` : ''})">💾 שמירה</button>
+          <button class="btn btn-secondary" onclick="router.go('/management')">← ביטול</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async saveTask(taskId = null) {
+    const title = document.getElementById('task-title').value;
+    const description = document.getElementById('task-description').value;
+    const status = document.getElementById('task-status').value;
+    const deadline = document.getElementById('task-deadline').value;
+    const priority = document.getElementById('task-priority').value;
+    const category = document.getElementById('task-category').value.trim();
+    const project = document.getElementById('task-project').value.trim();
+    const parentId = document.getElementById('task-parent').value;
+    const blockedBy = [...document.getElementById('task-blocked-by').selectedOptions].map(option => option.value);
+    const frequency = document.getElementById('task-frequency').value;
+    const until = document.getElementById('task-recurrence-until').value;
+    const count = Number(document.getElementById('task-recurrence-count').value) || 0;
+
+    if (!title) {
+      alert('יש למלא כותרת');
+      return;
+    }
+
+    const data = await this.dm.load('tasks.json');
+    const cycle = TaskGraph.findCycle(data.tasks, taskId, { parentId, blockedBy });
+    if (cycle) {
+      alert(`לא ניתן לשמור: נוצרת תלות מעגלית\n${cycle.map(t => t.id === taskId ? title : t.title || t.id).join(' ← ')}`);
+      return;
+    }
+
+    let task;
+
+    if (taskId) {
+      // Edit existing task
+      task = data.tasks.find(t => t.id === taskId);
+      if (!task) return;
+      Object.assign(task, { title, description, deadline, priority, category, project, blockedBy });
+      task.updatedAt = this.dm.formatDateTime();
+    } else {
+      // Create new task
+      task = {
+        id: this.dm.generateId(),
+        title,
+        description,
+        deadline,
+        priority,
+        category,
+        project,
+        blockedBy,
+        createdAt: this.dm.formatDateTime()
+      };
+      data.tasks.push(task);
+    }
+
+    if (parentId) {
+      task.parentId = parentId;
+    } else {
+      delete task.parentId;
+    }
+    this.applyRecurrence(task, { frequency, until, count });
+    this.setTaskStatus(data, task, status);
+    await tagManager.apply(task, 'task-tags');
+
+    if (!await this.dm.save('tasks.json', data)) return;
+
+    this.showToast(taskId ? '✓ המשימה עודכנה' : '✓ המשימה נוצרה');
+    router.go('/management');
+  }
+
+  async completeTask(taskId) {
+    const data = await this.dm.load('tasks.json');
+    const task = data.tasks.find(t => t.id === taskId);
+
+    if (task) {
+      this.setTaskStatus(data, task, 'completed');
+      if (!await this.dm.save('tasks.json', data)) return;
+      await this.showTaskList();
+      this.showToast('✓ המשימה הושלמה');
+    }
+  }
+
+  // The series is kept when the rule or the deadline changes: its start is
+  // moved so this task's occurrence still falls on the task's deadline
+  applyRecurrence(task, { frequency, until, count }) {
+    if (!frequency) {
+      delete task.recurrence;
+      return;
+    }
+
+    const current = task.recurrence || {};
+    if (current.frequency === frequency && (current.until || '') === until
+      && (current.count || 0) === count && task.deadline === TaskRecurrence.dateOf(current, task.occurrence || 1)) {
+      return;
+    }
+
+    if (!task.deadline) task.deadline = this.dm.formatDate();
+    const occurrence = task.occurrence || 1;
+    task.recurrence = { frequency };
+    task.recurrence.start = TaskRecurrence.startFor(task.recurrence, occurrence, task.deadline);
+    if (until) task.recurrence.until = until;
+    if (count) task.recurrence.count = count;
+    task.seriesId = task.seriesId || task.id;
+    task.occurrence = occurrence;
+  }
+
+  // Every status change goes through here so statusHistory stays complete
+  setTaskStatus(data, task, status) {
+    if (task.status === status) return false;
+
+    const at = this.dm.formatDateTime();
+    task.status = status;
+    task.statusHistory = [...(task.statusHistory || []), { status, at }];
+    if (status === 'completed') {
+      task.completedAt = at;
+      delete task.skipped;
+      delete task.skippedAt;
+      this.scheduleNextOccurrence(data, task);
+    } else {
+      delete task.completedAt;
+    }
+    return true;
+  }
+
+  // Adds the next occurrence(s) of a recurring task to data.tasks
+  scheduleNextOccurrence(data, task) {
+    const seriesId = task.seriesId || task.id;
+    const occurrences = TaskRecurrence.nextOccurrences(data.tasks, task, this.dm.formatDate());
+
+    occurrences.forEach(({ occurrence, deadline, skipped, missed }) => {
+      const next = {
+        id: this.dm.generateId(),
+        title: task.title,
+        description: task.description,
+        status: 'pending',
+        deadline,
+        priority: task.priority,
+        category: task.category,
+        project: task.project,
+        recurrence: { ...task.recurrence },
+        seriesId,
+        occurrence,
+        createdAt: this.dm.formatDateTime()
+      };
+      if (task.parentId) next.parentId = task.parentId;
+      if (skipped) {
+        next.skipped = true;
+        next.skippedAt = next.createdAt;
+      }
+      if (missed) next.missed = missed;
+      data.tasks.push(next);
+    });
+    if (!task.seriesId && occurrences.length > 0) {
+      task.seriesId = seriesId;
+      task.occurrence = task.occurrence || 1;
+    }
+    return occurrences;
+  }
+
+  async skipOccurrence(taskId) {
+    const data = await this.dm.load('tasks.json');
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task || !task.recurrence) return;
+
+    task.skipped = true;
+    task.skippedAt = this.dm.formatDateTime();
+    const created = this.scheduleNextOccurrence(data, task);
+
+    if (!await this.dm.save('tasks.json', data)) return;
+    await this.showTaskList();
+    this.showToast(created.length > 0 ? `⏭ דולג – המופע הבא: ${created[created.length - 1].deadline}` : '⏭ דולג');
+  }
+
+  async deleteTask(taskId) {
+    const deleted = await trashBin.discard('tasks.json', 'tasks', taskId,
+      (data, task) => TaskGraph.detach(data.tasks, task));
+    if (!deleted) return;
+    await this.showTaskList();
+    this.dm.history.offerUndo('🗑 המשימה הועברה לסל המחזור');
+  }
+
+  // ---------- Board ----------
+
+  async showBoard(lane = 'project') {
+    const tasks = (await this.dm.load('tasks.json')).tasks || [];
+    const today = this.dm.formatDate();
+    const statuses = ['pending', 'in-progress', 'completed'];
+    const lanes = Object.entries(WorkspaceStats.groupBy(tasks, lane, 'ללא'))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const workspace = document.getElementById('management-workspace');
+
+    workspace.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 1rem;">
+        <h3 style="color: var(--accent-blue);">🗂 לוח משימות</h3>
+        <div class="btn-group">
+          <button class="btn ${lane === 'project' ? '' : 'btn-secondary'}" onclick="router.go('/management/board?lane=project')">לפי פרויקט</button>
+          <button class="btn ${lane === 'category' ? '' : 'btn-secondary'}" onclick="router.go('/management/board?lane=category')">לפי קטגוריה</button>
+        </div>
+      </div>
+
+      <div class="board">
+        <div class="board-row board-header">
+          ${statuses.map(status => `
+            <div class="board-column-title">
+              ${this.getStatusLabel(status)}
+              <span class="badge badge-secondary">${tasks.filter(task => task.status === status).length}</span>
+            </div>
+          `).join('')}
+        </div>
+        ${lanes.map(([laneName, laneTasks]) => `
+          <div class="board-lane-title">${laneName}</div>
+          <div class="board-row">
+            ${statuses.map(status => `
+              <div class="board-column" data-status="${status}"
+                   ondragover="management.dragOverColumn(event)"
+                   ondragleave="this.classList.remove('drop-target')"
+                   ondrop="management.dropTask(event, '${status}')">
+                ${laneTasks.filter(task => task.status === status).map(task => `
+                  <div class="board-card ${this.isOverdue(task, today) ? 'list-item-overdue' : ''}" draggable="true"
+                       ondragstart="management.dragTask(event, '${task.id}')">
+                    <div class="board-card-title">
+                      <a href="#/management/tasks/${task.id}/edit">${task.title}</a>
+                    </div>
+                    <div class="list-item-meta">
+                      ${TaskGraph.openBlockers(tasks, task).length > 0 ? '<span class="badge badge-danger">⛔ חסומה</span>' : ''}
+                      ${task.deadline ? `📅 ${task.deadline}` : ''}
+                      <span class="badge badge-${this.getPriorityBadge(task.priority)}">${task.priority}</span>
+                    </div>
+                    <select class="form-select board-card-status" onchange="management.moveTask('${task.id}', this.value)" aria-label="סטטוס">
+                      ${statuses.map(option => `<option value="${option}" ${option === task.status ? 'selected' : ''}>${this.getStatusLabel(option)}</option>`).join('')}
+                    </select>
+                  </div>
+                `).join('')}
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+    this.boardLane = lane;
+  }
+
+  dragTask(event, taskId) {
+    event.dataTransfer.setData('text/plain', taskId);
+    event.dataTransfer.effectAllowed = 'move';
+  }
+
+  dragOverColumn(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drop-target');
+  }
+
+  async dropTask(event, status) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drop-target');
+    const taskId = event.dataTransfer.getData('text/plain');
+    if (taskId) await this.moveTask(taskId, status);
+  }
+
+  async moveTask(taskId, status) {
+    const data = await this.dm.load('tasks.json');
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task || !this.setTaskStatus(data, task, status)) return;
+
+    if (!await this.dm.save('tasks.json', data)) return;
+    await this.showBoard(this.boardLane);
+    this.showToast(`✓ הועבר ל"${this.getStatusLabel(status)}"`);
+  }
+
+  // ---------- Calendar ----------
+
+  // Month or week grid (Sunday–Saturday) of task deadlines and review periods
+  async showCalendar(view = 'month', anchor = this.dm.formatDate()) {
+    const data = await this.dm.load('tasks.json');
+    const tasks = (data.tasks || []).filter(task => WorkspaceStats.isDay(task.deadline));
+    const reviews = data.reviews || [];
+    const today = this.dm.formatDate();
+
+    const range = view === 'week'
+      ? { from: WorkspaceStats.addDays(anchor, -new Date(`${anchor}T00:00:00Z`).getUTCDay()) }
+      : WorkspaceStats.periodRange(anchor.slice(0, 7));
+    const firstDay = WorkspaceStats.addDays(range.from, -new Date(`${range.from}T00:00:00Z`).getUTCDay());
+    const dayCount = view === 'week' ? 7 : Math.ceil((WorkspaceStats.daysBetween(firstDay, range.to) + 1) / 7) * 7;
+    const days = Array.from({ length: dayCount }, (_, i) => WorkspaceStats.addDays(firstDay, i));
+
+    // The anchor date one week or one month away
+    const step = offset => {
+      if (view === 'week') return WorkspaceStats.addDays(anchor, offset * 7);
+      const date = new Date(`${anchor.slice(0, 7)}-01T00:00:00Z`);
+      date.setUTCMonth(date.getUTCMonth() + offset);
+      return date.toISOString().slice(0, 10);
+    };
+    const link = (targetView, date) => `router.go('/management/calendar?view=${targetView}&date=${date}')`;
+    const title = view === 'week'
+      ? `${days[0]} – ${days[6]}`
+      : new Date(`${anchor.slice(0, 7)}-01T00:00:00Z`).toLocaleDateString('he-IL', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const weekdays = ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳'];
+
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
+        <h3 style="color: var(--accent-blue);">📅 ${title}</h3>
+        <div class="btn-group">
+          <button class="btn btn-secondary" onclick="${link(view, step(-1))}">→</button>
+          <button class="btn btn-secondary" onclick="${link(view, today)}">היום</button>
+          <button class="btn btn-secondary" onclick="${link(view, step(1))}">←</button>
+          <button class="btn ${view === 'month' ? '' : 'btn-secondary'}" onclick="${link('month', anchor)}">חודש</button>
+          <button class="btn ${view === 'week' ? '' : 'btn-secondary'}" onclick="${link('week', anchor)}">שבוע</button>
+          <button class="btn btn-secondary" onclick="management.exportCalendar()">⬇ ייצוא ‎.ics</button>
+          <button class="btn btn-secondary" onclick="management.chooseCalendarFile()">⬆ ייבוא ‎.ics</button>
+        </div>
+      </div>
+
+      ${this.dm.remote ? `
+        <p class="text-muted mb-2">מנוי מיומן חיצוני: <code>${new URL(`${this.dm.apiUrl}calendar.ics`, location.href).href}</code></p>
+      ` : ''}
+
+      <div class="calendar calendar-${view}">
+        ${weekdays.map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+        ${days.map(day => `
+          <div class="calendar-day ${view === 'month' && day.slice(0, 7) !== anchor.slice(0, 7) ? 'calendar-day-outside' : ''} ${day === today ? 'calendar-day-today' : ''}">
+            <div class="calendar-date">${Number(day.slice(8))}</div>
+            ${tasks.filter(task => task.deadline === day).map(task => `
+              <a class="calendar-event ${task.status === 'completed' ? 'calendar-event-completed' : this.isOverdue(task, today) ? 'calendar-event-overdue' : ''}"
+                 href="#/management/tasks/${task.id}/edit">${task.title}</a>
+            `).join('')}
+            ${reviews.filter(review => review.periodEnd === day).map(review => `
+              <a class="calendar-event calendar-event-review" href="#/management/reviews/${review.id}">📋 ${review.title}</a>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  async exportCalendar() {
+    const events = ICalendar.taskEvents((await this.dm.load('tasks.json')).tasks || []);
+    const ics = ICalendar.build(events, ICalendar.deadlinesName);
+
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'btk-deadlines.ics';
+    a.click();
+
+    this.showToast(`✓ יוצאו ${events.length} תאריכי יעד`);
+  }
+
+  chooseCalendarFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ics,text/calendar';
+    input.onchange = () => {
+      if (input.files[0]) this.importCalendar(input.files[0]);
+    };
+    input.click();
+  }
+
+  // Events already imported (or exported from here) update their task's
+  // deadline and title; new events become pending tasks
+  // Recurring events become recurring tasks when their rule is one the app
+  // can repeat; other rules, and changes to a single occurrence
+  // (RECURRENCE-ID), are skipped and counted in the summary
+  async importCalendar(file) {
+    const events = ICalendar.parse(await file.text());
+    if (events.length === 0) {
+      this.showToast('⚠️ לא נמצאו אירועים בקובץ');
+      return;
+    }
+
+    const data = await this.dm.load('tasks.json');
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    events.forEach(event => {
+      const rule = event.rrule ? ICalendar.recurrence(event.rrule, event.date) : null;
+      if (event.recurrenceId || (event.rrule && !rule)) {
+        skipped++;
+        return;
+      }
+
+      const uid = event.uid || `${event.date}-${event.summary}`;
+      const task = data.tasks.find(t => t.icsUid === uid || `${t.id}@btk` === uid);
+      if (task) {
+        const before = JSON.stringify(task);
+        task.title = event.summary || task.title;
+        if (rule) {
+          // DTSTART is the series start; the task keeps its place in it
+          task.recurrence = { ...rule, start: event.date };
+          task.seriesId = task.seriesId || task.id;
+          task.occurrence = task.occurrence || 1;
+          task.deadline = TaskRecurrence.dateOf(task.recurrence, task.occurrence);
+        } else {
+          task.deadline = event.date;
+          if (task.recurrence) {
+            task.recurrence.start = TaskRecurrence.startFor(task.recurrence, task.occurrence || 1, event.date);
+          }
+        }
+        if (JSON.stringify(task) !== before) {
+          task.updatedAt = this.dm.formatDateTime();
+          updated++;
+        }
+        return;
+      }
+
+      const id = this.dm.generateId();
+      const imported = {
+        id,
+        title: event.summary || 'אירוע מיובא',
+        description: event.description || '',
+        status: 'pending',
+        deadline: event.date,
+        priority: 'בינוני',
+        category: event.categories || '',
+        project: '',
+        icsUid: uid,
+        createdAt: this.dm.formatDateTime()
+      };
+      if (rule) Object.assign(imported, { recurrence: { ...rule, start: event.date }, seriesId: id, occurrence: 1 });
+      data.tasks.push(imported);
+      created++;
+    });
+
+    if ((created > 0 || updated > 0) && !await this.dm.save('tasks.json', data)) return;
+    this.showToast(`✓ נוצרו ${created} משימות, עודכנו ${updated}${skipped ? ` · ${skipped} אירועים חוזרים לא יובאו (כלל חזרה שאינו נתמך או שינוי במופע בודד)` : ''}`);
+    await this.showCalendar('month', events[0].date);
+  }
+
+
+  // ---------- Reviews ----------
+
+  getReviewTemplate(type) {
+    const templates = {
+      monthly: {
+        label: 'סקירה חודשית',
+        questions: [
+          'מה הלך טוב החודש?',
+          'מה לא התקדם, ולמה?',
+          'מה למדתי על תהליך הלמידה שלי?',
+          'מה המיקוד לחודש הבא?'
+        ]
+      },
+      quarterly: {
+        label: 'סקירה רבעונית',
+        questions: [
+          'אילו יעדים של הרבעון הושגו?',
+          'אילו יעדים נדחו, ומה ההחלטה לגביהם?',
+          'מה השתנה בהבנת המחקר והמודל?',
+          'האם התוכנית השנתית עדיין נכונה?',
+          'שלושה יעדים לרבעון הבא'
+        ]
+      }
+    };
+    return templates[type];
+  }
+
+  defaultPeriod(type) {
+    const today = this.dm.formatDate();
+    if (type === 'quarterly') {
+      return `${today.slice(0, 4)}-Q${Math.floor((Number(today.slice(5, 7)) - 1) / 3) + 1}`;
+    }
+    return today.slice(0, 7);
+  }
+
+  periodOptions(type, selected) {
+    const year = Number(this.dm.formatDate().slice(0, 4));
+    const options = [];
+    for (let y = year - 1; y <= year + 2; y++) {
+      if (type === 'quarterly') {
+        [1, 2, 3, 4].forEach(q => options.push(`${y}-Q${q}`));
+      } else {
+        for (let m = 1; m <= 12; m++) options.push(`${y}-${String(m).padStart(2, '0')}`);
+      }
+    }
+    if (selected && !options.includes(selected)) options.unshift(selected);
+    return options.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+  }
+
+  // Auto-filled part of a review: what happened in the period
+  async collectReviewStats(period) {
+    const { from, to } = WorkspaceStats.periodRange(period);
+    const tasks = (await this.dm.load('tasks.json')).tasks || [];
+    const items = (await this.dm.load('knowledge.json')).items || [];
+    const projects = (await this.dm.load('writing_projects.json')).projects || [];
+    const brief = record => ({ id: record.id, title: record.title });
+    const completed = WorkspaceStats.tasksCompletedBetween(tasks, from, to);
+    const cycles = completed.map(task => WorkspaceStats.cycleDays(task)).filter(days => days !== null);
+    const activity = await this.dm.activity.query({ from, to });
+
+    return {
+      from,
+      to,
+      tasksCompleted: completed.map(brief),
+      tasksOverdue: WorkspaceStats.tasksOverdueBetween(tasks, from, to)
+        .map(task => ({ ...brief(task), deadline: task.deadline })),
+      knowledgeAdded: WorkspaceStats.knowledgeAddedBetween(items, from, to).map(brief),
+      wordsWritten: WorkspaceStats.wordsWrittenBetween(projects, from, to),
+      activity: {
+        create: activity.filter(entry => entry.action === 'create').length,
+        update: activity.filter(entry => entry.action === 'update').length,
+        delete: activity.filter(entry => entry.action === 'delete').length
+      },
+      ...(cycles.length > 0 && {
+        averageCycleDays: Math.round((cycles.reduce((sum, days) => sum + days, 0) / cycles.length) * 10) / 10
+      })
+    };
+  }
+
+  renderReviewStats(stats) {
+    const list = (records, empty) => records.length === 0
+      ? `<div class="list-item-meta">${empty}</div>`
+      : `<ul class="review-list">${records.map(r => `<li>${r.title}${r.deadline ? ` <span class="text-muted">(${r.deadline})</span>` : ''}</li>`).join('')}</ul>`;
+
+    return `
+      <div class="stats-grid">
+        <div class="stat-card"><div class="stat-value">${stats.tasksCompleted.length}</div><div class="stat-label">משימות שהושלמו</div></div>
+        <div class="stat-card"><div class="stat-value">${stats.tasksOverdue.length}</div><div class="stat-label">משימות באיחור</div></div>
+        <div class="stat-card"><div class="stat-value">${stats.knowledgeAdded.length}</div><div class="stat-label">פריטי ידע שנוספו</div></div>
+        <div class="stat-card"><div class="stat-value">${stats.wordsWritten}</div><div class="stat-label">מילים שנכתבו</div></div>
+        <div class="stat-card"><div class="stat-value">${stats.averageCycleDays !== undefined ? stats.averageCycleDays : '—'}</div><div class="stat-label">ימי מחזור ממוצעים</div></div>
+        ${stats.activity ? `
+          <a class="stat-card stat-link" href="#/management/activity?from=${stats.from || ''}&to=${stats.to || ''}">
+            <div class="stat-value">${stats.activity.create + stats.activity.update + stats.activity.delete}</div>
+            <div class="stat-label">שינויים בתקופה (${stats.activity.create} נוצרו · ${stats.activity.update} עודכנו · ${stats.activity.delete} נמחקו)</div>
+          </a>
+        ` : ''}
+      </div>
+      <div class="card-grid">
+        <div class="card"><div class="card-title">✓ הושלמו</div>${list(stats.tasksCompleted, 'אין משימות שהושלמו בתקופה')}</div>
+        <div class="card"><div class="card-title">⚠ באיחור</div>${list(stats.tasksOverdue, 'אין משימות באיחור')}</div>
+        <div class="card"><div class="card-title">📚 ידע חדש</div>${list(stats.knowledgeAdded, 'לא נוספו פריטי ידע')}</div>
+      </div>
+    `;
+  }
+
+  async showReviewList() {
+    const data = await this.dm.load('tasks.json');
+    const reviews = [...(data.reviews || [])].sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+    const workspace = document.getElementById('management-workspace');
+
+    if (reviews.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📋</div>
+          <div class="empty-state-title">אין סקירות</div>
+          <div class="empty-state-description">צור סקירה חודשית או רבעונית</div>
+          <div class="btn-group" style="justify-content: center;">
+            <button class="btn" onclick="router.go('/management/reviews/new?type=monthly')">+ סקירה חודשית</button>
+            <button class="btn btn-secondary" onclick="router.go('/management/reviews/new?type=quarterly')">+ סקירה רבעונית</button>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    workspace.innerHTML = `
+      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">סקירות</h3>
+      <div class="btn-group mb-1">
+        <button class="btn" onclick="router.go('/management/reviews/new?type=monthly')">+ סקירה חודשית</button>
+        <button class="btn btn-secondary" onclick="router.go('/management/reviews/new?type=quarterly')">+ סקירה רבעונית</button>
+        <button class="btn btn-warning" onclick="management.compareSelectedReviews()">⇄ השוואת מסומנות</button>
+      </div>
+      <div class="item-list">
+        ${reviews.map(review => `
+          <div class="list-item">
+            <input type="checkbox" class="review-compare" value="${review.id}" aria-label="בחירה להשוואה">
+            <div class="list-item-content">
+              <div class="list-item-title">${review.title}</div>
+              <div class="list-item-meta">
+                ${review.periodStart} – ${review.periodEnd} |
+                ✓ ${review.stats.tasksCompleted.length} | ⚠ ${review.stats.tasksOverdue.length} |
+                📚 ${review.stats.knowledgeAdded.length} | ✍️ ${review.stats.wordsWritten} מילים
+              </div>
+            </div>
+            <div class="list-item-actions">
+              <span class="badge badge-${review.type === 'quarterly' ? 'gold' : 'info'}">${this.getReviewTemplate(review.type).label}</span>
+              <button class="btn btn-secondary" onclick="router.go('/management/reviews/${review.id}')">👁</button>
+              <button class="btn btn-danger" onclick="management.deleteReview('${review.id}')">🗑</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  async createReview(type = 'monthly') {
+    if (!this.getReviewTemplate(type)) return false;
+    await this.showReviewForm({
+      type,
+      period: this.defaultPeriod(type),
+      answers: {},
+      reflections: '',
+      decisions: []
+    });
+  }
+
+  async editReview(reviewId) {
+    const data = await this.dm.load('tasks.json');
+    const review = (data.reviews || []).find(r => r.id === reviewId);
+    if (!review) return false;
+    await this.showReviewForm(review);
+  }
+
+  async showReviewForm(review) {
+    const template = this.getReviewTemplate(review.type);
+    const workspace = document.getElementById('management-workspace');
+    this.editingReview = review;
+
+    workspace.innerHTML = `
+      <div class="card">
+        <h3 class="card-title">${review.id ? 'עריכת' : 'יצירת'} ${template.label}</h3>
+
+        <div class="form-group">
+          <label class="form-label">תקופה</label>
+          <select class="form-select" id="review-period" onchange="management.refreshReviewStats()">
+            ${this.periodOptions(review.type, review.period)}
+          </select>
+        </div>
+
+        <h4 class="bt-section-title mt-1">נתוני התקופה (מילוי אוטומטי)</h4>
+        <div id="review-stats"></div>
+
+        <h4 class="bt-section-title mt-1">שאלות הסקירה</h4>
+        ${template.questions.map((question, index) => `
+          <div class="form-group">
+            <label class="form-label">${question}</label>
+            <textarea class="form-textarea review-answer" data-question="${index}">${review.answers[index] || ''}</textarea>
+          </div>
+        `).join('')}
+
+        <div class="form-group">
+          <label class="form-label">רפלקציה</label>
+          <textarea class="form-textarea" id="review-reflections">${review.reflections || ''}</textarea>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">החלטות (החלטה בכל שורה)</label>
+          <textarea class="form-textarea" id="review-decisions">${(review.decisions || []).join('\n')}</textarea>
+        </div>
+
+        <div class="btn-group">
+          <button class="btn btn-success" onclick="management.saveReview()">💾 שמירה</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/reviews')">← ביטול</button>
+        </div>
+      </div>
+    `;
+
+    await this.refreshReviewStats();
+  }
+
+  async refreshReviewStats() {
+    const period = document.getElementById('review-period').value;
+    this.editingStats = await this.collectReviewStats(period);
+    document.getElementById('review-stats').innerHTML = this.renderReviewStats(this.editingStats);
+  }
+
+  async saveReview() {
+    const review = this.editingReview;
+    if (!review) return;
+
+    const period = document.getElementById('review-period').value;
+    const { from, to, ...stats } = this.editingStats || await this.collectReviewStats(period);
+    const answers = {};
+    document.querySelectorAll('.review-answer').forEach(field => {
+      if (field.value.trim()) answers[field.dataset.question] = field.value.trim();
+    });
+
+    Object.assign(review, {
+      title: `${this.getReviewTemplate(review.type).label} – ${period}`,
+      period,
+      periodStart: from,
+      periodEnd: to,
+      stats,
+      answers,
+      reflections: document.getElementById('review-reflections').value.trim(),
+      decisions: document.getElementById('review-decisions').value.split('\n').map(d => d.trim()).filter(d => d)
+    });
+
+    const data = await this.dm.load('tasks.json');
+    if (!data.reviews) data.reviews = [];
+
+    if (review.id) {
+      review.updatedAt = this.dm.formatDateTime();
+      const index = data.reviews.findIndex(r => r.id === review.id);
+      if (index >= 0) data.reviews[index] = review;
+    } else {
+      review.id = this.dm.generateId();
+      review.createdAt = this.dm.formatDateTime();
+      data.reviews.push(review);
+    }
+
+    if (!await this.dm.save('tasks.json', data)) return;
+    this.editingReview = null;
+    this.editingStats = null;
+    this.showToast('✓ הסקירה נשמרה');
+    router.go(`/management/reviews/${review.id}`);
+  }
+
+  async viewReview(reviewId) {
+    const data = await this.dm.load('tasks.json');
+    const review = (data.reviews || []).find(r => r.id === reviewId);
+    if (!review) return false;
+
+    const template = this.getReviewTemplate(review.type);
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h2 class="card-title">${review.title}</h2>
+        <div class="list-item-meta mb-1">${review.periodStart} – ${review.periodEnd} | נוצרה ${review.createdAt}</div>
+
+        ${this.renderReviewStats(review.stats)}
+
+        ${template.questions.map((question, index) => review.answers[index] ? `
+          <h4 class="bt-section-title mt-1">${question}</h4>
+          <p style="white-space: pre-wrap;">${review.answers[index]}</p>
+        ` : '').join('')}
+
+        ${review.reflections ? `
+          <h4 class="bt-section-title mt-1">רפלקציה</h4>
+          <p style="white-space: pre-wrap;">${review.reflections}</p>
+        ` : ''}
+
+        ${review.decisions.length > 0 ? `
+          <h4 class="bt-section-title mt-1">החלטות</h4>
+          <ul class="review-list">${review.decisions.map(d => `<li>${d}</li>`).join('')}</ul>
+        ` : ''}
+
+        <div class="btn-group mt-2">
+          <button class="btn" onclick="router.go('/management/reviews/${review.id}/edit')">✏️ עריכה</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/reviews')">← חזרה</button>
+        </div>
+      </div>
+    `;
+  }
+
+  compareSelectedReviews() {
+    const selected = [...document.querySelectorAll('.review-compare:checked')].map(box => box.value);
+    if (selected.length !== 2) {
+      this.showToast('⇄ יש לסמן שתי סקירות להשוואה');
+      return;
+    }
+    router.go(`/management/reviews/compare?a=${selected[0]}&b=${selected[1]}`);
+  }
+
+  async compareReviews(idA, idB) {
+    const data = await this.dm.load('tasks.json');
+    const reviews = [idA, idB].map(id => (data.reviews || []).find(r => r.id === id));
+    if (reviews.some(review => !review)) return false;
+    reviews.sort((a, b) => a.periodStart.localeCompare(b.periodStart));
+
+    const rows = [
+      ['משימות שהושלמו', review => review.stats.tasksCompleted.length],
+      ['משימות באיחור', review => review.stats.tasksOverdue.length],
+      ['פריטי ידע שנוספו', review => review.stats.knowledgeAdded.length],
+      ['מילים שנכתבו', review => review.stats.wordsWritten],
+      ['החלטות', review => review.decisions.length]
+    ];
+    const trend = (before, after) => after > before ? '▲' : after < before ? '▼' : '=';
+
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <div class="card">
+        <h2 class="card-title">⇄ השוואת סקירות</h2>
+        <table class="data-table">
+          <thead>
+            <tr><th></th>${reviews.map(r => `<th>${r.title}</th>`).join('')}<th>מגמה</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, value]) => `
+              <tr>
+                <td>${label}</td>
+                ${reviews.map(r => `<td>${value(r)}</td>`).join('')}
+                <td>${trend(value(reviews[0]), value(reviews[1]))}</td>
+              </tr>
+            `).join('')}
+            <tr>
+              <td>רפלקציה</td>
+              ${reviews.map(r => `<td style="white-space: pre-wrap;">${r.reflections || '—'}</td>`).join('')}
+              <td></td>
+            </tr>
+            <tr>
+              <td>החלטות</td>
+              ${reviews.map(r => `<td>${r.decisions.map(d => `• ${d}`).join('<br>') || '—'}</td>`).join('')}
+              <td></td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="btn-group mt-2">
+          <button class="btn btn-secondary" onclick="router.go('/management/reviews')">← חזרה</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async deleteReview(reviewId) {
+    if (!await trashBin.discard('tasks.json', 'reviews', reviewId)) return;
+    await this.showReviewList();
+    this.dm.history.offerUndo('🗑 הסקירה הועברה לסל המחזור');
+  }
+
+  // ---------- Metrics ----------
+
+  async showMetrics() {
+    const tasks = (await this.dm.load('tasks.json')).tasks || [];
+    const items = (await this.dm.load('knowledge.json')).items || [];
+    const projects = (await this.dm.load('writing_projects.json')).projects || [];
+    const today = this.dm.formatDate();
+
+    const completed = tasks.filter(task => task.status === 'completed');
+    const overdue = WorkspaceStats.overdueTasks(tasks, today);
+    const completionRate = tasks.length > 0 ? Math.round((completed.length / tasks.length) * 100) : 0;
+    const weeks = WorkspaceStats.weeksEnding(today, 12);
+    const wordsPerWeek = weeks.map(week => ({
+      label: week.from.slice(5),
+      value: WorkspaceStats.wordsWrittenBetween(projects, week.from, week.to)
+    }));
+
+    const statusSeries = [
+      { key: 'completed', label: 'הושלמו', color: 'var(--success)' },
+      { key: 'overdue', label: 'באיחור', color: 'var(--danger)' },
+      { key: 'open', label: 'פתוחות', color: 'var(--accent-blue-light)' }
+    ];
+    const byField = field => Object.entries(WorkspaceStats.groupBy(tasks, field)).map(([label, group]) => ({
+      label,
+      values: {
+        completed: group.filter(task => task.status === 'completed').length,
+        overdue: group.filter(task => overdue.includes(task)).length,
+        open: group.filter(task => task.status !== 'completed' && !overdue.includes(task)).length
+      }
+    }));
+    const priorityOrder = ['גבוה', 'בינוני', 'נמוך'];
+
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">📊 מדדים</h3>
+
+      <div class="stats-grid">
+        <div class="stat-card"><div class="stat-value">${tasks.length}</div><div class="stat-label">משימות כוללות</div></div>
+        <div class="stat-card"><div class="stat-value">${completed.length}</div><div class="stat-label">משימות שהושלמו</div></div>
+        <div class="stat-card"><div class="stat-value">${completionRate}%</div><div class="stat-label">שיעור השלמה</div></div>
+        <div class="stat-card"><div class="stat-value">${overdue.length}</div><div class="stat-label">משימות באיחור</div></div>
+        <div class="stat-card"><div class="stat-value">${wordsPerWeek[wordsPerWeek.length - 1].value}</div><div class="stat-label">מילים השבוע</div></div>
+      </div>
+
+      <div class="card-grid">
+        <div class="card">
+          <div class="card-title">שיעור השלמה לאורך זמן</div>
+          ${SvgCharts.line(WorkspaceStats.completionByMonth(tasks, today).map(month => ({ label: month.month, value: month.rate })))}
+        </div>
+        <div class="card">
+          <div class="card-title">מילים שנכתבו בשבוע (12 שבועות)</div>
+          ${SvgCharts.columns(wordsPerWeek)}
+        </div>
+        <div class="card">
+          <div class="card-title">משימות לפי פרויקט</div>
+          ${SvgCharts.legend(statusSeries)}
+          ${SvgCharts.horizontalBars(byField('project'), statusSeries)}
+        </div>
+        <div class="card">
+          <div class="card-title">משימות לפי עדיפות</div>
+          ${SvgCharts.legend(statusSeries)}
+          ${SvgCharts.horizontalBars(byField('priority').sort((a, b) => priorityOrder.indexOf(a.label) - priorityOrder.indexOf(b.label)), statusSeries)}
+        </div>
+        <div class="card">
+          <div class="card-title">משימות לפי קטגוריה</div>
+          ${SvgCharts.legend(statusSeries)}
+          ${SvgCharts.horizontalBars(byField('category'), statusSeries)}
+        </div>
+        <div class="card">
+          <div class="card-title">פריטי ידע לפי קורס</div>
+          ${SvgCharts.horizontalBars(Object.entries(WorkspaceStats.groupBy(items, 'course'))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([label, group]) => ({ label, values: { count: group.length } })),
+            [{ key: 'count', label: 'פריטים', color: 'var(--accent-blue)' }])}
+        </div>
+      </div>
+    `;
+  }
+
+  // ---------- Roadmap ----------
+
+  // Tasks laid out year → quarter → category on one time axis spanning every
+  // planned year. Time runs right-to-left like the rest of the RTL layout.
+  async showRoadmap() {
+    const tasks = (await this.dm.load('tasks.json')).tasks || [];
+    const today = this.dm.formatDate();
+    const scheduled = tasks
+      .filter(task => WorkspaceStats.isDay(task.deadline))
+      .sort((a, b) => WorkspaceStats.quarterOf(a.deadline).localeCompare(WorkspaceStats.quarterOf(b.deadline))
+        || (a.category || '').localeCompare(b.category || '')
+        || a.deadline.localeCompare(b.deadline));
+    const unscheduled = tasks.filter(task => !WorkspaceStats.isDay(task.deadline));
+    const workspace = document.getElementById('management-workspace');
+
+    if (scheduled.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">🗺</div>
+          <div class="empty-state-title">אין משימות עם תאריך יעד</div>
+          <div class="empty-state-description">הוסף תאריך יעד למשימות כדי לראות אותן על ציר הזמן</div>
+        </div>
+      `;
+      return;
+    }
+
+    const years = scheduled.map(task => Number(task.deadline.slice(0, 4)));
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+    this.roadmapRange = { from: `${firstYear}-01-01`, to: `${lastYear}-12-31` };
+
+    const quarters = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      for (let quarter = 1; quarter <= 4; quarter++) {
+        quarters.push({ year, quarter, ...WorkspaceStats.periodRange(`${year}-Q${quarter}`) });
+      }
+    }
+    const span = range => `right: ${this.roadmapOffset(range.from)}%; width: ${this.roadmapOffset(WorkspaceStats.addDays(range.to, 1)) - this.roadmapOffset(range.from)}%;`;
+    const gridLines = `
+      ${quarters.map(q => `<div class="roadmap-gridline ${q.quarter === 1 ? 'roadmap-gridline-year' : ''}" style="right: ${this.roadmapOffset(q.from)}%;"></div>`).join('')}
+      ${today >= this.roadmapRange.from && today <= this.roadmapRange.to
+        ? `<div class="roadmap-today" style="right: ${this.roadmapPosition(today)}%;" title="היום"></div>` : ''}
+    `;
+
+    const rows = [];
+    let currentQuarter = null;
+    let currentCategory = null;
+    scheduled.forEach(task => {
+      const quarter = WorkspaceStats.quarterOf(task.deadline);
+      const category = task.category || 'ללא קטגוריה';
+      if (quarter.slice(0, 4) !== (currentQuarter || '').slice(0, 4)) {
+        rows.push(`<div class="roadmap-group roadmap-group-year">${quarter.slice(0, 4)}</div>`);
+      }
+      if (quarter !== currentQuarter) {
+        rows.push(`<div class="roadmap-group roadmap-group-quarter">${quarter.replace('-', ' · ')}</div>`);
+        currentQuarter = quarter;
+        currentCategory = null;
+      }
+      if (category !== currentCategory) {
+        rows.push(`<div class="roadmap-group roadmap-group-category">${category}</div>`);
+        currentCategory = category;
+      }
+
+      const overdue = this.isOverdue(task, today);
+      rows.push(`
+        <div class="roadmap-row">
+          <div class="roadmap-label">
+            <a href="#/management/tasks/${task.id}/edit" title="${escapeHtml(task.description || '')}">${task.title}</a>
+          </div>
+          <div class="roadmap-track">
+            ${gridLines}
+            <div class="roadmap-marker ${task.status === 'completed' ? 'roadmap-marker-completed' : overdue ? 'roadmap-marker-overdue' : ''}"
+                 data-id="${task.id}" data-deadline="${task.deadline}"
+                 style="right: ${this.roadmapPosition(task.deadline)}%;"
+                 title="${escapeHtml(task.title)} – גרור כדי לשנות את תאריך היעד">
+              <span class="roadmap-date">${task.deadline}</span>
+            </div>
+          </div>
+        </div>
+      `);
+    });
+
+    workspace.innerHTML = `
+      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">🗺 מפת דרכים</h3>
+
+      <div class="card roadmap">
+        <div class="roadmap-row roadmap-axis">
+          <div class="roadmap-label"></div>
+          <div class="roadmap-track">
+            ${[...new Set(quarters.map(q => q.year))].map(year => `
+              <div class="roadmap-axis-cell roadmap-axis-year" style="${span({ from: `${year}-01-01`, to: `${year}-12-31` })}">${year}</div>
+            `).join('')}
+          </div>
+        </div>
+        <div class="roadmap-row roadmap-axis">
+          <div class="roadmap-label"></div>
+          <div class="roadmap-track">
+            ${quarters.map(q => `<div class="roadmap-axis-cell" style="${span(q)}">Q${q.quarter}</div>`).join('')}
+          </div>
+        </div>
+        ${rows.join('')}
+      </div>
+
+      ${unscheduled.length > 0 ? `
+        <div class="card">
+          <div class="card-title">ללא תאריך יעד</div>
+          <div class="item-list">
+            ${unscheduled.map(task => `
+              <div class="list-item">
+                <div class="list-item-content">
+                  <div class="list-item-title">${task.title}</div>
+                  <div class="list-item-meta">${[task.deadline, task.category].filter(v => v).join(' | ')}</div>
+                </div>
+                <div class="list-item-actions">
+                  <button class="btn btn-secondary" onclick="router.go('/management/tasks/${task.id}/edit')">✎</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      ` : ''}
+    `;
+
+    workspace.querySelectorAll('.roadmap-marker').forEach(marker => {
+      marker.addEventListener('pointerdown', event => this.dragRoadmapMarker(event, marker));
+    });
+  }
+
+  // Percent from the right edge of the track where `day` starts
+  roadmapOffset(day) {
+    const { from, to } = this.roadmapRange;
+    return (WorkspaceStats.daysBetween(from, day) / (WorkspaceStats.daysBetween(from, to) + 1)) * 100;
+  }
+
+  // Percent from the right edge of the track to the middle of `day`
+  roadmapPosition(day) {
+    const { from, to } = this.roadmapRange;
+    return ((WorkspaceStats.daysBetween(from, day) + 0.5) / (WorkspaceStats.daysBetween(from, to) + 1)) * 100;
+  }
+
+  dragRoadmapMarker(event, marker) {
+    event.preventDefault();
+    const rect = marker.parentElement.getBoundingClientRect();
+    const { from, to } = this.roadmapRange;
+    const totalDays = WorkspaceStats.daysBetween(from, to) + 1;
+    let deadline = marker.dataset.deadline;
+
+    const move = moveEvent => {
+      const fraction = Math.min(1, Math.max(0, (rect.right - moveEvent.clientX) / rect.width));
+      deadline = WorkspaceStats.addDays(from, Math.min(totalDays - 1, Math.floor(fraction * totalDays)));
+      marker.style.right = `${this.roadmapPosition(deadline)}%`;
+      marker.querySelector('.roadmap-date').textContent = deadline;
+    };
+    const finish = async finishEvent => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', finish);
+      document.removeEventListener('pointercancel', finish);
+      marker.classList.remove('dragging');
+
+      if (finishEvent.type === 'pointerup' && deadline !== marker.dataset.deadline) {
+        await this.rescheduleTask(marker.dataset.id, deadline);
+      } else {
+        marker.style.right = `${this.roadmapPosition(marker.dataset.deadline)}%`;
+        marker.querySelector('.roadmap-date').textContent = marker.dataset.deadline;
+      }
+    };
+
+    marker.classList.add('dragging');
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', finish);
+    document.addEventListener('pointercancel', finish);
+  }
+
+  async rescheduleTask(taskId, deadline) {
+    const data = await this.dm.load('tasks.json');
+    const task = data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    task.deadline = deadline;
+    if (task.recurrence) {
+      task.recurrence.start = TaskRecurrence.startFor(task.recurrence, task.occurrence || 1, deadline);
+    }
+    task.updatedAt = this.dm.formatDateTime();
+    if (!await this.dm.save('tasks.json', data)) return;
+
+    this.showToast(`✓ תאריך היעד עודכן ל-${deadline}`);
+    await this.showRoadmap();
+  }
+
+  // ---------- Activity ----------
+
+  activityLink(entry) {
+    if (entry.action === 'delete') return null;
+    const paths = {
+      documents: `/docs/${entry.entityId}/edit`,
+      items: `/knowledge/${entry.entityId}`,
+      projects: `/writing/${entry.entityId}`,
+      tasks: `/management/tasks/${entry.entityId}/edit`,
+      reviews: `/management/reviews/${entry.entityId}`
+    };
+    return paths[entry.collection] || null;
+  }
+
+  renderActivityEntry(entry) {
+    const actions = {
+      create: ['נוצר', 'success'],
+      update: ['עודכן', 'info'],
+      delete: ['נמחק', 'danger']
+    };
+    const [label, badge] = actions[entry.action] || [entry.action, 'secondary'];
+    const link = this.activityLink(entry);
+    const title = ActivityLog.display(entry.title);
+
+    return `
+      <div class="activity-entry">
+        <div class="activity-meta">
+          <span class="badge badge-${badge}">${label}</span>
+          <span class="text-muted">${entry.at.slice(11, 16)} · ${ActivityLog.display(entry.actor)} · ${ActivityLog.collectionLabels[entry.collection] || entry.collection}</span>
+        </div>
+        <div class="activity-title">${link ? `<a href="#${link}">${title}</a>` : title}</div>
+        ${entry.changes.length > 0 ? `
+          <details>
+            <summary class="text-muted">${entry.changes.map(change => change.field).join(', ')}</summary>
+            <table class="data-table">
+              <thead><tr><th>שדה</th><th>לפני</th><th>אחרי</th></tr></thead>
+              <tbody>
+                ${entry.changes.map(change => `
+                  <tr>
+                    <td>${change.field}</td>
+                    <td class="activity-before">${ActivityLog.display(change.before)}</td>
+                    <td class="activity-after">${ActivityLog.display(change.after)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </details>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  async showActivity(filters = {}) {
+    const all = await this.dm.activity.load();
+    const entries = await this.dm.activity.query(filters);
+    const actors = [...new Set(all.map(entry => entry.actor))].sort();
+    const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+
+    const byDay = entries.reduce((days, entry) => {
+      const day = entry.at.slice(0, 10);
+      (days[day] = days[day] || []).push(entry);
+      return days;
+    }, {});
+
+    const workspace = document.getElementById('management-workspace');
+    workspace.innerHTML = `
+      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">🕘 יומן פעילות</h3>
+
+      <div class="card">
+        <div class="card-grid">
+          <div class="form-group">
+            <label class="form-label">סוג רשומה</label>
+            <select class="form-select" id="activity-collection">
+              ${option('', 'הכל', filters.collection || '')}
+              ${Object.entries(ActivityLog.collectionLabels).map(([value, label]) => option(value, label, filters.collection)).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">פעולה</label>
+            <select class="form-select" id="activity-action">
+              ${option('', 'הכל', filters.action || '')}
+              ${option('create', 'נוצר', filters.action)}
+              ${option('update', 'עודכן', filters.action)}
+              ${option('delete', 'נמחק', filters.action)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">משתמש</label>
+            <select class="form-select" id="activity-actor">
+              ${option('', 'הכל', filters.actor || '')}
+              ${actors.map(actor => option(actor, escapeHtml(actor), filters.actor)).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">מתאריך</label>
+            <input type="date" class="form-input" id="activity-from" value="${filters.from || ''}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">עד תאריך</label>
+            <input type="date" class="form-input" id="activity-to" value="${filters.to || ''}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">חיפוש</label>
+            <input type="text" class="form-input" id="activity-query" value="${escapeHtml(filters.query || '')}" placeholder="כותרת או שם שדה">
+          </div>
+        </div>
+        <div class="btn-group">
+          <button class="btn" onclick="management.applyActivityFilter()">סינון</button>
+          <button class="btn btn-secondary" onclick="router.go('/management/activity')">ניקוי</button>
+          <button class="btn btn-secondary" onclick="management.changeActor()">👤 ${escapeHtml(this.dm.activity.getActor())}</button>
+        </div>
+      </div>
+
+      ${entries.length === 0 ? `
+        <div class="empty-state">
+          <div class="empty-state-icon">🕘</div>
+          <div class="empty-state-title">אין פעילות להצגה</div>
+          <div class="empty-state-description">כל יצירה, עדכון ומחיקה של רשומה נרשמים כאן</div>
+        </div>
+      ` : Object.entries(byDay).map(([day, dayEntries]) => `
+        <div class="activity-day">
+          <div class="roadmap-group roadmap-group-quarter">${day}</div>
+          ${dayEntries.map(entry => this.renderActivityEntry(entry)).join('')}
+        </div>
+      `).join('')}
+    `;
+  }
+
+  applyActivityFilter() {
+    const query = new URLSearchParams();
+    [['collection', 'activity-collection'], ['action', 'activity-action'], ['actor', 'activity-actor'],
+      ['from', 'activity-from'], ['to', 'activity-to'], ['query', 'activity-query']].forEach(([key, id]) => {
+      const value = document.getElementById(id).value.trim();
+      if (value) query.set(key, value);
+    });
+    const queryString = query.toString();
+    router.go(queryString ? `/management/activity?${queryString}` : '/management/activity');
+  }
+
+  async changeActor() {
+    const name = (prompt('השם שיירשם ביומן הפעילות:', this.dm.activity.getActor()) || '').trim();
+    if (!name) return;
+    this.dm.activity.setActor(name);
+    await router.resolve();
+  }
+
+  // ---------- Dashboard Widgets ----------
+
+  getDashboardWidgets() {
+    const load = async () => (await this.dm.load('tasks.json')).tasks || [];
+    const taskList = (tasks, empty) => tasks.length === 0
+      ? `<p class="text-muted">${empty}</p>`
+      : `<ul class="review-list">${tasks.map(task => `
+          <li><a href="#/management/tasks/${task.id}/edit">${task.title}</a>
+            ${task.deadline ? `<span class="text-muted">(${task.deadline})</span>` : ''}</li>
+        `).join('')}</ul>`;
+
+    return [
+      {
+        id: 'overdue-tasks',
+        title: '⚠ באיחור',
+        link: '/management',
+        render: async () => taskList(
+          WorkspaceStats.overdueTasks(await load(), this.dm.formatDate()).sort((a, b) => a.deadline.localeCompare(b.deadline)),
+          'אין משימות באיחור 🎉'
+        )
+      },
+      {
+        id: 'upcoming-deadlines',
+        title: '📅 14 הימים הקרובים',
+        link: '/management/calendar',
+        render: async () => {
+          const today = this.dm.formatDate();
+          return taskList(
+            WorkspaceStats.tasksDueBetween(await load(), today, WorkspaceStats.addDays(today, 14)),
+            'אין תאריכי יעד בשבועיים הקרובים'
+          );
+        }
+      },
+      {
+        id: 'quarter-progress',
+        title: `📈 ${WorkspaceStats.quarterOf(this.dm.formatDate())}`,
+        link: '/management/roadmap',
+        render: async () => {
+          const { from, to } = WorkspaceStats.periodRange(WorkspaceStats.quarterOf(this.dm.formatDate()));
+          const tasks = (await load()).filter(task => WorkspaceStats.inPeriod(task.deadline, from, to));
+          if (tasks.length === 0) return '<p class="text-muted">אין משימות ברבעון הנוכחי</p>';
+          const done = tasks.filter(task => task.status === 'completed').length;
+          return `
+            <p>${done}/${tasks.length} משימות הושלמו</p>
+            <div class="progress-bar mb-1"><div class="progress-fill" style="width: ${Math.round((done / tasks.length) * 100)}%;"></div></div>
+            <ul class="review-list">
+              ${Object.entries(WorkspaceStats.groupBy(tasks, 'category')).map(([category, group]) => `
+                <li>${category}: ${group.filter(task => task.status === 'completed').length}/${group.length}</li>
+              `).join('')}
+            </ul>
+          `;
+        }
+      },
+      {
+        id: 'recent-activity',
+        title: '🕘 פעילות אחרונה',
+        link: '/management/activity',
+        render: async () => {
+          const entries = (await this.dm.activity.query()).slice(0, 6);
+          if (entries.length === 0) return '<p class="text-muted">אין פעילות עדיין</p>';
+          return entries.map(entry => this.renderActivityEntry(entry)).join('');
+        }
+      },
+      {
+        id: 'task-list',
+        title: '📋 משימות פתוחות',
+        link: '/management',
+        render: async () => {
+          const priorityOrder = ['גבוה', 'בינוני', 'נמוך'];
+          const open = (await load())
+            .filter(task => task.status !== 'completed' && !task.skipped)
+            .sort((a, b) => priorityOrder.indexOf(a.priority) - priorityOrder.indexOf(b.priority)
+              || (a.deadline || '9999').localeCompare(b.deadline || '9999'))
+            .slice(0, 8);
+          return taskList(open, 'אין משימות פתוחות');
+        }
+      }
+    ];
+  }
+
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
+  }
+}
+
+// ============================================
+// Zip Archive - Minimal ZIP Writer/Reader
+// ============================================
+// Writes uncompressed (stored) entries with UTF-8 names; reads stored and,
+// where the browser supports DecompressionStream, deflated entries.
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  static crcTable() {
+    if (!ZipArchive.table) {
+      ZipArchive.table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipArchive.table[n] = c >>> 0;
+      }
+    }
+    return ZipArchive.table;
+  }
+
+  static crc32(bytes) {
+    const table = ZipArchive.crcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  addFile(name, content, date = new Date()) {
+    const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    this.entries.push({ name, nameBytes: new TextEncoder().encode(name), data, date });
+  }
+
+  dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  toBytes() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      const crc = ZipArchive.crc32(entry.data);
+      const { time, date } = this.dosDateTime(entry.date);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), entry.nameBytes, entry.data);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014B50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, entry.data.length, true);
+      header.setUint32(24, entry.data.length, true);
+      header.setUint16(28, entry.nameBytes.length, true);
+      header.setUint32(42, offset, true);
+      central.push(new Uint8Array(header.buffer), entry.nameBytes);
+
+      offset += 30 + entry.nameBytes.length + entry.data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      bytes.set(part, position);
+      position += part.length;
+    });
+    return bytes;
+  }
+
+  toBlob(type = 'application/zip') {
+    return new Blob([this.toBytes()], { type });
+  }
+
+  // Returns a Map of entry name → Uint8Array
+  static async read(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset < 0) throw new Error('הקובץ אינו ארכיון ZIP');
+
+    const count = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const files = new Map();
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pointer, true) !== 0x02014B50) throw new Error('ארכיון ZIP פגום');
+      const method = view.getUint16(pointer + 10, true);
+      const compressedSize = view.getUint32(pointer + 20, true);
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const localOffset = view.getUint32(pointer + 42, true);
+      const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (!name.endsWith('/')) {
+        files.set(name, method === 0 ? raw.slice() : await ZipArchive.inflate(raw, method, name));
+      }
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+  }
+
+  static async inflate(raw, method, name) {
+    if (method !== 8 || typeof DecompressionStream === 'undefined') {
+      throw new Error(`לא ניתן לפתוח את ${name} (שיטת דחיסה ${method})`);
+    }
+    const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
+
+// ============================================
+// Document Model - Blocks and Runs
+// ============================================
+// A document is a list of blocks: paragraph, heading (style title or
+// heading1-3), quote, list (flat items with a nesting level), image and
+// table. Text lives in segments - a paragraph-like block, a list item or a
+// table cell - each holding runs { text, bold, italic, underline, href }
+// where "\n" is a line break. Documents are stored as the HTML toHtml()
+// writes; fromHtml() also reads older editor content and pasted HTML.
+class DocumentModel {
+  static get marks() {
+    return ['bold', 'italic', 'underline', 'href'];
+  }
+
+  static get headingTags() {
+    return { title: 'h1', heading1: 'h2', heading2: 'h3', heading3: 'h4' };
+  }
+
+  static get blockTags() {
+    return /^(P|DIV|LI|SECTION|ARTICLE|HEADER|FOOTER|MAIN|ASIDE|NAV|PRE|H[1-6]|BLOCKQUOTE|UL|OL|TABLE|FIGURE|IMG|HR)$/;
+  }
+
+  static isTextBlock(block) {
+    return ['paragraph', 'heading', 'quote'].includes(block.type);
+  }
+
+  // data-style wins over the tag, so <h1 data-style="title"> is a title
+  static styleOf(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+    const style = node.getAttribute('data-style');
+    if (DocumentModel.headingTags[style] || style === 'quote') return style;
+    const tags = { H1: 'heading1', H2: 'heading2', H3: 'heading3', H4: 'heading3', H5: 'heading3', H6: 'heading3', BLOCKQUOTE: 'quote' };
+    return tags[node.tagName] || null;
+  }
+
+  static run(text, marks = {}) {
+    const run = { text };
+    DocumentModel.marks.forEach(mark => {
+      if (marks[mark]) run[mark] = marks[mark];
+    });
+    return run;
+  }
+
+  static length(runs) {
+    return runs.reduce((sum, run) => sum + run.text.length, 0);
+  }
+
+  static sameMarks(a, b) {
+    return DocumentModel.marks.every(mark => (a[mark] || false) === (b[mark] || false));
+  }
+
+  static normalize(runs) {
+    return runs.reduce((result, run) => {
+      if (!run.text) return result;
+      const last = result[result.length - 1];
+      if (last && DocumentModel.sameMarks(last, run)) last.text += run.text;
+      else result.push(DocumentModel.run(run.text, run));
+      return result;
+    }, []);
+  }
+
+  // → [runs before offset, runs from offset]
+  static split(runs, offset) {
+    const before = [];
+    const after = [];
+    let position = 0;
+    runs.forEach(run => {
+      const end = position + run.text.length;
+      if (end <= offset) before.push({ ...run });
+      else if (position >= offset) after.push({ ...run });
+      else {
+        before.push({ ...run, text: run.text.slice(0, offset - position) });
+        after.push({ ...run, text: run.text.slice(offset - position) });
+      }
+      position = end;
+    });
+    return [before, after];
+  }
+
+  static slice(runs, from, to) {
+    return DocumentModel.split(DocumentModel.split(runs, to)[0], from)[1];
+  }
+
+  // Marks typing at offset continues: those of the character before it
+  static marksAt(runs, offset) {
+    let position = 0;
+    const run = runs.find(candidate => {
+      position += candidate.text.length;
+      return position >= offset;
+    }) || runs[runs.length - 1];
+    return run ? DocumentModel.run('', run) : {};
+  }
+
+  // Segments in document order: { block, index, holder } with holder.runs
+  static segments(blocks) {
+    const segments = [];
+    blocks.forEach((block, index) => {
+      if (DocumentModel.isTextBlock(block)) segments.push({ block, index, holder: block });
+      else if (block.type === 'list') block.items.forEach(item => segments.push({ block, index, holder: item }));
+      else if (block.type === 'table') block.rows.forEach(row => row.forEach(cell => segments.push({ block, index, holder: cell })));
+    });
+    return segments;
+  }
+
+  static safeUrl(url) {
+    const value = MarkdownConverter.safeUrl(String(url || '').trim());
+    return value === '#' ? '' : value;
+  }
+
+  // ---------- HTML → blocks ----------
+
+  static fromHtml(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html || '';
+    return DocumentModel.fromElement(root).blocks;
+  }
+
+  // options.raw keeps whitespace as typed (the live editor). Elements with
+  // data-caret are reported in positions as { holder, offset }.
+  static fromElement(root, options = {}) {
+    const blocks = [];
+    const positions = new Map();
+    let waiting = [];
+    let open = null;
+
+    const isBlock = node => node.nodeType === Node.ELEMENT_NODE &&
+      (DocumentModel.blockTags.test(node.tagName) || Boolean(DocumentModel.styleOf(node)));
+    const settle = holder => {
+      waiting.forEach(marker => positions.set(marker, { holder, offset: 0 }));
+      waiting = [];
+    };
+    const finish = holder => {
+      const runs = DocumentModel.normalize(holder.runs);
+      const last = runs[runs.length - 1];
+      if (last && last.text.endsWith('\n')) last.text = last.text.slice(0, -1);
+      holder.runs = DocumentModel.normalize(runs);
+    };
+    const addHolder = (holder, block = holder) => {
+      if (block === holder) blocks.push(block);
+      settle(holder);
+      return holder;
+    };
+
+    const collect = (node, holder, marks) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = options.raw ? node.textContent : node.textContent.replace(/[ \t\n\r]+/g, ' ');
+        holder.runs.push(DocumentModel.run(text, marks));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.hasAttribute('data-caret')) {
+        positions.set(node, { holder, offset: DocumentModel.length(holder.runs) });
+        return;
+      }
+
+      const tag = node.tagName;
+      if (tag === 'BR') {
+        holder.runs.push(DocumentModel.run('\n', marks));
+        return;
+      }
+      if (/^(SCRIPT|STYLE|UL|OL|TABLE|IMG|FIGURE|HR)$/.test(tag)) return;
+      if (DocumentModel.blockTags.test(tag) && DocumentModel.length(holder.runs) > 0 && !holder.runs[holder.runs.length - 1].text.endsWith('\n')) {
+        holder.runs.push(DocumentModel.run('\n', marks));
+      }
+
+      // Pasted HTML often formats with inline styles instead of tags
+      const style = node.style || {};
+      const weight = style.fontWeight || '';
+      const next = { ...marks };
+      if ((/^(B|STRONG)$/.test(tag) && weight !== 'normal' && !(weight && Number(weight) < 600)) || weight === 'bold' || Number(weight) >= 600) next.bold = true;
+      if (/^(I|EM)$/.test(tag) || style.fontStyle === 'italic') next.italic = true;
+      if (tag === 'U' || /underline/.test(style.textDecoration || style.textDecorationLine || '')) next.underline = true;
+      if (tag === 'A' && DocumentModel.safeUrl(node.getAttribute('href'))) next.href = DocumentModel.safeUrl(node.getAttribute('href'));
+      node.childNodes.forEach(child => collect(child, holder, next));
+    };
+
+    const addText = (block, node) => {
+      addHolder(block);
+      node.childNodes.forEach(child => collect(child, block, {}));
+      finish(block);
+    };
+
+    const addList = node => {
+      const block = { type: 'list', ordered: node.tagName === 'OL', items: [] };
+      blocks.push(block);
+      const addItems = (list, level) => list.childNodes.forEach(child => {
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        if (child.hasAttribute('data-caret')) {
+          const last = block.items[block.items.length - 1];
+          if (last) positions.set(child, { holder: last, offset: DocumentModel.length(last.runs) });
+          else waiting.push(child);
+        } else if (child.tagName === 'UL' || child.tagName === 'OL') {
+          addItems(child, level + 1);
+        } else if (child.tagName === 'LI') {
+          const item = addHolder({ level, runs: [] }, block);
+          block.items.push(item);
+          child.childNodes.forEach(part => {
+            if (part.nodeType === Node.ELEMENT_NODE && (part.tagName === 'UL' || part.tagName === 'OL')) addItems(part, level + 1);
+            else collect(part, item, {});
+          });
+          finish(item);
+        }
+      });
+      addItems(node, 0);
+      if (block.items.length === 0) blocks.pop();
+    };
+
+    const addTable = node => {
+      const rows = [...node.querySelectorAll('tr')]
+        .filter(row => row.closest('table') === node)
+        .map(row => [...row.children].filter(cell => /^(TD|TH)$/.test(cell.tagName)).map(cell => {
+          const holder = addHolder({ runs: [] }, null);
+          cell.childNodes.forEach(child => collect(child, holder, {}));
+          finish(holder);
+          return holder;
+        }))
+        .filter(row => row.length > 0);
+      if (rows.length === 0) return;
+      const width = Math.max(...rows.map(row => row.length));
+      rows.forEach(row => {
+        while (row.length < width) row.push({ runs: [] });
+      });
+      blocks.push({ type: 'table', rows });
+    };
+
+    const addImage = img => {
+      const src = img && DocumentModel.safeUrl(img.getAttribute('src'));
+      if (src) blocks.push({ type: 'image', src, alt: img.getAttribute('alt') || '' });
+    };
+
+    const walk = parent => parent.childNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        const tag = node.tagName;
+        const style = DocumentModel.styleOf(node);
+        if (node.hasAttribute('data-caret')) {
+          if (open) positions.set(node, { holder: open, offset: DocumentModel.length(open.runs) });
+          else waiting.push(node);
+          return;
+        }
+        if (/^(SCRIPT|STYLE|META|LINK|TITLE|TEMPLATE|HR)$/.test(tag)) return;
+        if (style || isBlock(node) || [...node.querySelectorAll('*')].some(isBlock)) {
+          if (open) finish(open);
+          open = null;
+          if (style && ![...node.children].some(child => /^(UL|OL|TABLE|FIGURE|IMG)$/.test(child.tagName))) {
+            addText(style === 'quote' ? { type: 'quote', runs: [] } : { type: 'heading', style, runs: [] }, node);
+          } else if (tag === 'UL' || tag === 'OL') addList(node);
+          else if (tag === 'TABLE') addTable(node);
+          else if (tag === 'IMG') addImage(node);
+          else if (tag === 'FIGURE') addImage(node.querySelector('img'));
+          else if ([...node.children].some(isBlock) || !DocumentModel.blockTags.test(tag)) walk(node);
+          else addText({ type: 'paragraph', runs: [] }, node);
+          return;
+        }
+      } else if (node.nodeType !== Node.TEXT_NODE || (!open && !node.textContent.trim())) {
+        return;
+      }
+      if (!open) open = addHolder({ type: 'paragraph', runs: [] });
+      collect(node, open, {});
+    });
+
+    walk(root);
+    if (open) finish(open);
+    if (!blocks.some(DocumentModel.isTextBlock)) blocks.push({ type: 'paragraph', runs: [] });
+    const last = DocumentModel.segments(blocks).pop().holder;
+    waiting.forEach(marker => positions.set(marker, { holder: last, offset: DocumentModel.length(last.runs) }));
+    return { blocks, positions };
+  }
+
+  // ---------- blocks → HTML ----------
+
+  static runsHtml(runs) {
+    if (DocumentModel.length(runs) === 0) return '<br>';
+    const escape = escapeHtml;
+    const html = runs.map(run => {
+      let text = escape(run.text).replace(/\n/g, '<br>');
+      if (run.underline) text = `<u>${text}</u>`;
+      if (run.italic) text = `<i>${text}</i>`;
+      if (run.bold) text = `<b>${text}</b>`;
+      if (run.href) text = `<a href="${escape(run.href)}">${text}</a>`;
+      return text;
+    }).join('');
+    // A trailing line break only shows with a second <br> after it
+    return runs[runs.length - 1].text.endsWith('\n') ? `${html}<br>` : html;
+  }
+
+  static listHtml(block) {
+    const tag = block.ordered ? 'ol' : 'ul';
+    let html = '';
+    let depth = -1;
+    block.items.forEach(item => {
+      const level = Math.min(item.level, depth + 1);
+      if (level > depth) {
+        html += `<${tag}>`;
+      } else {
+        html += '</li>';
+        for (; depth > level; depth--) html += `</${tag}></li>`;
+      }
+      html += `<li>${DocumentModel.runsHtml(item.runs)}`;
+      depth = level;
+    });
+    html += '</li>';
+    for (; depth > 0; depth--) html += `</${tag}></li>`;
+    return `${html}</${tag}>`;
+  }
+
+  static toHtml(blocks) {
+    const escape = escapeHtml;
+    return blocks.map(block => {
+      if (block.type === 'heading') {
+        const tag = DocumentModel.headingTags[block.style] || 'h2';
+        return `<${tag} data-style="${block.style}">${DocumentModel.runsHtml(block.runs)}</${tag}>`;
+      }
+      if (block.type === 'quote') return `<blockquote data-style="quote">${DocumentModel.runsHtml(block.runs)}</blockquote>`;
+      if (block.type === 'list') return DocumentModel.listHtml(block);
+      if (block.type === 'image') return `<figure><img src="${escape(block.src)}" alt="${escape(block.alt || '')}"></figure>`;
+      if (block.type === 'table') {
+        return `<table><tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${DocumentModel.runsHtml(cell.runs)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+      }
+      return `<p>${DocumentModel.runsHtml(block.runs)}</p>`;
+    }).join('');
+  }
+}
+
+// ============================================
+// Block Editor - Editing Surface for DocumentModel
+// ============================================
+// Typing inside a segment is left to the browser. Everything structural -
+// Enter, Backspace/Delete at a segment edge, block styles, marks, paste,
+// undo - is a command: caret markers are dropped into the DOM, the model
+// is read back together with their positions, changed and rendered again.
+// Styles come from the document's style set through a generated stylesheet.
+class BlockEditor {
+  constructor(root, html, options = {}) {
+    this.root = root;
+    this.toolbar = options.toolbar || null;
+    this.onChange = options.onChange || (() => {});
+    this.done = [];
+    this.undone = [];
+    this.typing = null;
+    this.pending = null;
+    this.lastSelection = null;
+
+    this.blocks = DocumentModel.fromHtml(html);
+    this.applyStyles(options.styles || {});
+    this.render(null);
+
+    root.addEventListener('keydown', event => this.onKeyDown(event));
+    root.addEventListener('beforeinput', event => this.onBeforeInput(event));
+    root.addEventListener('paste', event => this.onPaste(event));
+    root.addEventListener('mousedown', () => {
+      this.pending = null;
+    });
+    this.onSelectionChange = () => {
+      if (!this.root.isConnected) {
+        document.removeEventListener('selectionchange', this.onSelectionChange);
+        return;
+      }
+      const selection = this.domSelection();
+      if (selection) this.lastSelection = selection;
+      this.updateToolbar();
+    };
+    document.addEventListener('selectionchange', this.onSelectionChange);
+  }
+
+  static get segmentSelector() {
+    return 'p, h1, h2, h3, h4, blockquote, li, td';
+  }
+
+  // Style set entry → CSS declarations
+  static declarations(style = {}) {
+    return Object.entries(style)
+      .map(([key, value]) => `${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}: ${String(value).replace(/[;{}<>]/g, '')};`)
+      .join(' ');
+  }
+
+  static css(styles, scope) {
+    return Object.entries(styles)
+      .map(([name, style]) => `${name === 'normal' ? scope : `${scope} [data-style="${name}"]`} { ${BlockEditor.declarations(style)} }`)
+      .join('\n');
+  }
+
+  applyStyles(styles) {
+    let sheet = document.getElementById('doc-editor-styles');
+    if (!sheet) {
+      sheet = document.createElement('style');
+      sheet.id = 'doc-editor-styles';
+      document.head.appendChild(sheet);
+    }
+    sheet.textContent = BlockEditor.css(styles, `#${this.root.id}`);
+  }
+
+  getHtml() {
+    this.sync();
+    return DocumentModel.toHtml(this.blocks);
+  }
+
+  sync() {
+    this.blocks = DocumentModel.fromElement(this.root, { raw: true }).blocks;
+  }
+
+  segments() {
+    return DocumentModel.segments(this.blocks);
+  }
+
+  // ---------- Rendering and selection ----------
+
+  render(selection) {
+    // The caret needs a paragraph to land in after a trailing image or table
+    if (!this.blocks.some(DocumentModel.isTextBlock) || ['image', 'table'].includes(this.blocks[this.blocks.length - 1].type)) {
+      this.blocks.push({ type: 'paragraph', runs: [] });
+    }
+    this.root.innerHTML = DocumentModel.toHtml(this.blocks);
+    this.root.querySelectorAll('figure').forEach(figure => {
+      figure.contentEditable = 'false';
+    });
+    if (selection) this.select(selection);
+    this.updateToolbar();
+  }
+
+  segmentElements() {
+    return [...this.root.querySelectorAll(BlockEditor.segmentSelector)];
+  }
+
+  // Model position → DOM point
+  domPoint(position) {
+    const elements = this.segmentElements();
+    const element = elements[Math.min(position.segment, elements.length - 1)];
+    let remaining = position.offset;
+    const walk = node => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (remaining <= child.length) return { node: child, offset: remaining };
+          remaining -= child.length;
+        } else if (child.tagName === 'BR') {
+          if (remaining === 0) return { node, offset: [...node.childNodes].indexOf(child) };
+          remaining -= 1;
+        } else if (child.tagName !== 'UL' && child.tagName !== 'OL') {
+          const found = walk(child);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+    const nested = [...element.childNodes].findIndex(child => child.tagName === 'UL' || child.tagName === 'OL');
+    return walk(element) || { node: element, offset: nested < 0 ? element.childNodes.length : nested };
+  }
+
+  select(selection) {
+    const start = this.domPoint(selection.start);
+    const end = this.domPoint(selection.end);
+    this.root.focus();
+    window.getSelection().setBaseAndExtent(start.node, start.offset, end.node, end.offset);
+    this.lastSelection = selection;
+  }
+
+  // DOM point → model position, without touching the DOM
+  domPosition(node, offset) {
+    const start = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const element = start && start.closest(BlockEditor.segmentSelector);
+    if (!element || !this.root.contains(element)) return null;
+    const range = document.createRange();
+    range.setStart(element, 0);
+    range.setEnd(node, offset);
+    const fragment = range.cloneContents();
+    fragment.querySelectorAll('ul, ol').forEach(list => list.remove());
+    return { segment: this.segmentElements().indexOf(element), offset: fragment.textContent.length + fragment.querySelectorAll('br').length };
+  }
+
+  domSelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    const range = selection.getRangeAt(0);
+    const start = this.domPosition(range.startContainer, range.startOffset);
+    const end = this.domPosition(range.endContainer, range.endOffset);
+    return start && end ? { start, end } : null;
+  }
+
+  segmentLength(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('ul, ol').forEach(list => list.remove());
+    const trailing = copy.lastChild && copy.lastChild.nodeName === 'BR' ? 1 : 0;
+    return copy.textContent.length + copy.querySelectorAll('br').length - trailing;
+  }
+
+  // Reads the model back from the DOM along with the current selection
+  capture() {
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    const markers = [];
+    if (range && this.root.contains(range.commonAncestorContainer)) {
+      ['end', 'start'].forEach(side => {
+        const marker = document.createElement('span');
+        marker.setAttribute('data-caret', side);
+        const point = range.cloneRange();
+        point.collapse(side === 'start');
+        point.insertNode(marker);
+        markers.push(marker);
+      });
+    }
+
+    const { blocks, positions } = DocumentModel.fromElement(this.root, { raw: true });
+    markers.forEach(marker => marker.remove());
+    this.blocks = blocks;
+
+    const segments = this.segments();
+    const resolve = marker => {
+      const position = marker && positions.get(marker);
+      const segment = position ? segments.findIndex(candidate => candidate.holder === position.holder) : -1;
+      return segment < 0 ? null : { segment, offset: Math.min(position.offset, DocumentModel.length(position.holder.runs)) };
+    };
+    const start = resolve(markers[1]);
+    if (start) return { start, end: resolve(markers[0]) || start };
+
+    const last = segments.length - 1;
+    const end = { segment: last, offset: DocumentModel.length(segments[last].holder.runs) };
+    const remembered = this.lastSelection;
+    return remembered && remembered.end.segment <= last ? remembered : { start: end, end };
+  }
+
+  static collapsed(selection) {
+    return selection.start.segment === selection.end.segment && selection.start.offset === selection.end.offset;
+  }
+
+  static caret(segment, offset) {
+    return { start: { segment, offset }, end: { segment, offset } };
+  }
+
+  // ---------- Commands ----------
+
+  command(change) {
+    clearTimeout(this.typing);
+    this.typing = null;
+    const selection = this.capture();
+    this.remember(selection);
+    const next = change(selection) || selection;
+    this.render(next);
+    this.onChange();
+  }
+
+  // Undo states copy the text blocks; image blocks are copied shallowly so
+  // every state shares one (possibly large) data URL instead of its own copy
+  static snapshot(blocks) {
+    return blocks.map(block => (block.type === 'image' ? { ...block } : JSON.parse(JSON.stringify(block))));
+  }
+
+  remember(selection) {
+    this.done.push({ blocks: BlockEditor.snapshot(this.blocks), selection });
+    if (this.done.length > 100) this.done.shift();
+    this.undone = [];
+  }
+
+  undo() {
+    this.restore(this.done, this.undone);
+  }
+
+  redo() {
+    this.restore(this.undone, this.done);
+  }
+
+  restore(from, to) {
+    clearTimeout(this.typing);
+    this.typing = null;
+    if (from.length === 0) return;
+    const selection = this.capture();
+    to.push({ blocks: BlockEditor.snapshot(this.blocks), selection });
+    const state = from.pop();
+    this.blocks = state.blocks;
+    const segments = this.segments();
+    const last = segments.length - 1;
+    this.render(state.selection && state.selection.end.segment <= last
+      ? state.selection
+      : BlockEditor.caret(last, DocumentModel.length(segments[last].holder.runs)));
+    this.onChange();
+  }
+
+  // Text blocks and list items as one flat sequence, so types change freely
+  units() {
+    return this.blocks.flatMap(block => (block.type === 'list'
+      ? block.items.map(item => ({ type: 'item', ordered: block.ordered, level: item.level, runs: item.runs }))
+      : [block]));
+  }
+
+  regroup(units) {
+    const blocks = [];
+    units.forEach(unit => {
+      if (unit.type !== 'item') {
+        blocks.push(unit);
+        return;
+      }
+      const last = blocks[blocks.length - 1];
+      const item = { level: unit.level, runs: unit.runs };
+      if (last && last.type === 'list' && last.ordered === unit.ordered) last.items.push(item);
+      else blocks.push({ type: 'list', ordered: unit.ordered, items: [{ ...item, level: 0 }] });
+    });
+    this.blocks = blocks;
+  }
+
+  // Units whose segment lies in the selection, with their segment index
+  selectedUnits(units, selection) {
+    let segment = 0;
+    return units.reduce((selected, unit, index) => {
+      const size = unit.type === 'table' ? unit.rows.length * unit.rows[0].length : unit.type === 'image' ? 0 : 1;
+      if (unit.type !== 'table' && size && segment >= selection.start.segment && segment <= selection.end.segment) {
+        selected.push({ unit, index, segment });
+      }
+      segment += size;
+      return selected;
+    }, []);
+  }
+
+  // type: paragraph | heading | quote | list; style: heading style or 'ordered'
+  setBlock(type, style = null) {
+    this.command(selection => {
+      const units = this.units();
+      const selected = this.selectedUnits(units, selection);
+      const matches = unit => (type === 'list'
+        ? unit.type === 'item' && unit.ordered === (style === 'ordered')
+        : unit.type === type && (type !== 'heading' || unit.style === style));
+      const off = type !== 'paragraph' && selected.every(({ unit }) => matches(unit));
+
+      selected.forEach(({ unit, index }) => {
+        if (off || type === 'paragraph') units[index] = { type: 'paragraph', runs: unit.runs };
+        else if (type === 'list') units[index] = { type: 'item', ordered: style === 'ordered', level: unit.type === 'item' ? unit.level : 0, runs: unit.runs };
+        else if (type === 'heading') units[index] = { type, style, runs: unit.runs };
+        else units[index] = { type, runs: unit.runs };
+      });
+      this.regroup(units);
+    });
+  }
+
+  toggleMark(mark) {
+    this.command(selection => {
+      const segments = this.segments();
+      const { start, end } = selection;
+      if (BlockEditor.collapsed(selection)) {
+        const marks = this.pending || DocumentModel.marksAt(segments[start.segment].holder.runs, start.offset);
+        this.pending = { ...marks, [mark]: !marks[mark] };
+        return selection;
+      }
+
+      const parts = segments.slice(start.segment, end.segment + 1).map((segment, index) => ({
+        holder: segment.holder,
+        from: index === 0 ? start.offset : 0,
+        to: start.segment + index === end.segment ? end.offset : DocumentModel.length(segment.holder.runs)
+      }));
+      const selected = parts.flatMap(part => DocumentModel.slice(part.holder.runs, part.from, part.to)).filter(run => run.text.trim());
+      const active = selected.length > 0 && selected.every(run => run[mark]);
+
+      parts.forEach(({ holder, from, to }) => {
+        const [before, rest] = DocumentModel.split(holder.runs, from);
+        const [middle, after] = DocumentModel.split(rest, to - from);
+        holder.runs = DocumentModel.normalize([...before, ...middle.map(run => ({ ...run, [mark]: !active })), ...after]);
+      });
+      return selection;
+    });
+  }
+
+  // Removes the selected content; returns the collapsed selection
+  removeSelection(selection) {
+    if (BlockEditor.collapsed(selection)) return selection;
+    const { start, end } = selection;
+    const segments = this.segments();
+    const first = segments[start.segment];
+    const last = segments[end.segment];
+    const tail = DocumentModel.split(last.holder.runs, end.offset)[1];
+
+    if (first === last) {
+      first.holder.runs = DocumentModel.normalize([...DocumentModel.split(first.holder.runs, start.offset)[0], ...tail]);
+      return BlockEditor.caret(start.segment, start.offset);
+    }
+
+    // Text flows together unless a table cell is involved; cells are emptied, never removed
+    const merge = first.block.type !== 'table' && last.block.type !== 'table';
+    segments.slice(start.segment + 1, end.segment + 1).forEach(segment => {
+      if (segment.block.type === 'table') segment.holder.runs = [];
+      else if (segment.block.type === 'list' && (merge || segment !== last)) {
+        segment.block.items = segment.block.items.filter(item => item !== segment.holder);
+      }
+    });
+    first.holder.runs = DocumentModel.split(first.holder.runs, start.offset)[0];
+    if (merge) first.holder.runs = DocumentModel.normalize([...first.holder.runs, ...tail]);
+    else last.holder.runs = tail;
+
+    this.blocks = this.blocks.filter((block, index) => {
+      if (index > first.index && index < last.index) return false;
+      if (index === last.index && index !== first.index && merge && DocumentModel.isTextBlock(block)) return false;
+      return block.type !== 'list' || block.items.length > 0;
+    });
+    return BlockEditor.caret(start.segment, start.offset);
+  }
+
+  insertText(text, marks = null) {
+    this.command(selection => this.insertRuns(selection, [DocumentModel.run(text, marks || this.pending || {})], !marks && !this.pending));
+    this.pending = null;
+  }
+
+  // inherit: the runs take the marks at the caret (typed text, not pasted)
+  insertRuns(selection, runs, inherit = false) {
+    const caret = this.removeSelection(selection);
+    const holder = this.segments()[caret.start.segment].holder;
+    const [before, after] = DocumentModel.split(holder.runs, caret.start.offset);
+    const marks = DocumentModel.marksAt(holder.runs, caret.start.offset);
+    const inserted = inherit ? runs.map(run => DocumentModel.run(run.text, marks)) : runs;
+    holder.runs = DocumentModel.normalize([...before, ...inserted, ...after]);
+    return BlockEditor.caret(caret.start.segment, caret.start.offset + DocumentModel.length(inserted));
+  }
+
+  // Enter
+  splitBlock() {
+    this.command(selection => {
+      const caret = this.removeSelection(selection);
+      const segment = this.segments()[caret.start.segment];
+      const { block, holder } = segment;
+      const [before, after] = DocumentModel.split(holder.runs, caret.start.offset);
+
+      if (block.type === 'table') return this.insertRuns(caret, [DocumentModel.run('\n')]);
+      if (block.type === 'list') {
+        if (DocumentModel.length(holder.runs) === 0) {
+          if (holder.level > 0) holder.level--;
+          else this.itemToParagraph(segment);
+          return caret;
+        }
+        holder.runs = before;
+        block.items.splice(block.items.indexOf(holder) + 1, 0, { level: holder.level, runs: after });
+        return BlockEditor.caret(caret.start.segment + 1, 0);
+      }
+      if (block.type !== 'paragraph' && DocumentModel.length(holder.runs) === 0) {
+        this.blocks[segment.index] = { type: 'paragraph', runs: [] };
+        return caret;
+      }
+
+      block.runs = before;
+      const next = after.length > 0 || block.type === 'quote' ? { ...block, runs: after } : { type: 'paragraph', runs: [] };
+      this.blocks.splice(segment.index + 1, 0, next);
+      return BlockEditor.caret(caret.start.segment + 1, 0);
+    });
+  }
+
+  itemToParagraph(segment) {
+    const { block, holder } = segment;
+    const index = block.items.indexOf(holder);
+    const before = block.items.slice(0, index);
+    const after = block.items.slice(index + 1);
+    const replacement = [
+      before.length > 0 && { ...block, items: before },
+      { type: 'paragraph', runs: holder.runs },
+      after.length > 0 && { ...block, items: after.map(item => ({ ...item, level: Math.max(0, item.level - holder.level) })) }
+    ].filter(Boolean);
+    this.blocks.splice(segment.index, 1, ...replacement);
+  }
+
+  // Backspace at the start of a segment
+  joinBackward() {
+    this.command(selection => {
+      const segments = this.segments();
+      const index = selection.start.segment;
+      const segment = segments[index];
+      const { block, holder } = segment;
+
+      if (block.type === 'table') return selection;
+      if (block.type === 'list') {
+        if (holder.level > 0) holder.level--;
+        else this.itemToParagraph(segment);
+        return selection;
+      }
+      if (block.type !== 'paragraph') {
+        this.blocks[segment.index] = { type: 'paragraph', runs: block.runs };
+        return selection;
+      }
+
+      const previous = this.blocks[segment.index - 1];
+      if (!previous) return selection;
+      if (previous.type === 'image') {
+        this.blocks.splice(segment.index - 1, 1);
+        return selection;
+      }
+      const target = segments[index - 1];
+      if (previous.type === 'table') {
+        if (DocumentModel.length(block.runs) > 0) return selection;
+        this.blocks.splice(segment.index, 1);
+        return BlockEditor.caret(index - 1, DocumentModel.length(target.holder.runs));
+      }
+      const offset = DocumentModel.length(target.holder.runs);
+      target.holder.runs = DocumentModel.normalize([...target.holder.runs, ...block.runs]);
+      this.blocks.splice(segment.index, 1);
+      return BlockEditor.caret(index - 1, offset);
+    });
+  }
+
+  // Delete at the end of a segment
+  joinForward() {
+    this.command(selection => {
+      const segments = this.segments();
+      const segment = segments[selection.start.segment];
+      const { block, holder } = segment;
+      if (block.type === 'table') return selection;
+
+      const isLastItem = block.type !== 'list' || block.items[block.items.length - 1] === holder;
+      const next = this.blocks[segment.index + 1];
+      if (isLastItem && next && next.type === 'image') {
+        this.blocks.splice(segment.index + 1, 1);
+        return selection;
+      }
+      const following = segments[selection.start.segment + 1];
+      if (!following || following.block.type === 'table' || (isLastItem && following.block !== next)) return selection;
+
+      holder.runs = DocumentModel.normalize([...holder.runs, ...following.holder.runs]);
+      if (following.block.type === 'list') {
+        following.block.items = following.block.items.filter(item => item !== following.holder);
+        if (following.block.items.length === 0) this.blocks.splice(following.index, 1);
+      } else {
+        this.blocks.splice(following.index, 1);
+      }
+      return selection;
+    });
+  }
+
+  // Tab / Shift+Tab: list nesting, or moving between table cells
+  indent(delta) {
+    this.command(selection => {
+      const segments = this.segments();
+      const segment = segments[selection.start.segment];
+      if (segment.block.type === 'table') {
+        const cells = segments.filter(candidate => candidate.block === segment.block);
+        let target = selection.start.segment + delta;
+        if (delta > 0 && segment.holder === cells[cells.length - 1].holder) {
+          segment.block.rows.push(segment.block.rows[0].map(() => ({ runs: [] })));
+          target = selection.start.segment + 1;
+        }
+        if (!cells.some(cell => cell === segments[target])) return selection;
+        return BlockEditor.caret(target, DocumentModel.length(segments[target].holder.runs));
+      }
+
+      const units = this.units();
+      this.selectedUnits(units, selection).forEach(({ unit, index }) => {
+        if (unit.type !== 'item') return;
+        const previous = units[index - 1];
+        const limit = previous && previous.type === 'item' && previous.ordered === unit.ordered ? previous.level + 1 : 0;
+        unit.level = Math.max(0, Math.min(unit.level + delta, limit));
+      });
+      this.regroup(units);
+      return selection;
+    });
+  }
+
+  // Pasted or inserted blocks: a single run of text goes in at the caret,
+  // anything else splits the paragraph around it
+  insertBlocks(blocks) {
+    this.command(selection => {
+      const caret = this.removeSelection(selection);
+      const segment = this.segments()[caret.start.segment];
+      const textOnly = blocks.every(DocumentModel.isTextBlock);
+
+      if ((blocks.length === 1 && textOnly) || (!DocumentModel.isTextBlock(segment.block) && textOnly)) {
+        const runs = blocks.flatMap((block, index) => (index > 0 ? [DocumentModel.run('\n'), ...block.runs] : block.runs));
+        return this.insertRuns(caret, runs);
+      }
+      if (!DocumentModel.isTextBlock(segment.block)) {
+        this.blocks.splice(segment.index + 1, 0, ...blocks);
+        return caret;
+      }
+
+      const [before, after] = DocumentModel.split(segment.block.runs, caret.start.offset);
+      const inserted = [...blocks];
+      const head = { ...segment.block, runs: before };
+      if (DocumentModel.isTextBlock(inserted[0])) head.runs = DocumentModel.normalize([...before, ...inserted.shift().runs]);
+      let tail = { ...segment.block, runs: after };
+      let offset = 0;
+      if (inserted.length > 0 && DocumentModel.isTextBlock(inserted[inserted.length - 1])) {
+        const last = inserted.pop();
+        offset = DocumentModel.length(last.runs);
+        tail = { ...last, runs: DocumentModel.normalize([...last.runs, ...after]) };
+      }
+
+      this.blocks.splice(segment.index, 1, ...[DocumentModel.length(head.runs) > 0 || inserted.length === 0 ? head : null, ...inserted, tail].filter(Boolean));
+      return BlockEditor.caret(this.segments().findIndex(candidate => candidate.holder === tail), offset);
+    });
+  }
+
+  insertImage(src, alt = '') {
+    if (DocumentModel.safeUrl(src)) this.insertBlocks([{ type: 'image', src, alt }]);
+  }
+
+  insertTable(rows, columns) {
+    this.insertBlocks([{ type: 'table', rows: Array.from({ length: rows }, () => Array.from({ length: columns }, () => ({ runs: [] }))) }]);
+  }
+
+  // ---------- Events ----------
+
+  // Caret position within its segment, from the DOM
+  edge() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    const range = selection.getRangeAt(0);
+    const start = this.domPosition(range.startContainer, range.startOffset);
+    const end = this.domPosition(range.endContainer, range.endOffset);
+    if (!start || !end) return null;
+    const element = this.segmentElements()[start.segment];
+    return {
+      collapsed: range.collapsed,
+      crossing: start.segment !== end.segment,
+      atStart: range.collapsed && start.offset === 0,
+      atEnd: range.collapsed && start.offset >= this.segmentLength(element),
+      inList: Boolean(element.closest('li')),
+      inTable: Boolean(element.closest('td'))
+    };
+  }
+
+  onKeyDown(event) {
+    const mod = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+    const run = (action, ...args) => {
+      event.preventDefault();
+      this[action](...args);
+    };
+
+    if (/^(arrow|home|end|page)/.test(key)) this.pending = null;
+    if (mod && !event.altKey && !event.shiftKey && ['b', 'i', 'u'].includes(key)) return run('toggleMark', { b: 'bold', i: 'italic', u: 'underline' }[key]);
+    if (mod && key === 'z') return run(event.shiftKey ? 'redo' : 'undo');
+    if (mod && key === 'y') return run('redo');
+    if (mod && event.altKey) {
+      const blocks = { Digit0: ['paragraph'], Digit1: ['heading', 'heading1'], Digit2: ['heading', 'heading2'], Digit3: ['heading', 'heading3'], Digit4: ['heading', 'title'] };
+      if (blocks[event.code]) return run('setBlock', ...blocks[event.code]);
+    }
+    if (mod && event.shiftKey) {
+      const blocks = { Digit7: ['list', 'ordered'], Digit8: ['list', 'bullet'], Digit9: ['quote'] };
+      if (blocks[event.code]) return run('setBlock', ...blocks[event.code]);
+    }
+    if (mod || event.altKey || event.isComposing) return;
+
+    const edge = (key === 'enter' || key === 'tab' || key === 'backspace' || key === 'delete') && this.edge();
+    if (!edge) return;
+    if (key === 'enter') return event.shiftKey && !edge.crossing ? run('insertText', '\n', {}) : run('splitBlock');
+    if (key === 'tab' && (edge.inList || edge.inTable)) return run('indent', event.shiftKey ? -1 : 1);
+    if (edge.crossing) return run('command', selection => this.removeSelection(selection));
+    if (key === 'backspace' && edge.atStart) return run('joinBackward');
+    if (key === 'delete' && edge.atEnd) return run('joinForward');
+  }
+
+  onBeforeInput(event) {
+    const type = event.inputType;
+    const formats = { formatBold: 'bold', formatItalic: 'italic', formatUnderline: 'underline' };
+    if (type === 'historyUndo' || type === 'historyRedo') {
+      event.preventDefault();
+      return type === 'historyUndo' ? this.undo() : this.redo();
+    }
+    if (formats[type]) {
+      event.preventDefault();
+      return this.toggleMark(formats[type]);
+    }
+    if (type === 'insertParagraph' || type === 'insertLineBreak') {
+      event.preventDefault();
+      return type === 'insertParagraph' ? this.splitBlock() : this.insertText('\n', {});
+    }
+    if (type === 'insertFromDrop' || type === 'insertFromPaste') {
+      event.preventDefault();
+      if (type === 'insertFromDrop' && event.dataTransfer) this.paste(event.dataTransfer);
+      return;
+    }
+
+    const edge = this.edge();
+    if (type === 'insertText' && event.data && (this.pending || (edge && edge.crossing))) {
+      event.preventDefault();
+      return this.insertText(event.data, this.pending);
+    }
+    if (edge && edge.crossing) {
+      event.preventDefault();
+      return this.command(selection => this.removeSelection(selection));
+    }
+
+    // Native typing: one undo step per burst
+    if (!this.typing) {
+      this.sync();
+      this.remember(this.domSelection());
+    }
+    clearTimeout(this.typing);
+    this.typing = setTimeout(() => {
+      this.typing = null;
+    }, 1000);
+    setTimeout(() => this.onChange(), 0);
+  }
+
+  onPaste(event) {
+    event.preventDefault();
+    this.paste(event.clipboardData);
+  }
+
+  // Clipboard HTML goes through DocumentModel, which keeps only known
+  // structure and marks; pasted image files are inlined as data URLs
+  paste(data) {
+    if (!data) return;
+    const file = [...(data.files || [])].find(candidate => candidate.type.startsWith('image/'));
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = () => this.insertImage(reader.result, file.name);
+      reader.readAsDataURL(file);
+      return;
+    }
+
+    const html = data.getData('text/html');
+    const text = data.getData('text/plain');
+    if (html) {
+      this.insertBlocks(DocumentModel.fromHtml(html));
+    } else if (text) {
+      const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+      this.insertBlocks(lines.map(line => ({ type: 'paragraph', runs: line ? [DocumentModel.run(line)] : [] })));
+    }
+  }
+
+  // Active state of the toolbar buttons at the caret
+  updateToolbar() {
+    if (!this.toolbar) return;
+    const selection = window.getSelection();
+    const node = selection.rangeCount > 0 ? selection.getRangeAt(0).startContainer : null;
+    const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    if (!element || !this.root.contains(element)) return;
+
+    const segment = element.closest(BlockEditor.segmentSelector);
+    const list = segment && segment.closest('ol, ul');
+    const block = !segment ? '' : list ? (list.tagName === 'OL' ? 'list:ordered' : 'list:bullet') : segment.getAttribute('data-style') || 'paragraph';
+    const marks = this.pending || {
+      bold: Boolean(element.closest('b, strong')),
+      italic: Boolean(element.closest('i, em')),
+      underline: Boolean(element.closest('u'))
+    };
+
+    this.toolbar.querySelectorAll('[data-block]').forEach(button => {
+      button.classList.toggle('active', button.getAttribute('data-block') === block);
+    });
+    this.toolbar.querySelectorAll('[data-mark]').forEach(button => {
+      button.classList.toggle('active', Boolean(marks[button.getAttribute('data-mark')]));
+    });
+  }
+}
+
+// ============================================
+// Markdown Converter - Editor HTML <-> CommonMark
+// ============================================
+// The document title is the leading "# " heading; editor styles map to
+// "# " (title), "##"-"####" (heading1-3) and "> " (quote). A style applied
+// to part of a line, and underline, have no Markdown form and are kept as
+// inline HTML, which the importer accepts back for those tags only.
+class MarkdownConverter {
+  static get headingStyles() {
+    return ['title', 'heading1', 'heading2', 'heading3'];
+  }
+
+  static styleOf(node) {
+    return DocumentModel.styleOf(node);
+  }
+
+  static isBlock(node) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      /^(P|DIV|LI|UL|OL|H[1-6]|BLOCKQUOTE|SECTION|ARTICLE|HEADER|FOOTER|PRE|TABLE|TR|TD|TH|FIGURE)$/.test(node.tagName);
+  }
+
+  static escape(text) {
+    return text.replace(/[\\`*_[\]<>&]/g, '\\$&');
+  }
+
+  // Characters that would open a block construct at the start of a line
+  static escapeLineStarts(markdown) {
+    return markdown.split('\n').map(line => line
+      .replace(/^ +/, '')
+      .replace(/^([#=+~-])/, '\\$1')
+      .replace(/^(\d+)([.)])/, '$1\\$2')).join('\n');
+  }
+
+  // encodeURIComponent leaves parentheses alone, and they would end the destination
+  static url(value) {
+    return String(value || '').replace(/[()\s<>]/g, ch => encodeURIComponent(ch).replace(/[()]/g, paren => (paren === '(' ? '%28' : '%29')));
+  }
+
+  // ---------- HTML → Markdown ----------
+
+  static toMarkdown(html, title = '') {
+    const root = document.createElement('div');
+    root.innerHTML = html || '';
+    const blocks = MarkdownConverter.blocks(root);
+    return [`# ${MarkdownConverter.escape(title)}`, ...blocks].join('\n\n') + '\n';
+  }
+
+  static blocks(parent) {
+    const blocks = [];
+    let inline = [];
+    const push = block => {
+      if (!block) return;
+      // Two lists in a row would merge into one; an HTML comment keeps them apart
+      if (/^(-|\d+\.)( |$)/.test(block) && /^(-|\d+\.)( |$)/.test(blocks[blocks.length - 1] || '')) blocks.push('<!-- -->');
+      blocks.push(block);
+    };
+    const flush = () => {
+      push(MarkdownConverter.paragraph(inline));
+      inline = [];
+    };
+
+    parent.childNodes.forEach(node => {
+      if (!MarkdownConverter.isBlock(node)) {
+        inline.push(node);
+        return;
+      }
+      flush();
+      if (node.tagName === 'UL' || node.tagName === 'OL') {
+        push(MarkdownConverter.list(node));
+      } else if (node.tagName === 'TABLE') {
+        push(MarkdownConverter.table(node));
+      } else if (MarkdownConverter.styleOf(node)) {
+        push(MarkdownConverter.styled(MarkdownConverter.styleOf(node), node));
+      } else if ([...node.childNodes].some(MarkdownConverter.isBlock)) {
+        MarkdownConverter.blocks(node).forEach(push);
+      } else {
+        push(MarkdownConverter.paragraph([...node.childNodes]));
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  // A block whose only content is one styled span becomes that style's block
+  static paragraph(nodes) {
+    const meaningful = nodes.filter(node => (node.nodeType === Node.TEXT_NODE ? node.textContent.trim() : node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'BR'));
+    if (meaningful.length === 1 && MarkdownConverter.styleOf(meaningful[0])) {
+      return MarkdownConverter.styled(MarkdownConverter.styleOf(meaningful[0]), meaningful[0]);
+    }
+    const text = nodes.map(node => MarkdownConverter.inline(node)).join('');
+    return MarkdownConverter.escapeLineStarts(text.replace(/(\\\n|\s)+$/, '').replace(/^\s+/, ''));
+  }
+
+  static styled(style, node) {
+    const content = lineBreak => [...node.childNodes].map(child => MarkdownConverter.inline(child, lineBreak)).join('');
+    if (style === 'quote') {
+      const text = MarkdownConverter.escapeLineStarts(content('\\\n').replace(/(\\\n|\s)+$/, '').trim());
+      return text ? text.split('\n').map(line => `> ${line}`).join('\n') : '';
+    }
+    const text = content('<br>').trim();
+    return text ? `${'#'.repeat(MarkdownConverter.headingStyles.indexOf(style) + 1)} ${text.replace(/(<br>)+$/, '')}` : '';
+  }
+
+  static list(list) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    return [...list.children].filter(item => item.tagName === 'LI').map(item => {
+      const marker = ordered ? `${number++}.` : '-';
+      const pad = ' '.repeat(marker.length + 1);
+      const lines = MarkdownConverter.blocks(item).join('\n').split('\n');
+      return lines.map((line, index) => (index === 0 ? `${marker} ${line}`.trimEnd() : line && pad + line)).join('\n');
+    }).join('\n');
+  }
+
+  // GFM pipe table; the first row doubles as the header row
+  static table(table) {
+    const rows = [...table.querySelectorAll('tr')].filter(row => row.closest('table') === table)
+      .map(row => [...row.children].map(cell => [...cell.childNodes]
+        .map(child => MarkdownConverter.inline(child, '<br>')).join('')
+        .replace(/\|/g, '\\|').replace(/(<br>)+$/, '').trim()));
+    if (rows.length === 0) return '';
+    const width = Math.max(...rows.map(row => row.length));
+    const line = cells => `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+  }
+
+  // format: emphasis already open around this node, so it is not repeated
+  static inline(node, lineBreak = '\\\n', format = {}) {
+    if (node.nodeType === Node.TEXT_NODE) return MarkdownConverter.escape(node.textContent.replace(/\s+/g, ' '));
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName;
+    const inner = extra => [...node.childNodes].map(child => MarkdownConverter.inline(child, lineBreak, { ...format, ...extra })).join('');
+    const wrap = (open, close, content) => {
+      const parts = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+      return parts[2] ? `${parts[1]}${open}${parts[2]}${close}${parts[3]}` : content;
+    };
+    const style = node.getAttribute('data-style');
+
+    if (tag === 'BR') return lineBreak;
+    if (tag === 'IMG') return `![${MarkdownConverter.escape(node.getAttribute('alt') || '')}](${MarkdownConverter.url(node.getAttribute('src'))})`;
+    if ((tag === 'B' || tag === 'STRONG') && !format.bold) return wrap('**', '**', inner({ bold: true }));
+    if ((tag === 'I' || tag === 'EM') && !format.italic) return wrap('*', '*', inner({ italic: true }));
+    if (tag === 'U' && !format.underline) return wrap('<u>', '</u>', inner({ underline: true }));
+    if (tag === 'CODE') return wrap('`', '`', node.textContent.replace(/`/g, ''));
+    if (tag === 'A' && node.getAttribute('href')) return `[${inner()}](${MarkdownConverter.url(node.getAttribute('href'))})`;
+    if (tag === 'SPAN' && (MarkdownConverter.headingStyles.includes(style) || style === 'quote')) {
+      return wrap(`<span data-style="${style}">`, '</span>', inner());
+    }
+    return inner();
+  }
+
+  // ---------- Markdown → HTML ----------
+
+  // → { title, html }; title is '' when the text does not open with "# "
+  static toHtml(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const first = lines.findIndex(line => line.trim());
+    let title = '';
+    const heading = first >= 0 && /^ {0,3}# +(.*?)(?: +#+)? *$/.exec(lines[first]);
+    if (heading) {
+      const element = document.createElement('div');
+      element.innerHTML = MarkdownConverter.inlineHtml(heading[1]);
+      title = element.textContent.trim();
+      lines.splice(first, 1);
+    }
+    return { title, html: MarkdownConverter.blocksHtml(lines) };
+  }
+
+  static listMarker(line) {
+    return /^( {0,3})([-*+]|\d{1,9}[.)])( +|$)/.exec(line);
+  }
+
+  static indent(line) {
+    return /^ */.exec(line)[0].length;
+  }
+
+  static blocksHtml(lines) {
+    const html = [];
+    let paragraph = [];
+    let i = 0;
+    const flush = () => {
+      if (paragraph.length > 0) html.push(`<div>${MarkdownConverter.paragraphHtml(paragraph)}</div>`);
+      paragraph = [];
+    };
+    const styled = (style, content) => `<div><span data-style="${style}">${content}</span></div>`;
+    const startsBlock = line => /^ {0,3}(#{1,6}( |$)|>|```|~~~)/.test(line) || MarkdownConverter.listMarker(line);
+
+    while (i < lines.length) {
+      const line = lines[i];
+      let match;
+
+      if (!line.trim() || /^ {0,3}<!--.*-->\s*$/.test(line)) {
+        flush();
+        i++;
+      } else if ((match = /^ {0,3}(#{1,6})(?: +(.*?))?(?: +#+)? *$/.exec(line))) {
+        flush();
+        html.push(styled(MarkdownConverter.headingStyles[Math.min(match[1].length, 4) - 1], MarkdownConverter.inlineHtml(match[2] || '')));
+        i++;
+      } else if (paragraph.length > 0 && (match = /^ {0,3}(=+|-+) *$/.exec(line))) {
+        html.push(styled(match[1][0] === '=' ? 'title' : 'heading1', MarkdownConverter.paragraphHtml(paragraph)));
+        paragraph = [];
+        i++;
+      } else if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+        flush();
+        i++;
+      } else if (/^ {0,3}>/.test(line)) {
+        flush();
+        const quoted = [];
+        while (i < lines.length && /^ {0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+        quoted.join('\n').split(/\n\s*\n/).filter(part => part.trim())
+          .forEach(part => html.push(styled('quote', MarkdownConverter.paragraphHtml(part.split('\n')))));
+      } else if ((match = /^ {0,3}(```|~~~)/.exec(line))) {
+        flush();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(match[1])) code.push(escapeHtml(lines[i++]));
+        html.push(`<div><code>${code.join('<br>')}</code></div>`);
+        i++;
+      } else if (/^ {0,3}\|/.test(line) && MarkdownConverter.tableDelimiter(lines[i + 1])) {
+        flush();
+        const rows = [line];
+        i += 2;
+        while (i < lines.length && /^ {0,3}\|/.test(lines[i])) rows.push(lines[i++]);
+        html.push(MarkdownConverter.tableHtml(rows));
+      } else if (MarkdownConverter.listMarker(line)) {
+        flush();
+        i = MarkdownConverter.listHtml(lines, i, html, startsBlock);
+      } else {
+        paragraph.push(line);
+        i++;
+      }
+    }
+    flush();
+    return html.join('');
+  }
+
+  static tableDelimiter(line) {
+    return /^ {0,3}\|?( *:?-+:? *\|)+( *:?-+:? *)?$/.test(line || '');
+  }
+
+  static tableHtml(rows) {
+    const cells = row => row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+    return `<table><tbody>${rows.map(row => `<tr>${cells(row)
+      .map(cell => `<td>${MarkdownConverter.inlineHtml(cell.trim())}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+
+  static listHtml(lines, start, html, startsBlock) {
+    const ordered = /\d/.test(MarkdownConverter.listMarker(lines[start])[2]);
+    const first = Number.parseInt(MarkdownConverter.listMarker(lines[start])[2], 10);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const marker = MarkdownConverter.listMarker(lines[i]);
+      if (!marker || /\d/.test(marker[2]) !== ordered) break;
+      const offset = marker[0].length > marker[1].length + marker[2].length + 4 ? marker[1].length + marker[2].length + 1 : marker[0].length;
+      const body = [lines[i].slice(offset)];
+      i++;
+
+      while (i < lines.length) {
+        const next = lines[i];
+        if (!next.trim()) {
+          if (i + 1 < lines.length && lines[i + 1].trim() && MarkdownConverter.indent(lines[i + 1]) >= offset) {
+            body.push('');
+            i++;
+            continue;
+          }
+          break;
+        }
+        if (MarkdownConverter.indent(next) >= offset) {
+          body.push(next.slice(offset));
+        } else if (startsBlock(next)) {
+          break;
+        } else {
+          body.push(next.trim());
+        }
+        i++;
+      }
+      items.push(body);
+
+      // Blank lines between items of the same list
+      let next = i;
+      while (next < lines.length && !lines[next].trim()) next++;
+      const following = next < lines.length && MarkdownConverter.listMarker(lines[next]);
+      if (next > i && following && /\d/.test(following[2]) === ordered) i = next;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttribute = ordered && first !== 1 ? ` start="${first}"` : '';
+    html.push(`<${tag}${startAttribute}>${items.map(body => `<li>${MarkdownConverter.blocksHtml(body).replace(/^<div>([\s\S]*?)<\/div>/, '$1')}</li>`).join('')}</${tag}>`);
+    return i;
+  }
+
+  // Lines ending in "\" or two spaces are hard breaks; others join with a space
+  static paragraphHtml(lines) {
+    const text = lines.map((line, index) => {
+      const trimmed = line.replace(/^ +/, '');
+      if (index === lines.length - 1) return trimmed.replace(/ +$/, '');
+      if (/(^|[^\\])(\\\\)*\\$| {2,}$/.test(trimmed)) return `${trimmed.replace(/(\\| +)$/, '')}\n`;
+      return `${trimmed.replace(/ +$/, '')} `;
+    }).join('');
+    return MarkdownConverter.inlineHtml(text);
+  }
+
+  static safeUrl(url) {
+    return /^(https?:|mailto:|data:image\/|#|\/|\.|[^:]*$)/i.test(url) ? url : '#';
+  }
+
+  static inlineHtml(text) {
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+    const escape = escapeHtml;
+    const decode = url => {
+      try {
+        return decodeURI(url);
+      } catch (e) {
+        return url;
+      }
+    };
+
+    const marked = String(text).replace(/\u0000/g, '')
+      // One pass, so an escaped backtick never opens or closes a code span
+      .replace(/\\([!-/:-@[-`{-~])|(`+)([^`]|[^`][\s\S]*?[^`])\2(?!`)/g, (_, ch, fence, code) => hold(ch
+        ? escape(ch)
+        : `<code>${escape(code.trim())}</code>`))
+      .replace(/<\/?(u|b|i|strong|em)>|<br\s*\/?>|<span data-style="(title|heading[1-3]|quote)">|<\/span>/gi, tag => hold(tag.toLowerCase()))
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) => hold(`<img src="${escape(MarkdownConverter.safeUrl(decode(src)))}" alt="${escape(alt)}">`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => `${hold(`<a href="${escape(MarkdownConverter.safeUrl(decode(href)))}">`)}${label}${hold('</a>')}`);
+
+    return escape(marked)
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<b><i>$1</i></b>')
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>')
+      .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<i>$2</i>')
+      .replace(/\n/g, '<br>')
+      .replace(/\u0000(\d+)\u0000/g, (_, index) => held[index]);
+  }
+}
+
+// ============================================
+// DOCX Writer - Word Documents Without Libraries
+// ============================================
+// Turns editor HTML into a minimal WordprocessingML package. Editor styles
+// (data-style spans, h1-h3, blockquote) become Word paragraph styles whose
+// look comes from the document's style set; b/i/u become run formatting and ul/ol
+// become numbered paragraphs. Every paragraph and the section are
+// right-to-left; runs holding Latin text are left unmarked so Word and
+// LibreOffice apply the bidi algorithm to them.
+class DocxWriter {
+  constructor(editorStyles = {}) {
+    this.styles = editorStyles;
+    this.orderedLists = 0;
+  }
+
+  // XML text; control characters XML does not allow are dropped
+  static xml(text) {
+    return escapeHtml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+  }
+
+  static get mimeType() {
+    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+
+  // editor style name → Word style id
+  static get paragraphStyles() {
+    return { title: 'Title', heading1: 'Heading1', heading2: 'Heading2', heading3: 'Heading3', quote: 'Quote', normal: 'Normal' };
+  }
+
+  // CSS length → twentieths of a point (1em = 12pt)
+  static twips(value) {
+    const match = /^([\d.]+)(em|px|pt)?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const number = Number(match[1]);
+    return Math.round({ em: number * 240, px: number * 15, pt: number * 20 }[match[2] || 'px']);
+  }
+
+  static halfPoints(value) {
+    const twips = DocxWriter.twips(value);
+    return twips === null ? null : Math.round(twips / 10);
+  }
+
+  // Paragraphs: { style, list: { numId, level }, runs: [{ text, bold, italic, underline } | { break: true }] }
+  paragraphs(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    const paragraphs = [];
+    const headings = { h1: 'Heading1', h2: 'Heading2', h3: 'Heading3', blockquote: 'Quote' };
+    const blocks = ['p', 'div', 'li', 'section', 'article', 'header', 'footer', 'pre', 'h4', 'h5', 'h6', 'tr', 'td', 'th', 'figure'];
+    let current = null;
+
+    const open = block => {
+      current = { style: block.style, list: block.list, runs: [] };
+      paragraphs.push(current);
+      return current;
+    };
+    const walkChildren = (node, format, block) => {
+      node.childNodes.forEach(child => walk(child, format, block));
+    };
+    const walk = (node, format, block) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (!text.trim() && !current) return;
+        (current || open(block)).runs.push({ text, ...format });
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      const style = DocxWriter.paragraphStyles[node.getAttribute('data-style')] || headings[tag];
+
+      if (tag === 'br') {
+        (current || open(block)).runs.push({ break: true });
+      } else if (style) {
+        current = null;
+        walkChildren(node, format, { ...block, style });
+        current = null;
+      } else if (tag === 'ul' || tag === 'ol') {
+        current = null;
+        const numId = tag === 'ol' ? 2 + this.orderedLists++ : 1;
+        const level = block.list ? Math.min(block.list.level + 1, 8) : 0;
+        walkChildren(node, format, { ...block, list: { numId, level } });
+        current = null;
+      } else if (blocks.includes(tag)) {
+        current = null;
+        walkChildren(node, format, block);
+        current = null;
+      } else if (tag === 'b' || tag === 'strong') {
+        walkChildren(node, { ...format, bold: true }, block);
+      } else if (tag === 'i' || tag === 'em') {
+        walkChildren(node, { ...format, italic: true }, block);
+      } else if (tag === 'u') {
+        walkChildren(node, { ...format, underline: true }, block);
+      } else if (!['script', 'style', 'img'].includes(tag)) {
+        walkChildren(node, format, block);
+      }
+    };
+
+    walkChildren(root, {}, { style: 'Normal', list: null });
+
+    // Whitespace at paragraph edges and the <br> browsers leave at the end of a line
+    paragraphs.forEach(paragraph => {
+      while (paragraph.runs.length > 0 && paragraph.runs[paragraph.runs.length - 1].break) paragraph.runs.pop();
+      const first = paragraph.runs[0];
+      const last = paragraph.runs[paragraph.runs.length - 1];
+      if (first && !first.break) first.text = first.text.replace(/^ +/, '');
+      if (last && !last.break) last.text = last.text.replace(/ +$/, '');
+    });
+    return paragraphs;
+  }
+
+  // Latin stretches get their own run; everything else is marked right-to-left
+  runXml(run) {
+    if (run.break) return '<w:r><w:br/></w:r>';
+    const latin = /([A-Za-zÀ-ɏ][\wÀ-ɏ]*(?:[ .,:;'’\-]+[A-Za-zÀ-ɏ][\wÀ-ɏ]*)*)/;
+    return run.text.split(latin).filter(Boolean).map(text => {
+      const props = [
+        run.bold ? '<w:b/><w:bCs/>' : '',
+        run.italic ? '<w:i/><w:iCs/>' : '',
+        run.underline ? '<w:u w:val="single"/>' : '',
+        latin.test(text) ? '' : '<w:rtl/>'
+      ].join('');
+      return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${DocxWriter.xml(text)}</w:t></w:r>`;
+    }).join('');
+  }
+
+  paragraphXml(paragraph) {
+    const props = [
+      paragraph.style !== 'Normal' ? `<w:pStyle w:val="${paragraph.style}"/>` : '',
+      paragraph.list ? `<w:numPr><w:ilvl w:val="${paragraph.list.level}"/><w:numId w:val="${paragraph.list.numId}"/></w:numPr>` : '',
+      '<w:bidi/>'
+    ].join('');
+    return `<w:p><w:pPr>${props}</w:pPr>${paragraph.runs.map(run => this.runXml(run)).join('')}</w:p>`;
+  }
+
+  documentXml(title, html) {
+    const paragraphs = [{ style: 'Title', list: null, runs: [{ text: title }] }, ...this.paragraphs(html)];
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${paragraphs.map(paragraph => this.paragraphXml(paragraph)).join('\n')}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/><w:bidi/></w:sectPr>
+</w:body>
+</w:document>`;
+  }
+
+  styleRunXml(style = {}) {
+    const color = /^#([0-9a-f]{6})$/i.exec(style.color || '');
+    const size = DocxWriter.halfPoints(style.fontSize);
+    const font = DocxWriter.xml(String(style.fontFamily || '').split(',')[0].replace(/["']/g, '').trim());
+    return [
+      font ? `<w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}"/>` : '',
+      style.fontWeight === 'bold' || Number(style.fontWeight) >= 600 ? '<w:b/><w:bCs/>' : '',
+      style.fontStyle === 'italic' ? '<w:i/><w:iCs/>' : '',
+      color ? `<w:color w:val="${color[1].toUpperCase()}"/>` : '',
+      size ? `<w:sz w:val="${size}"/><w:szCs w:val="${size}"/>` : ''
+    ].join('');
+  }
+
+  // "4px solid #D4AF37" → <w:{side}>, or '' when it is not in that form
+  static borderXml(side, value, padding) {
+    const border = /^([\d.]+)px\s+(solid|dashed|dotted|double)\s+#([0-9a-f]{6})$/i.exec(String(value || '').trim());
+    if (!border || !Number(border[1])) return '';
+    const type = { solid: 'single', dashed: 'dashed', dotted: 'dotted', double: 'double' }[border[2].toLowerCase()];
+    return `<w:${side} w:val="${type}" w:sz="${Math.round(Number(border[1]) * 6)}" w:space="${Math.round((DocxWriter.twips(padding) || 0) / 20)}" w:color="${border[3].toUpperCase()}"/>`;
+  }
+
+  // In a bidi paragraph Word reads left/right as start/end, so the editor's
+  // right-hand (start side) border and alignment are written as left
+  styleParagraphXml(style = {}, extra = '') {
+    const borders = DocxWriter.borderXml('top', style.borderTop, style.paddingTop) +
+      DocxWriter.borderXml('left', style.borderRight, style.paddingRight) +
+      DocxWriter.borderXml('bottom', style.borderBottom, style.paddingBottom) +
+      DocxWriter.borderXml('right', style.borderLeft, style.paddingLeft);
+    const before = DocxWriter.twips(style.marginTop);
+    const after = DocxWriter.twips(style.marginBottom);
+    const line = Number(style.lineHeight) ? Math.round(Number(style.lineHeight) * 240) : null;
+    const spacing = [before !== null ? `w:before="${before}"` : '', after !== null ? `w:after="${after}"` : '', line ? `w:line="${line}" w:lineRule="auto"` : ''].filter(Boolean).join(' ');
+    const align = { right: 'left', left: 'right', center: 'center', justify: 'both' }[style.textAlign];
+    return [
+      extra.includes('keepNext') ? '<w:keepNext/>' : '',
+      borders ? `<w:pBdr>${borders}</w:pBdr>` : '',
+      '<w:bidi/>',
+      spacing ? `<w:spacing ${spacing}/>` : '',
+      align ? `<w:jc w:val="${align}"/>` : '',
+      extra.replace('keepNext', '')
+    ].join('');
+  }
+
+  stylesXml() {
+    const styles = this.styles;
+    const normal = styles.normal || {};
+    const headings = [['Title', 'Title', styles.title, ''], ['Heading1', 'heading 1', styles.heading1, '<w:outlineLvl w:val="0"/>'],
+      ['Heading2', 'heading 2', styles.heading2, '<w:outlineLvl w:val="1"/>'], ['Heading3', 'heading 3', styles.heading3, '<w:outlineLvl w:val="2"/>']];
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:eastAsia="Arial" w:cs="Arial"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="he-IL" w:eastAsia="en-US" w:bidi="he-IL"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:bidi/><w:spacing w:after="160"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:pPr>${this.styleParagraphXml(normal)}</w:pPr><w:rPr>${this.styleRunXml(normal)}</w:rPr></w:style>
+${headings.map(([id, name, style, outline]) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr>${this.styleParagraphXml(style, `keepNext${outline}`)}</w:pPr><w:rPr>${this.styleRunXml(style)}</w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr>${this.styleParagraphXml(styles.quote)}</w:pPr><w:rPr>${this.styleRunXml(styles.quote)}</w:rPr></w:style>
+</w:styles>`;
+  }
+
+  // numId 1: bullets; each <ol> gets its own numId (from 2) so numbering restarts
+  numberingXml() {
+    const levels = format => Array.from({ length: 9 }, (_, level) => `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${format === 'bullet' ? '•' : `%${level + 1}.`}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+    const ordered = Array.from({ length: this.orderedLists }, (_, index) => `<w:num w:numId="${index + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+${ordered.join('\n')}
+</w:numbering>`;
+  }
+
+  // doc: { title, content, createdAt?, updatedAt? } → ZipArchive
+  build(doc, author = '') {
+    this.orderedLists = 0;
+    const body = this.documentXml(doc.title || '', doc.content || '');
+    const stamp = value => (value ? `${value.replace(' ', 'T').slice(0, 19)}Z` : new Date().toISOString().split('.')[0] + 'Z');
+    const zip = new ZipArchive();
+
+    zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+    zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+    zip.addFile('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`);
+    zip.addFile('word/document.xml', body);
+    zip.addFile('word/styles.xml', this.stylesXml());
+    zip.addFile('word/numbering.xml', this.numberingXml());
+    zip.addFile('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${DocxWriter.xml(doc.title || '')}</dc:title>
+<dc:creator>${DocxWriter.xml(author)}</dc:creator>
+<dc:language>he-IL</dc:language>
+<dcterms:created xsi:type="dcterms:W3CDTF">${stamp(doc.createdAt)}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${stamp(doc.updatedAt || doc.createdAt)}</dcterms:modified>
+</cp:coreProperties>`);
+    return zip;
+  }
+}
+
+// ============================================
+// PDF Writer - Objects, Streams and Cross-Reference Table
+// ============================================
+// Collects numbered objects and writes them as a PDF file with a classic
+// xref table. Object bodies are PDF syntax strings; stream data may be
+// binary and is deflated where the browser has CompressionStream.
+class PdfWriter {
+  constructor() {
+    this.objects = [];
+  }
+
+  // Numbers are handed out first so objects can refer to ones written later
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  set(number, body) {
+    this.objects[number - 1] = body;
+    return number;
+  }
+
+  add(body) {
+    return this.set(this.reserve(), body);
+  }
+
+  // dict: the entries besides Length and Filter. options.compress false keeps
+  // data that is already encoded (its Filter is then part of dict).
+  stream(dict, data, options = {}) {
+    const bytes = typeof data === 'string' ? PdfWriter.bytes(data) : data;
+    return this.set(options.number || this.reserve(), { dict, data: bytes, compress: options.compress !== false });
+  }
+
+  // Binary string (one byte per char) → bytes
+  static bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+    return bytes;
+  }
+
+  static async deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static async inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('הדפדפן אינו תומך בפריסת קובצי PDF דחוסים');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static number(value, digits = 3) {
+    return String(Number(value.toFixed(digits)));
+  }
+
+  // Text string: ASCII as a literal, anything else as UTF-16BE with a byte order mark
+  static text(value) {
+    const text = String(value || '');
+    if (/^[\x20-\x7E]*$/.test(text)) return `(${text.replace(/[\\()]/g, '\\$&')})`;
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    return `<${hex}>`;
+  }
+
+  async toBlob(root, info) {
+    const parts = [];
+    const offsets = [];
+    let offset = 0;
+    const push = chunk => {
+      const bytes = typeof chunk === 'string' ? PdfWriter.bytes(chunk) : chunk;
+      parts.push(bytes);
+      offset += bytes.length;
+    };
+
+    push('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n');
+    for (let i = 0; i < this.objects.length; i++) {
+      const object = this.objects[i];
+      offsets.push(offset);
+      push(`${i + 1} 0 obj\n`);
+      if (object && object.data) {
+        const deflated = object.compress ? await PdfWriter.deflate(object.data) : null;
+        const data = deflated || object.data;
+        push(`<< ${object.dict}${deflated ? ' /Filter /FlateDecode' : ''} /Length ${data.length} >>\nstream\n`);
+        push(data);
+        push('\nendstream');
+      } else {
+        push(object === null ? 'null' : object);
+      }
+      push('\nendobj\n');
+    }
+
+    const xref = offset;
+    push(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+    push(offsets.map(position => `${String(position).padStart(10, '0')} 00000 n \n`).join(''));
+    push(`trailer\n<< /Size ${this.objects.length + 1} /Root ${root} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+}
+
+// ============================================
+// PDF Template - Branding Read From a Template Page
+// ============================================
+// Reads the first page of templates/document_template.pdf, whose drawing is
+// split into top-level groups that each clip to a rectangle: the largest one
+// is the text frame (its sample styles are left out), groups that paint an
+// image are the logo (first page only) and the rest, the footer line, appear
+// on every page. Those groups are copied as form XObjects with every
+// resource they use. Reads unencrypted files without object
+// streams, which is how the template is saved.
+class PdfTemplate {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.text = PdfTemplate.binaryString(bytes);
+    this.cache = new Map();
+    // Later definitions (incremental updates) replace earlier ones
+    this.offsets = new Map();
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = header.exec(this.text))) this.offsets.set(Number(match[1]), header.lastIndex);
+  }
+
+  static binaryString(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return text;
+  }
+
+  skip(position) {
+    const space = /(?:[\0\t\n\f\r ]|%[^\r\n]*)*/y;
+    space.lastIndex = position;
+    space.exec(this.text);
+    return space.lastIndex;
+  }
+
+  // Parses the value at `position` → [value, position after it]. Names are
+  // { name }, strings { string }, references { ref }, dictionaries { dict }.
+  value(position) {
+    const text = this.text;
+    position = this.skip(position);
+
+    if (text.startsWith('<<', position)) {
+      const dict = {};
+      position += 2;
+      for (;;) {
+        position = this.skip(position);
+        if (text.startsWith('>>', position)) return [{ dict }, position + 2];
+        const [key, afterKey] = this.value(position);
+        const [item, afterItem] = this.value(afterKey);
+        dict[key.name] = item;
+        position = afterItem;
+      }
+    }
+    if (text[position] === '[') {
+      const array = [];
+      position++;
+      for (;;) {
+        position = this.skip(position);
+        if (text[position] === ']') return [array, position + 1];
+        const [item, after] = this.value(position);
+        array.push(item);
+        position = after;
+      }
+    }
+    if (text[position] === '(') return this.literal(position);
+    if (text[position] === '<') {
+      const end = text.indexOf('>', position);
+      const hex = text.slice(position + 1, end).replace(/\s/g, '');
+      const string = (hex.length % 2 ? `${hex}0` : hex).replace(/../g, pair => String.fromCharCode(parseInt(pair, 16)));
+      return [{ string }, end + 1];
+    }
+
+    const token = /\/([^\0\t\n\f\r \/\[\]<>(){}%]*)|([+-]?(?:\d+\.?\d*|\.\d+))(?:\s+(\d+)\s+R\b)?|(true|false|null)/y;
+    token.lastIndex = position;
+    const match = token.exec(text);
+    if (!match) throw new Error(`תבנית ה-PDF פגומה (מיקום ${position})`);
+    const [, name, number, generation, keyword] = match;
+    if (name !== undefined) return [{ name: name.replace(/#([0-9A-Fa-f]{2})/g, (all, hex) => String.fromCharCode(parseInt(hex, 16))) }, token.lastIndex];
+    if (generation !== undefined) return [{ ref: Number(number) }, token.lastIndex];
+    if (number !== undefined) return [Number(number), token.lastIndex];
+    return [{ true: true, false: false, null: null }[keyword], token.lastIndex];
+  }
+
+  literal(position) {
+    const text = this.text;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let string = '';
+    let depth = 0;
+    for (let i = position; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\\') {
+        const next = text[++i];
+        const octal = /[0-7]{1,3}/y;
+        octal.lastIndex = i;
+        const digits = octal.exec(text);
+        if (digits) {
+          string += String.fromCharCode(parseInt(digits[0], 8) & 0xFF);
+          i += digits[0].length - 1;
+        } else if (next === '\r' || next === '\n') {
+          if (next === '\r' && text[i + 1] === '\n') i++;
+        } else {
+          string += escapes[next] || next;
+        }
+        continue;
+      }
+      if (ch === '(' && depth++ === 0) continue;
+      if (ch === ')' && --depth === 0) return [{ string }, i + 1];
+      string += ch;
+    }
+    throw new Error('תבנית ה-PDF פגומה: מחרוזת לא סגורה');
+  }
+
+  // → { value, stream } where stream holds the still encoded bytes
+  object(number) {
+    if (this.cache.has(number)) return this.cache.get(number);
+    if (!this.offsets.has(number)) return { value: null, stream: null };
+
+    const [value, end] = this.value(this.offsets.get(number));
+    let stream = null;
+    const keyword = /\s*stream(?:\r\n|\n|\r)/y;
+    keyword.lastIndex = end;
+    if (value && value.dict && keyword.exec(this.text)) {
+      const length = this.resolve(value.dict.Length);
+      stream = this.bytes.subarray(keyword.lastIndex, keyword.lastIndex + length);
+    }
+    const object = { value, stream };
+    this.cache.set(number, object);
+    return object;
+  }
+
+  resolve(value) {
+    return value && value.ref ? this.object(value.ref).value : value;
+  }
+
+  // Inherited page attributes (MediaBox, Resources) may sit on a parent
+  inherited(page, key) {
+    for (let node = page; node; node = this.resolve(node.dict.Parent)) {
+      if (node.dict[key] !== undefined) return node.dict[key];
+    }
+    return undefined;
+  }
+
+  async decode(number) {
+    const { value, stream } = this.object(number);
+    const filters = [].concat(this.resolve(value.dict.Filter) || []).map(filter => filter.name);
+    if (filters.some(filter => filter !== 'FlateDecode')) throw new Error(`תבנית ה-PDF משתמשת בדחיסה שאינה נתמכת (${filters.join(', ')})`);
+    let bytes = stream;
+    for (let i = 0; i < filters.length; i++) bytes = await PdfWriter.inflate(bytes);
+    return PdfTemplate.binaryString(bytes);
+  }
+
+  async read() {
+    const trailer = this.text.lastIndexOf('trailer');
+    if (trailer < 0) throw new Error('תבנית ה-PDF אינה נתמכת (אין טבלת הפניות רגילה)');
+    let node = this.resolve(this.resolve(this.value(trailer + 7)[0].dict.Root).dict.Pages);
+    while (node.dict.Type.name === 'Pages') node = this.resolve(this.resolve(node.dict.Kids)[0]);
+
+    this.mediaBox = this.resolve(this.inherited(node, 'MediaBox')).map(value => this.resolve(value));
+    this.resources = this.inherited(node, 'Resources') || { dict: {} };
+    const contents = node.dict.Contents.ref ? [node.dict.Contents] : this.resolve(node.dict.Contents);
+    this.content = (await Promise.all(contents.map(ref => this.decode(ref.ref)))).join('\n');
+    this.readRegions();
+    return this;
+  }
+
+  // Top-level q … Q groups that start by clipping to a rectangle, each with
+  // the source of its operators. Marked-content operators are left out, as
+  // the template's BDC … EMC sequences run across group boundaries.
+  groups() {
+    const token = /\s*(?:%[^\r\n]*|\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<<|>>|<[0-9A-Fa-f\s]*>|\[|\]|\/([^\s\/\[\]<>(){}%]*)|([+-]?(?:\d+\.?\d*|\.\d+))|([A-Za-z'"*]+))/y;
+    const marked = ['BDC', 'BMC', 'EMC', 'DP', 'MP'];
+    const xobjects = this.resolve(this.resolve(this.resources).dict.XObject) || { dict: {} };
+    const groups = [];
+    let depth = 0;
+    let group = null;
+    let operands = [];
+    let operandsAt = null;
+    let match;
+
+    while (token.lastIndex < this.content.length && (match = token.exec(this.content))) {
+      const [, name, number, operator] = match;
+      if (!operator) {
+        if (operandsAt === null) operandsAt = match.index;
+        if (name !== undefined || number !== undefined) operands.push(number !== undefined ? Number(number) : name);
+        continue;
+      }
+      if (operator === 'ID') token.lastIndex = this.content.indexOf('EI', token.lastIndex) + 2;
+      if (operator === 'q' && depth === 0) group = { rect: null, clip: null, image: false, source: '' };
+      if (group && !marked.includes(operator)) group.source += this.content.slice(operandsAt ?? match.index, token.lastIndex);
+
+      if (operator === 'q') {
+        depth++;
+      } else if (operator === 'Q') {
+        depth--;
+        if (depth === 0 && group) groups.push(group);
+      } else if (operator === 're' && group && depth === 1 && !group.clip) {
+        group.rect = operands.slice(-4);
+      } else if (operator === 'W' && group && group.rect && !group.clip) {
+        group.clip = group.rect;
+      } else if (operator === 'Do' && group) {
+        const xobject = this.resolve(xobjects.dict[operands[operands.length - 1]]);
+        if (xobject && xobject.dict.Subtype.name === 'Image') group.image = true;
+      }
+      operands = [];
+      operandsAt = null;
+    }
+    return groups.filter(item => item.clip);
+  }
+
+  readRegions() {
+    const [x0, y0, x1, y1] = this.mediaBox;
+    this.width = x1 - x0;
+    this.height = y1 - y0;
+    const area = ([, , width, height]) => Math.abs(width * height);
+    // A clip over (nearly) the whole page is the background
+    const groups = this.groups().filter(group => area(group.clip) < 0.9 * this.width * this.height);
+    if (groups.length === 0) throw new Error('תבנית ה-PDF אינה מגדירה אזור טקסט');
+
+    const frame = groups.reduce((largest, group) => (area(group.clip) > area(largest.clip) ? group : largest));
+    const [left, bottom, width, height] = frame.clip;
+    this.frame = { left, bottom, width, height, right: left + width, top: bottom + height };
+    this.logo = groups.filter(group => group !== frame && group.image);
+    this.branding = groups.filter(group => group !== frame && !group.image);
+  }
+
+  static escapeName(name) {
+    return name.replace(/[^!-~]|[#\/\[\]<>(){}%]/g, ch => `#${ch.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  }
+
+  // Serializes a parsed value; references are copied into `writer` on the way
+  serialize(value, writer, numbers) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return PdfWriter.number(value, 6);
+    if (typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return `[${value.map(item => this.serialize(item, writer, numbers)).join(' ')}]`;
+    if (value.ref) return `${this.copy(value.ref, writer, numbers)} 0 R`;
+    if (value.name !== undefined) return `/${PdfTemplate.escapeName(value.name)}`;
+    if (value.string !== undefined) {
+      return `<${[...value.string].map(ch => ch.charCodeAt(0).toString(16).padStart(2, '0')).join('')}>`;
+    }
+    return `<< ${this.entries(value.dict, writer, numbers)} >>`;
+  }
+
+  entries(dict, writer, numbers) {
+    return Object.entries(dict)
+      .filter(([key]) => key !== 'Parent')
+      .map(([key, item]) => `/${PdfTemplate.escapeName(key)} ${this.serialize(item, writer, numbers)}`)
+      .join(' ');
+  }
+
+  copy(number, writer, numbers) {
+    if (numbers.has(number)) return numbers.get(number);
+    const target = writer.reserve();
+    numbers.set(number, target);
+
+    const { value, stream } = this.object(number);
+    if (stream) {
+      const { Length, ...dict } = value.dict;
+      writer.stream(this.entries(dict, writer, numbers), stream, { compress: false, number: target });
+    } else {
+      writer.set(target, this.serialize(value, writer, numbers));
+    }
+    return target;
+  }
+
+  // The branding and logo groups as form XObjects sharing the template's
+  // resources → { branding, logo } object numbers (null when there are none)
+  copyForms(writer) {
+    const numbers = new Map();
+    const resources = this.resources.ref
+      ? this.copy(this.resources.ref, writer, numbers)
+      : writer.add(this.serialize(this.resources, writer, numbers));
+    const form = groups => (groups.length === 0 ? null : writer.stream(
+      `/Type /XObject /Subtype /Form /BBox [${this.mediaBox.join(' ')}] /Resources ${resources} 0 R`,
+      groups.map(group => group.source).join('\n')
+    ));
+    return { branding: form(this.branding), logo: form(this.logo) };
+  }
+}
+
+// ============================================
+// TrueType Font - Metrics and Embedding for PDF
+// ============================================
+// Reads what layout needs from a .ttf file (the Unicode cmap, advance widths,
+// vertical metrics) and embeds the whole file as a CIDFontType2 font with
+// Identity-H encoding, so content streams hold glyph ids. A ToUnicode map of
+// the glyphs drawn keeps the text searchable and copyable.
+class TrueTypeFont {
+  constructor(buffer, name) {
+    this.bytes = new Uint8Array(buffer);
+    this.name = name;
+    this.used = new Map();
+    const view = new DataView(buffer);
+    const tables = {};
+    for (let i = 0; i < view.getUint16(4); i++) {
+      const record = 12 + i * 16;
+      const tag = String.fromCharCode(...this.bytes.subarray(record, record + 4));
+      tables[tag] = view.getUint32(record + 8);
+    }
+    if (!tables.cmap || !tables.hmtx) throw new Error(`${name} אינו גופן TrueType`);
+
+    this.unitsPerEm = view.getUint16(tables.head + 18);
+    this.bbox = [36, 38, 40, 42].map(offset => view.getInt16(tables.head + offset));
+    this.ascent = view.getInt16(tables.hhea + 4);
+    this.descent = view.getInt16(tables.hhea + 6);
+    this.capHeight = tables['OS/2'] && view.getUint16(tables['OS/2']) >= 2
+      ? view.getInt16(tables['OS/2'] + 88)
+      : Math.round(this.ascent * 0.7);
+
+    const glyphs = view.getUint16(tables.maxp + 4);
+    const metrics = view.getUint16(tables.hhea + 34);
+    this.advances = new Uint16Array(glyphs);
+    for (let i = 0; i < glyphs; i++) {
+      this.advances[i] = view.getUint16(tables.hmtx + Math.min(i, metrics - 1) * 4);
+    }
+    this.cmap = TrueTypeFont.readCmap(view, tables.cmap);
+  }
+
+  // Code point → glyph id, from a Windows Unicode subtable (format 12 or 4)
+  static readCmap(view, cmap) {
+    const map = new Map();
+    const subtables = [];
+    for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+      const record = cmap + 4 + i * 8;
+      subtables.push({ platform: view.getUint16(record), encoding: view.getUint16(record + 2), offset: cmap + view.getUint32(record + 4) });
+    }
+    const table = subtables.find(sub => sub.platform === 3 && sub.encoding === 10 && view.getUint16(sub.offset) === 12)
+      || subtables.find(sub => (sub.platform === 3 && sub.encoding === 1) || sub.platform === 0);
+    if (!table) return map;
+
+    const at = table.offset;
+    if (view.getUint16(at) === 12) {
+      for (let i = 0; i < view.getUint32(at + 12); i++) {
+        const group = at + 16 + i * 12;
+        const [first, last, glyph] = [0, 4, 8].map(offset => view.getUint32(group + offset));
+        for (let code = first; code <= last; code++) map.set(code, glyph + code - first);
+      }
+    } else if (view.getUint16(at) === 4) {
+      const segments = view.getUint16(at + 6) / 2;
+      const ends = at + 14;
+      const starts = ends + segments * 2 + 2;
+      const deltas = starts + segments * 2;
+      const ranges = deltas + segments * 2;
+      for (let i = 0; i < segments; i++) {
+        const last = view.getUint16(ends + i * 2);
+        const delta = view.getInt16(deltas + i * 2);
+        const rangeAt = ranges + i * 2;
+        const range = view.getUint16(rangeAt);
+        for (let code = view.getUint16(starts + i * 2); code <= last && code !== 0xFFFF; code++) {
+          let glyph = range === 0 ? code : view.getUint16(rangeAt + range + (code - view.getUint16(starts + i * 2)) * 2);
+          if (range !== 0 && glyph === 0) continue;
+          glyph = (glyph + delta) & 0xFFFF;
+          if (glyph) map.set(code, glyph);
+        }
+      }
+    }
+    return map;
+  }
+
+  glyph(ch) {
+    return this.cmap.get(ch.codePointAt(0)) || 0;
+  }
+
+  width(ch, size) {
+    return this.advances[this.glyph(ch)] * size / this.unitsPerEm;
+  }
+
+  // Glyph ids of `text` as a hex string for Tj/TJ, remembering them for embedding
+  encode(text) {
+    return [...text].map(ch => {
+      const glyph = this.glyph(ch);
+      if (!this.used.has(glyph)) this.used.set(glyph, ch);
+      return glyph.toString(16).padStart(4, '0');
+    }).join('');
+  }
+
+  toUnicode(glyphs) {
+    const utf16 = text => [...Array(text.length).keys()].map(i => text.charCodeAt(i).toString(16).padStart(4, '0')).join('');
+    const chunks = [];
+    for (let i = 0; i < glyphs.length; i += 100) {
+      const chunk = glyphs.slice(i, i + 100);
+      chunks.push(`${chunk.length} beginbfchar\n${chunk.map(glyph => `<${glyph.toString(16).padStart(4, '0')}> <${utf16(this.used.get(glyph))}>`).join('\n')}\nendbfchar`);
+    }
+    return `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def
+/CMapName /Adobe-Identity-UCS def
+/CMapType 2 def
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+${chunks.join('\n')}
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+  }
+
+  // Writes the font's objects → the number of its Type0 font object
+  embed(writer) {
+    const scale = 1000 / this.unitsPerEm;
+    const glyphs = [...this.used.keys()].sort((a, b) => a - b);
+    const widths = glyphs.map(glyph => `${glyph} [${Math.round(this.advances[glyph] * scale)}]`).join(' ');
+    const file = writer.stream(`/Length1 ${this.bytes.length}`, this.bytes);
+    const descriptor = writer.add(`<< /Type /FontDescriptor /FontName /${this.name} /Flags 32 /FontBBox [${this.bbox.map(value => Math.round(value * scale)).join(' ')}] /ItalicAngle 0 /Ascent ${Math.round(this.ascent * scale)} /Descent ${Math.round(this.descent * scale)} /CapHeight ${Math.round(this.capHeight * scale)} /StemV 80 /FontFile2 ${file} 0 R >>`);
+    const font = writer.add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${this.name} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptor} 0 R /W [${widths}] /CIDToGIDMap /Identity >>`);
+    const toUnicode = writer.stream('', this.toUnicode(glyphs));
+    return writer.add(`<< /Type /Font /Subtype /Type0 /BaseFont /${this.name} /Encoding /Identity-H /DescendantFonts [${font} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+  }
+}
+
+// ============================================
+// Bidi Text - Visual Order of Mixed Hebrew and Latin Lines
+// ============================================
+// A compact Unicode bidirectional algorithm (UAX #9) for paragraphs without
+// explicit embeddings or isolates: character types, the weak and neutral
+// rules and implicit levels per paragraph, then per line the reordering of
+// levels and mirroring of brackets on right-to-left levels. A PDF has no
+// text engine, so the exporter places glyphs in the order this returns.
+class BidiText {
+  static type(ch) {
+    if (/[\p{Mn}\p{Me}]/u.test(ch)) return 'NSM';
+    if (/[֐-׿߀-࡟יִ-ﭏ‏]/.test(ch)) return 'R';
+    if (/[؀-޿ࡠ-ࣿﭐ-﷿ﹰ-﻿]/.test(ch)) return 'AL';
+    if (/[0-9]/.test(ch)) return 'EN';
+    if (/[+\-−]/.test(ch)) return 'ES';
+    if (/[#$%¢-¥°‰-‴₠-⃏]/.test(ch)) return 'ET';
+    if (/[,.\/: ]/.test(ch)) return 'CS';
+    if (/\s/.test(ch)) return 'WS';
+    if (/[\p{L}\p{Mc}‎]/u.test(ch)) return 'L';
+    return 'ON';
+  }
+
+  // Level of each character of a paragraph; base 1 is right-to-left
+  static levels(chars, base = 1) {
+    const edge = base % 2 ? 'R' : 'L';
+    const types = chars.map(BidiText.type);
+    const run = (from, test) => {
+      let end = from;
+      while (end < types.length && test(types[end])) end++;
+      return end;
+    };
+
+    // W1-W3: marks take the previous type; Arabic letters count as R
+    types.forEach((type, i) => {
+      if (type === 'NSM') types[i] = i > 0 ? types[i - 1] : edge;
+      if (types[i] === 'AL') types[i] = 'R';
+    });
+    // W4: a single separator between two numbers joins them
+    for (let i = 1; i < types.length - 1; i++) {
+      if ((types[i] === 'ES' || types[i] === 'CS') && types[i - 1] === 'EN' && types[i + 1] === 'EN') types[i] = 'EN';
+    }
+    // W5-W6: currency and percent signs next to a number join it, other separators are neutral
+    for (let i = 0; i < types.length; i++) {
+      if (types[i] !== 'ET') continue;
+      const end = run(i, type => type === 'ET');
+      if (types[i - 1] === 'EN' || types[end] === 'EN') types.fill('EN', i, end);
+      i = end - 1;
+    }
+    types.forEach((type, i) => {
+      if (type === 'ES' || type === 'ET' || type === 'CS') types[i] = 'ON';
+    });
+    // W7: numbers in left-to-right text are left-to-right
+    let strong = edge;
+    types.forEach((type, i) => {
+      if (type === 'L' || type === 'R') strong = type;
+      else if (type === 'EN' && strong === 'L') types[i] = 'L';
+    });
+    // N1-N2: neutrals between two runs of one direction take it, others the base direction
+    const direction = type => (type === 'L' ? 'L' : 'R');
+    for (let i = 0; i < types.length; i++) {
+      if (types[i] !== 'WS' && types[i] !== 'ON') continue;
+      const end = run(i, type => type === 'WS' || type === 'ON');
+      const before = i > 0 ? direction(types[i - 1]) : edge;
+      const after = end < types.length ? direction(types[end]) : edge;
+      types.fill(before === after ? before : edge, i, end);
+      i = end - 1;
+    }
+
+    return types.map(type => {
+      if (base % 2) return type === 'R' ? base : base + 1;
+      return type === 'R' ? base + 1 : type === 'EN' ? base + 2 : base;
+    });
+  }
+
+  // Indexes of one line's characters in visual (left-to-right) order
+  static order(chars, levels, base = 1) {
+    const lineLevels = levels.slice();
+    for (let i = chars.length - 1; i >= 0 && /\s/.test(chars[i]); i--) lineLevels[i] = base;
+
+    let items = lineLevels.map((level, index) => ({ level, index }));
+    const highest = Math.max(base, ...lineLevels);
+    const lowestOdd = Math.min(base, ...lineLevels) | 1;
+    for (let level = highest; level >= lowestOdd; level--) {
+      const next = [];
+      for (let i = 0; i < items.length;) {
+        if (items[i].level < level) {
+          next.push(items[i++]);
+          continue;
+        }
+        let end = i;
+        while (end < items.length && items[end].level >= level) end++;
+        next.push(...items.slice(i, end).reverse());
+        i = end;
+      }
+      items = next;
+    }
+    return items.map(item => item.index);
+  }
+
+  static mirror(ch) {
+    return { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' }[ch] || ch;
+  }
+}
+
+// ============================================
+// PDF Exporter - Branded Document Layout
+// ============================================
+// Builds a real PDF file: every page carries the branding of
+// templates/document_template.pdf (logo on the first page, footer line on
+// all) and the text is set inside the template's text frame in the
+// embedded Heebo fonts (assets/fonts, SIL Open Font License), with a
+// running title from the second page on, page numbers and an optional
+// table of contents with page numbers and links. Sizes, colors, weights,
+// alignment, spacing and borders come from the document's style set; its
+// font families are not embedded, so Heebo stands in for them.
+class PdfExporter {
+  constructor(editorStyles = {}) {
+    this.styles = editorStyles;
+  }
+
+  static get assets() {
+    return ['templates/document_template.pdf', 'assets/fonts/Heebo-Regular.ttf', 'assets/fonts/Heebo-Bold.ttf'];
+  }
+
+  // Fetched once; each export parses its own copies
+  static loadAssets() {
+    if (!PdfExporter.loading) {
+      PdfExporter.loading = Promise.all(PdfExporter.assets.map(async path => {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`לא ניתן לטעון את ${path}`);
+        return response.arrayBuffer();
+      }));
+      PdfExporter.loading.catch(() => {
+        PdfExporter.loading = null;
+      });
+    }
+    return PdfExporter.loading;
+  }
+
+  // Image → { width, height, rgb, alpha } through a canvas, at most 2000px a
+  // side; null when the browser cannot read it (e.g. cross-origin)
+  static async loadImage(src) {
+    try {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error('image failed to load'));
+        img.src = src;
+      });
+      const scale = Math.min(1, 2000 / Math.max(img.naturalWidth, img.naturalHeight));
+      const width = Math.max(1, Math.round(img.naturalWidth * scale));
+      const height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      context.drawImage(img, 0, 0, width, height);
+      const pixels = context.getImageData(0, 0, width, height).data;
+
+      const rgb = new Uint8Array(width * height * 3);
+      const alpha = new Uint8Array(width * height);
+      let opaque = true;
+      for (let i = 0; i < width * height; i++) {
+        rgb.set(pixels.subarray(i * 4, i * 4 + 3), i * 3);
+        alpha[i] = pixels[i * 4 + 3];
+        if (alpha[i] !== 255) opaque = false;
+      }
+      return { width, height, rgb, alpha: opaque ? null : alpha, points: [img.naturalWidth * 0.75, img.naturalHeight * 0.75] };
+    } catch (error) {
+      console.warn('[BTK] Image left out of the PDF:', src.slice(0, 80), error);
+      return null;
+    }
+  }
+
+  static color(value, fallback = [0.13, 0.13, 0.13]) {
+    let hex = (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim()) || [])[1];
+    if (!hex) return fallback;
+    if (hex.length === 3) hex = hex.replace(/./g, '$&$&');
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+  }
+
+  // Lengths as the Word export reads them (1em = 12pt)
+  static points(value, fallback) {
+    const twips = DocxWriter.twips(value);
+    return twips === null ? fallback : twips / 20;
+  }
+
+  // Style set entry → layout values in points. Like the editor's CSS, the
+  // other styles inherit color, alignment, line height and slant from normal.
+  style(name) {
+    const normal = this.styles.normal || {};
+    const { color, textAlign, lineHeight, fontStyle } = normal;
+    const own = name === 'normal' ? normal : { color, textAlign, lineHeight, fontStyle, ...(this.styles[name] || {}) };
+    const heading = name !== 'normal' && name !== 'quote';
+    const sizes = { title: 24, heading1: 18, heading2: 14, heading3: 12 };
+    const border = value => {
+      const parsed = StyleSetManager.parseBorder(value);
+      return Number(parsed.width) ? { width: Number(parsed.width) * 0.75, color: PdfExporter.color(parsed.color) } : null;
+    };
+    const weight = own.fontWeight || (heading ? 'bold' : 'normal');
+
+    return {
+      size: PdfExporter.points(own.fontSize, sizes[name] || 12),
+      bold: weight === 'bold' || Number(weight) >= 600,
+      italic: own.fontStyle === 'italic',
+      color: PdfExporter.color(own.color),
+      align: own.textAlign || 'right',
+      lineHeight: Number(own.lineHeight) || 1.5,
+      before: PdfExporter.points(own.marginTop, heading ? 10 : 0),
+      after: PdfExporter.points(own.marginBottom, 6),
+      border: border(own.borderRight),
+      padding: PdfExporter.points(own.paddingRight, 0),
+      underline: border(own.borderBottom),
+      underlinePadding: PdfExporter.points(own.paddingBottom, 0)
+    };
+  }
+
+  // ---------- Lines ----------
+
+  // runs → lines of at most `width` points, each with its pieces in visual order
+  lines(runs, style, width, base = 1) {
+    const chars = runs.flatMap(run => [...run.text.replace(/\t/g, ' ')]
+      .filter(ch => !/\p{Cf}/u.test(ch))
+      .map(ch => {
+        const font = run.bold || style.bold ? this.fonts.bold : this.fonts.regular;
+        return { ch, run, font, width: ch === '\n' ? 0 : font.width(ch, style.size) };
+      }));
+    const levels = BidiText.levels(chars.map(char => char.ch), base);
+    const lines = [];
+
+    for (let start = 0; start <= chars.length;) {
+      let end = start;
+      let used = 0;
+      let breakAt = -1;
+      while (end < chars.length && chars[end].ch !== '\n') {
+        const space = /\s/.test(chars[end].ch);
+        if (!space && end > start && used + chars[end].width > width) break;
+        used += chars[end].width;
+        end++;
+        if (space) breakAt = end;
+      }
+      const forced = end >= chars.length || chars[end].ch === '\n';
+      if (!forced && breakAt > start) end = breakAt;
+      lines.push(this.line(chars.slice(start, end), levels.slice(start, end), style, base, forced));
+      start = end + (chars[end] && chars[end].ch === '\n' ? 1 : 0);
+      if (start === chars.length && forced) break;
+    }
+    return lines;
+  }
+
+  line(chars, levels, style, base, last) {
+    let length = chars.length;
+    while (length > 0 && /\s/.test(chars[length - 1].ch)) length--;
+    const pieces = [];
+    BidiText.order(chars.slice(0, length).map(char => char.ch), levels.slice(0, length), base).forEach(index => {
+      const char = chars[index];
+      const ch = levels[index] % 2 ? BidiText.mirror(char.ch) : char.ch;
+      const piece = pieces[pieces.length - 1];
+      if (piece && piece.run === char.run && piece.font === char.font) {
+        piece.text += ch;
+        piece.width += char.width;
+      } else {
+        pieces.push({ run: char.run, font: char.font, text: ch, width: char.width });
+      }
+    });
+    return {
+      pieces,
+      width: pieces.reduce((sum, piece) => sum + piece.width, 0),
+      spaces: pieces.reduce((sum, piece) => sum + (piece.text.match(/ /g) || []).length, 0),
+      height: style.size * style.lineHeight,
+      style,
+      last
+    };
+  }
+
+  // Draws `line` inside [left, left + width] with its top at `top`
+  drawLine(page, line, left, width, top) {
+    const { style } = line;
+    const font = this.fonts.regular;
+    const ascent = font.ascent / font.unitsPerEm * style.size;
+    const descent = -font.descent / font.unitsPerEm * style.size;
+    const baseline = top - (line.height - ascent - descent) / 2 - ascent;
+    const free = width - line.width;
+    const justify = style.align === 'justify' && !line.last && line.spaces > 0;
+    const extra = justify ? free / line.spaces : 0;
+    let x = left + ({ left: 0, center: free / 2 }[style.align] ?? (justify ? 0 : free));
+    const [r, g, b] = style.color.map(value => PdfWriter.number(value));
+    const n = PdfWriter.number;
+
+    line.pieces.forEach(piece => {
+      const { run } = piece;
+      const name = piece.font === this.fonts.bold ? 'F2' : 'F1';
+      const skew = run.italic || style.italic ? 0.21 : 0;
+      const spacing = n(-extra * 1000 / style.size);
+      const glyphs = justify
+        ? piece.text.split(/( )/).filter(Boolean).map(part => `<${piece.font.encode(part)}>${part === ' ' ? ` ${spacing}` : ''}`).join(' ')
+        : `<${piece.font.encode(piece.text)}>`;
+      const spaces = (piece.text.match(/ /g) || []).length;
+      const width = piece.width + spaces * extra;
+      page.ops.push(`${r} ${g} ${b} rg BT /${name} ${n(style.size)} Tf 1 0 ${skew} 1 ${n(x)} ${n(baseline)} Tm [${glyphs}] TJ ET`);
+
+      if (run.underline || run.href) {
+        page.ops.push(`${r} ${g} ${b} RG ${n(style.size * 0.05)} w ${n(x)} ${n(baseline - style.size * 0.12)} m ${n(x + width)} ${n(baseline - style.size * 0.12)} l S`);
+      }
+      if (run.href) {
+        page.links.push({ rect: [x, baseline - descent, x + width, baseline + ascent], uri: run.href });
+      }
+      x += width;
+    });
+    return { baseline, left: left + ({ left: 0, center: free / 2 }[style.align] ?? (justify ? 0 : free)) };
+  }
+
+  // One line of plain text, e.g. a page number; align 'left' or 'right' of `x`
+  label(page, text, style, x, top, align, base = 1) {
+    const line = this.lines([{ text }], { ...style, align }, this.frame.width, base)[0];
+    this.drawLine(page, line, align === 'left' ? x : x - this.frame.width, this.frame.width, top);
+    return line;
+  }
+
+  // ---------- Pages ----------
+
+  newPage() {
+    this.page = { ops: [], links: [] };
+    this.pages.push(this.page);
+    this.y = this.frame.top;
+  }
+
+  fits(height) {
+    return this.y - height >= this.frame.bottom - 0.01;
+  }
+
+  space(height) {
+    if (this.y < this.frame.top) this.y -= height;
+  }
+
+  // A paragraph-like block. options: indent (from the right), marker (list
+  // bullet or number), after (spacing instead of the style's), target (a
+  // table of contents entry to point at this block)
+  textBlock(runs, name, options = {}) {
+    const style = this.style(name);
+    const inset = style.border ? style.border.width + style.padding : 0;
+    const right = this.frame.right - (options.indent || 0) - inset;
+    const width = right - this.frame.left;
+    const lines = this.lines(runs, style, width);
+
+    this.space(style.before);
+    // Headings stay with the line that follows them
+    const keep = name === 'normal' || name === 'quote' ? 0 : this.style('normal').size * 1.5;
+    if (!this.fits(lines[0].height + keep)) this.newPage();
+    if (options.target) Object.assign(options.target, { page: this.pages.length - 1, y: this.y });
+
+    lines.forEach((line, index) => {
+      if (!this.fits(line.height)) this.newPage();
+      this.drawLine(this.page, line, this.frame.left, width, this.y);
+      if (index === 0 && options.marker) {
+        this.label(this.page, options.marker, style, right + 14, this.y, 'right');
+      }
+      if (style.border) {
+        const x = this.frame.right - (options.indent || 0) - style.border.width / 2;
+        this.page.ops.push(`${style.border.color.map(value => PdfWriter.number(value)).join(' ')} RG ${PdfWriter.number(style.border.width)} w ${PdfWriter.number(x)} ${PdfWriter.number(this.y)} m ${PdfWriter.number(x)} ${PdfWriter.number(this.y - line.height)} l S`);
+      }
+      this.y -= line.height;
+    });
+
+    if (style.underline) {
+      this.y -= style.underlinePadding;
+      const y = PdfWriter.number(this.y - style.underline.width / 2);
+      this.page.ops.push(`${style.underline.color.map(value => PdfWriter.number(value)).join(' ')} RG ${PdfWriter.number(style.underline.width)} w ${PdfWriter.number(this.frame.left)} ${y} m ${PdfWriter.number(this.frame.right - (options.indent || 0))} ${y} l S`);
+      this.y -= style.underline.width;
+    }
+    this.y -= options.after ?? style.after;
+  }
+
+  list(block) {
+    const counters = [];
+    block.items.forEach((item, index) => {
+      counters.length = item.level + 1;
+      counters[item.level] = (counters[item.level] || 0) + 1;
+      const marker = block.ordered ? `${counters[item.level]}.` : ['•', '◦', '▪'][item.level % 3];
+      this.textBlock(item.runs, 'normal', {
+        indent: 18 * (item.level + 1),
+        marker,
+        after: index === block.items.length - 1 ? undefined : 2
+      });
+    });
+  }
+
+  // Columns run from right to left; a row is never split across pages
+  table(block) {
+    const style = this.style('normal');
+    const columns = Math.max(0, ...block.rows.map(row => row.length));
+    if (columns === 0) return;
+    const width = this.frame.width / columns;
+    const n = PdfWriter.number;
+
+    this.space(style.before);
+    block.rows.forEach(row => {
+      const cells = row.map(cell => this.lines(cell.runs, { ...style, align: style.align === 'justify' ? 'right' : style.align }, width - 12));
+      const height = Math.max(...cells.map(lines => lines.reduce((sum, line) => sum + line.height, 0))) + 8;
+      if (!this.fits(height)) this.newPage();
+      cells.forEach((lines, column) => {
+        const right = this.frame.right - column * width;
+        this.page.ops.push(`0.8 0.8 0.8 RG 0.75 w ${n(right - width)} ${n(this.y - height)} ${n(width)} ${n(height)} re S`);
+        let top = this.y - 4;
+        lines.forEach(line => {
+          this.drawLine(this.page, line, right - width + 6, width - 12, top);
+          top -= line.height;
+        });
+      });
+      this.y -= height;
+    });
+    this.y -= style.after;
+  }
+
+  image(block, image) {
+    if (!image) return;
+    let [width, height] = image.points;
+    const scale = Math.min(1, this.frame.width / width, this.frame.height / height);
+    width *= scale;
+    height *= scale;
+    if (!this.fits(height)) this.newPage();
+    image.name = image.name || `Im${this.images.push(image)}`;
+    const n = PdfWriter.number;
+    this.page.ops.push(`q ${n(width)} 0 0 ${n(height)} ${n(this.frame.left + (this.frame.width - width) / 2)} ${n(this.y - height)} cm /${image.name} Do Q`);
+    this.y -= height + this.style('normal').after;
+  }
+
+  // Entries are laid out before the content; their page numbers are drawn
+  // once the pages of the headings are known
+  tableOfContents(headings) {
+    const style = this.style('normal');
+    const numberWidth = 30;
+    this.textBlock([{ text: 'תוכן עניינים' }], 'heading1');
+
+    headings.forEach(heading => {
+      const indent = (heading.level - 1) * 16;
+      const right = this.frame.right - indent;
+      const lines = this.lines([{ text: heading.text }], style, right - this.frame.left - numberWidth);
+      if (!this.fits(lines.reduce((sum, line) => sum + line.height, 0))) this.newPage();
+      const top = this.y;
+      let last = null;
+      lines.forEach(line => {
+        last = { line, top: this.y, ...this.drawLine(this.page, line, this.frame.left + numberWidth, right - this.frame.left - numberWidth, this.y) };
+        this.y -= line.height;
+      });
+
+      const page = this.page;
+      const n = PdfWriter.number;
+      page.links.push({ rect: [this.frame.left, this.y, right, top], target: heading });
+      page.ops.push(() => {
+        const drawn = { ops: [], links: [] };
+        const number = this.label(drawn, String(heading.page + 1), style, this.frame.left, last.top, 'left', 0);
+        const from = this.frame.left + number.width + 4;
+        const to = last.left - 4;
+        if (to > from) drawn.ops.push(`0.6 0.6 0.6 RG 0.8 w [0.8 2.4] 0 d ${n(from)} ${n(last.baseline)} m ${n(to)} ${n(last.baseline)} l S [] 0 d`);
+        return drawn.ops.join('\n');
+      });
+      this.y -= 2;
+    });
+    this.newPage();
+  }
+
+  // ---------- Document ----------
+
+  // Heading block → table of contents entry, for heading1-3 blocks with
+  // text; a title block (h1 data-style="title") is the document's own name
+  static headings(blocks) {
+    const levels = { heading1: 1, heading2: 2, heading3: 3 };
+    return new Map(blocks
+      .filter(block => block.type === 'heading' && levels[block.style] && DocumentModel.length(block.runs) > 0)
+      .map(block => [block, { level: levels[block.style], text: block.runs.map(run => run.text).join('').replace(/\n/g, ' ').trim() }]));
+  }
+
+  async build(doc, options = {}) {
+    const [templateBytes, regular, bold] = await PdfExporter.loadAssets();
+    this.template = await new PdfTemplate(new Uint8Array(templateBytes)).read();
+    this.fonts = { regular: new TrueTypeFont(regular, 'Heebo-Regular'), bold: new TrueTypeFont(bold, 'Heebo-Bold') };
+    this.frame = this.template.frame;
+    this.title = doc.title || '';
+    this.pages = [];
+    this.images = [];
+
+    const blocks = DocumentModel.fromHtml(doc.content || '');
+    const images = new Map();
+    for (const block of blocks.filter(item => item.type === 'image')) {
+      images.set(block, await PdfExporter.loadImage(block.src));
+    }
+    const headings = PdfExporter.headings(blocks);
+
+    this.newPage();
+    this.textBlock([{ text: this.title }], 'title');
+    if (options.toc && headings.size > 0) this.tableOfContents([...headings.values()]);
+
+    blocks.forEach(block => {
+      if (block.type === 'list') this.list(block);
+      else if (block.type === 'table') this.table(block);
+      else if (block.type === 'image') this.image(block, images.get(block));
+      else this.textBlock(block.runs, block.type === 'heading' ? block.style : block.type === 'quote' ? 'quote' : 'normal', { target: headings.get(block) });
+    });
+
+    return this.write(doc, options.author);
+  }
+
+  // Branding, running title and page number around a page's text
+  pageContent(page, index) {
+    const brand = { ...this.style('normal'), size: 9, bold: false, italic: false, lineHeight: 1.2, color: this.style('title').color };
+    const margin = { ops: [], links: page.links };
+
+    if (index > 0) {
+      const top = (this.frame.top + this.template.height) / 2 + brand.size * 0.6;
+      this.label(margin, this.title, brand, this.frame.right, top, 'right');
+    }
+    // The page number sits at the outer end of the footer line
+    const footer = this.template.branding[0];
+    const middle = footer ? footer.clip[1] + footer.clip[3] / 2 : this.frame.bottom / 2;
+    this.label(margin, `${index + 1} / ${this.pages.length}`, brand, this.frame.left, middle + brand.size * 0.6, 'left', 0);
+
+    return [
+      this.forms.branding ? '/Tpl Do' : '',
+      this.forms.logo && index === 0 ? '/Logo Do' : '',
+      ...page.ops.map(op => (typeof op === 'function' ? op() : op)),
+      ...margin.ops
+    ].filter(Boolean).join('\n');
+  }
+
+  static embedImage(writer, image) {
+    const dict = `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /BitsPerComponent 8`;
+    const mask = image.alpha ? writer.stream(`${dict} /ColorSpace /DeviceGray`, image.alpha) : null;
+    return writer.stream(`${dict} /ColorSpace /DeviceRGB${mask ? ` /SMask ${mask} 0 R` : ''}`, image.rgb);
+  }
+
+  static date(date = new Date()) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  }
+
+  // Page contents are finished first: they decide which glyphs the fonts embed
+  async write(doc, author) {
+    const writer = new PdfWriter();
+    const catalog = writer.reserve();
+    const pagesNumber = writer.reserve();
+    const pageNumbers = this.pages.map(() => writer.reserve());
+    this.forms = this.template.copyForms(writer);
+    const contents = this.pages.map((page, index) => this.pageContent(page, index));
+
+    const fonts = [`/F1 ${this.fonts.regular.embed(writer)} 0 R`];
+    if (this.fonts.bold.used.size > 0) fonts.push(`/F2 ${this.fonts.bold.embed(writer)} 0 R`);
+    const xobjects = this.images.map(image => `/${image.name} ${PdfExporter.embedImage(writer, image)} 0 R`);
+    if (this.forms.branding) xobjects.push(`/Tpl ${this.forms.branding} 0 R`);
+    if (this.forms.logo) xobjects.push(`/Logo ${this.forms.logo} 0 R`);
+    const resources = writer.add(`<< /ProcSet [/PDF /Text /ImageB /ImageC] /Font << ${fonts.join(' ')} >> /XObject << ${xobjects.join(' ')} >> >>`);
+    const n = PdfWriter.number;
+
+    this.pages.forEach((page, index) => {
+      const content = writer.stream('', contents[index]);
+      const annots = page.links.map(link => {
+        const action = link.uri
+          ? `/A << /S /URI /URI ${PdfWriter.text(link.uri.replace(/[^\x21-\x7E]/g, ch => encodeURIComponent(ch)))} >>`
+          : `/Dest [${pageNumbers[link.target.page]} 0 R /XYZ null ${n(link.target.y)} null]`;
+        return `${writer.add(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(value => n(value)).join(' ')}] /Border [0 0 0] ${action} >>`)} 0 R`;
+      });
+      writer.set(pageNumbers[index], `<< /Type /Page /Parent ${pagesNumber} 0 R /MediaBox [${this.template.mediaBox.join(' ')}] /Resources ${resources} 0 R /Contents ${content} 0 R${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`);
+    });
+    writer.set(pagesNumber, `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${pageNumbers.length} >>`);
+    writer.set(catalog, `<< /Type /Catalog /Pages ${pagesNumber} 0 R /Lang (he-IL) /ViewerPreferences << /Direction /R2L /DisplayDocTitle true >> >>`);
+    const info = writer.add(`<< /Title ${PdfWriter.text(doc.title)} /Author ${PdfWriter.text(author)} /Producer (Beyond the Keys) /CreationDate (${PdfExporter.date()}) >>`);
+    return writer.toBlob(catalog, info);
+  }
+}
+
+// ============================================
+// Style Sets - Named Looks for Documents
+// ============================================
+// editor_styles.json keeps named style sets ("academic paper", "course
+// handout"...), each mapping title, heading1-3, quote and normal to
+// camelCase CSS properties. A document names its set in `styleSet`; the
+// editor and the HTML, Word and PDF exports read it through stylesFor().
+// The manager edits a copy of one set with a live preview and saves it whole.
+class StyleSetManager {
+  constructor(dataManager) {
+    this.dm = dataManager;
+    this.fileName = 'editor_styles.json';
+    this.data = null;
+    this.draft = null;
+    this.dirty = false;
+  }
+
+  static get styleNames() {
+    return [['title', 'כותרת'], ['heading1', 'כותרת 1'], ['heading2', 'כותרת 2'], ['heading3', 'כותרת 3'], ['quote', 'ציטוט'], ['normal', 'טקסט רגיל']];
+  }
 
-        <div class="form-group">
-          <label class="form-label">תקציר</label>
-          <textarea class="form-textarea" id="knowledge-summary" placeholder="תקציר קצר של החומר..."></textarea>
-        </div>
+  // Sides are physical CSS ones; in the right-to-left editor a line starts on the right
+  static get fields() {
+    const inherit = ['', 'ברירת מחדל'];
+    return [
+      { key: 'fontFamily', label: 'גופן', options: [inherit, ...['Arial', 'David', 'Frank Ruehl', 'Narkisim', 'Miriam', 'Times New Roman', 'Calibri'].map(font => [font, font])] },
+      { key: 'fontSize', label: 'גודל', placeholder: '1em' },
+      { key: 'fontWeight', label: 'משקל', options: [inherit, ['normal', 'רגיל'], ['600', 'חצי מודגש'], ['bold', 'מודגש']] },
+      { key: 'fontStyle', label: 'נטייה', options: [inherit, ['normal', 'רגיל'], ['italic', 'נטוי']] },
+      { key: 'color', label: 'צבע', type: 'color' },
+      { key: 'textAlign', label: 'יישור', options: [inherit, ['right', 'לימין'], ['center', 'למרכז'], ['left', 'לשמאל'], ['justify', 'לשני הצדדים']] },
+      { key: 'lineHeight', label: 'מרווח שורות', placeholder: '1.8' },
+      { key: 'marginTop', label: 'רווח לפני', placeholder: '0.5em' },
+      { key: 'marginBottom', label: 'רווח אחרי', placeholder: '0.5em' },
+      { key: 'borderRight', label: 'קו בתחילת השורה (ימין)', type: 'border' },
+      { key: 'paddingRight', label: 'ריווח מהקו הימני', placeholder: '1em' },
+      { key: 'borderBottom', label: 'קו תחתון', type: 'border' },
+      { key: 'paddingBottom', label: 'ריווח מהקו התחתון', placeholder: '0.25em' }
+    ];
+  }
 
-        <div class="btn-group">
-          <button class="btn btn-success" onclick="knowledgeEnv.saveItem()">💾 שמירה</button>
-          <button class="btn btn-secondary" onclick="knowledgeEnv.showKnowledgeList()">← ביטול</button>
-        </div>
-      </div>
+  // "4px solid #D4AF37" → { width, style, color }
+  static parseBorder(value) {
+    const match = /^([\d.]+)px\s+(solid|dashed|dotted|double)\s+(#[0-9a-f]{6})$/i.exec(String(value || '').trim());
+    return match ? { width: match[1], style: match[2].toLowerCase(), color: match[3] } : { width: '', style: 'solid', color: '#D4AF37' };
+  }
+
+  static get sample() {
+    return `
+      <h1 data-style="title">כותרת המסמך</h1>
+      <p>פסקה רגילה: כך ייראה גוף הטקסט, עם <b>הדגשה</b>, <i>הטיה</i> ומילה באנגלית (Beyond the Keys) באמצע השורה.</p>
+      <h2 data-style="heading1">כותרת 1</h2>
+      <p>עוד פסקה, ארוכה מספיק כדי להראות את המרווח בין השורות כשהטקסט נשבר לשורה נוספת בתצוגה המקדימה.</p>
+      <h3 data-style="heading2">כותרת 2</h3>
+      <blockquote data-style="quote">ציטוט: "ללמוד איך ללמוד".</blockquote>
+      <h4 data-style="heading3">כותרת 3</h4>
+      <ul><li>פריט ברשימה</li><li>פריט נוסף</li></ul>
     `;
   }
 
-  async saveItem(itemId = null) {
-    const title = document.getElementById('knowledge-title').value;
-    const type = document.getElementById('knowledge-type').value;
-    const content = document.getElementById('knowledge-content').value;
-    const summary = document.getElementById('knowledge-summary').value;
-    const course = document.getElementById('knowledge-course').value;
-    const unitNumber = document.getElementById('knowledge-unit').value;
-    const documentType = document.getElementById('knowledge-doctype').value;
-    const language = document.getElementById('knowledge-language').value;
+  async load() {
+    this.data = await this.dm.load(this.fileName);
+    return this.data;
+  }
 
-    if (!title) {
-      alert('יש למלא כותרת');
-      return;
-    }
+  get sets() {
+    return this.data ? this.data.sets : [];
+  }
 
-    const data = await this.dm.load('knowledge.json');
+  // The document's set, else the default set, else the first one
+  setFor(doc = {}) {
+    return this.sets.find(set => set.id === doc.styleSet) ||
+      this.sets.find(set => set.id === this.data.defaultSet) ||
+      this.sets[0] || { id: '', name: '', styles: {} };
+  }
 
-    if (itemId) {
-      // Edit existing item
-      const item = data.items.find(i => i.id === itemId);
-      if (item) {
-        item.title = title;
-        item.type = type;
-        item.content = content;
-        item.summary = summary;
-        item.course = course;
-        item.unitNumber = unitNumber;
-        item.documentType = documentType;
-        item.language = language;
-        item.updatedAt = this.dm.formatDateTime();
-      }
-    } else {
-      // Create new item
-      const item = {
-        id: this.dm.generateId(),
-        title,
-        type,
-        content,
-        summary,
-        course,
-        unitNumber,
-        documentType,
-        language,
-        highlights: 0,
-        notes: 0,
-        userNotes: [],
-        createdAt: this.dm.formatDateTime()
-      };
-      data.items.push(item);
-    }
+  stylesFor(doc) {
+    return this.setFor(doc).styles;
+  }
+
+  options(selectedId) {
+    return this.sets.map(set => `
+      <option value="${escapeHtml(set.id)}" ${set.id === selectedId ? 'selected' : ''}>${escapeHtml(set.name)}${set.id === this.data.defaultSet ? ' (ברירת מחדל)' : ''}</option>
+    `).join('');
+  }
 
-    await this.dm.save('knowledge.json', data);
+  async show(setId) {
+    await this.load();
+    const set = setId ? this.sets.find(existing => existing.id === setId) : this.setFor();
+    if (!set) return false;
+    this.draft = JSON.parse(JSON.stringify(set));
+    this.dirty = false;
+
+    document.getElementById('doc-workspace').innerHTML = `
+      <h2 class="mb-2">🎨 ערכות סגנונות</h2>
+      <div class="btn-group mb-2">
+        <select class="form-select style-set-select" onchange="docLibrary.styleSets.open(this.value)">${this.options(set.id)}</select>
+        <button class="btn btn-secondary" onclick="docLibrary.styleSets.createSet()">+ ערכה חדשה</button>
+        <button class="btn btn-secondary" onclick="docLibrary.styleSets.renameSet()">✎ שינוי שם</button>
+        ${set.id === this.data.defaultSet ? '' : '<button class="btn btn-secondary" onclick="docLibrary.styleSets.makeDefault()">★ ברירת מחדל</button>'}
+        <button class="btn btn-danger" onclick="docLibrary.styleSets.deleteSet()">🗑</button>
+      </div>
 
-    this.showToast('✓ החומר נשמר בהצלחה');
-    await this.showKnowledgeList();
+      <div class="style-set-editor">
+        <div id="style-set-fields"></div>
+        <div class="card style-set-preview">
+          <div class="card-title">תצוגה מקדימה</div>
+          <div class="editor-content" id="style-preview">${StyleSetManager.sample}</div>
+        </div>
+      </div>
+
+      <div class="btn-group mt-2">
+        <button class="btn btn-success" onclick="docLibrary.styleSets.saveSet()">💾 שמירת הערכה</button>
+        <button class="btn btn-secondary" onclick="router.go('/docs')">← חזרה</button>
+      </div>
+    `;
+    this.renderFields();
+    this.preview();
   }
 
-  async viewItem(itemId) {
-    const data = await this.dm.load('knowledge.json');
-    const item = data.items.find(i => i.id === itemId);
+  renderFields() {
+    const styles = this.draft.styles;
+    const field = (name, field) => {
+      const value = (styles[name] || {})[field.key] || '';
+      const handler = part => `docLibrary.styleSets.setField('${name}', '${field.key}', this.value${part ? `, '${part}'` : ''})`;
+      let input;
+      if (field.options) {
+        input = `<select class="form-select" onchange="${handler()}">
+          ${field.options.map(([option, label]) => `<option value="${option}" ${option === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>`;
+      } else if (field.type === 'color') {
+        input = `<span class="style-field-color">
+          <input type="color" value="${/^#[0-9a-f]{6}$/i.test(value) ? value : '#000000'}" oninput="${handler()}">
+          <button class="btn btn-secondary" title="ברירת מחדל" onclick="docLibrary.styleSets.setField('${name}', '${field.key}', '')">✕</button>
+        </span>`;
+      } else if (field.type === 'border') {
+        const border = StyleSetManager.parseBorder(value);
+        input = `<span class="style-field-border">
+          <input type="number" class="form-input" min="0" max="20" placeholder="px" value="${border.width}" oninput="${handler('width')}">
+          <select class="form-select" onchange="${handler('style')}">
+            ${[['solid', 'רציף'], ['dashed', 'מקווקו'], ['dotted', 'מנוקד'], ['double', 'כפול']].map(([option, label]) => `<option value="${option}" ${option === border.style ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <input type="color" value="${border.color}" oninput="${handler('color')}">
+        </span>`;
+      } else {
+        input = `<input type="text" class="form-input" dir="ltr" placeholder="${field.placeholder}" value="${escapeHtml(value)}" oninput="${handler()}">`;
+      }
+      return `<label class="style-field"><span class="form-label">${field.label}</span>${input}</label>`;
+    };
 
-    if (!item) return;
+    document.getElementById('style-set-fields').innerHTML = StyleSetManager.styleNames.map(([name, label]) => `
+      <div class="card mb-2">
+        <div class="card-title">${label}</div>
+        <div class="style-fields">
+          ${StyleSetManager.fields.map(item => field(name, item)).join('')}
+        </div>
+      </div>
+    `).join('');
+  }
 
-    const workspace = document.getElementById('knowledge-workspace');
-    workspace.innerHTML = `
-      <div class="card">
-        <h2 class="card-title">${item.title}</h2>
-        <div class="card-content">
-          <div style="margin-bottom: 1rem;">
-            <span class="badge badge-info">${this.getTypeLabel(item.type)}</span>
-            ${item.course ? `<span class="badge" style="background: var(--accent-purple);">${item.course}</span>` : ''}
-            ${item.unitNumber ? `<span class="badge" style="background: var(--accent-blue);">${item.unitNumber}</span>` : ''}
-            ${item.documentType ? `<span class="badge" style="background: var(--accent-green);">${item.documentType}</span>` : ''}
-            ${item.language ? `<span class="badge" style="background: var(--accent-orange);">${item.language}</span>` : ''}
-          </div>
+  // part: width/style/color of a border, which is stored as one shorthand value
+  setField(name, key, value, part = null) {
+    const style = this.draft.styles[name] || (this.draft.styles[name] = {});
+    let next = String(value).trim();
+    if (part) {
+      const border = { ...StyleSetManager.parseBorder(style[key]), [part]: next };
+      next = Number(border.width) > 0 ? `${Number(border.width)}px ${border.style} ${border.color}` : '';
+    }
 
-          <h3 style="margin-top: 1rem; color: var(--accent-blue);">תקציר</h3>
-          <p>${item.summary || 'אין תקציר'}</p>
+    if (next) style[key] = next;
+    else delete style[key];
+    this.dirty = true;
+    if (!part && key === 'color' && !next) this.renderFields();
+    this.preview();
+  }
 
-          <h3 style="margin-top: 1rem; color: var(--accent-blue);">תוכן</h3>
-          <div style="white-space: pre-wrap; background: var(--bg-dark); padding: 1rem; border-radius: 6px; margin-top: 0.5rem;">
-            ${item.content || 'אין תוכן'}
-          </div>
+  preview() {
+    let sheet = document.getElementById('style-preview-styles');
+    if (!sheet) {
+      sheet = document.createElement('style');
+      sheet.id = 'style-preview-styles';
+      document.head.appendChild(sheet);
+    }
+    sheet.textContent = BlockEditor.css(this.draft.styles, '#style-preview');
+  }
 
-          ${item.userNotes && item.userNotes.length > 0 ? `
-            <h3 style="margin-top: 1rem; color: var(--accent-blue);">הערות (${item.userNotes.length})</h3>
-            <div style="background: var(--bg-dark); padding: 1rem; border-radius: 6px; margin-top: 0.5rem;">
-              ${item.userNotes.map(note => `
-                <div style="margin-bottom: 0.5rem; padding: 0.5rem; background: var(--bg-darker); border-radius: 4px;">
-                  <div style="font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.25rem;">${note.createdAt}</div>
-                  <div>${note.text}</div>
-                </div>
-              `).join('')}
-            </div>
-          ` : ''}
+  open(setId) {
+    if (this.dirty && !confirm('יש שינויים שלא נשמרו בערכה הנוכחית. לעבור בלי לשמור?')) {
+      document.querySelector('.style-set-select').value = this.draft.id;
+      return;
+    }
+    router.go(`/docs/styles/${encodeURIComponent(setId)}`);
+  }
 
-          <div style="margin-top: 1rem;">
-            <button class="btn" onclick="knowledgeEnv.addHighlight('${item.id}')">✨ הוסף הדגשה (${item.highlights || 0})</button>
-            <button class="btn btn-secondary" onclick="knowledgeEnv.addNote('${item.id}')">📝 הוסף הערה</button>
-            <button class="btn btn-warning" onclick="knowledgeEnv.readAloud('${item.id}')">🔊 הקראה</button>
-          </div>
+  async saveSet() {
+    const data = await this.load();
+    const set = data.sets.find(existing => existing.id === this.draft.id);
+    if (!set) return;
+    set.styles = this.draft.styles;
+    set.updatedAt = this.dm.formatDateTime();
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.dirty = false;
+    docLibrary.showToast('✓ ערכת הסגנונות נשמרה');
+  }
 
-          <div style="margin-top: 1rem;">
-            <button class="btn" onclick="knowledgeEnv.editItem('${item.id}')">✏️ עריכה</button>
-            <button class="btn btn-secondary" onclick="knowledgeEnv.showKnowledgeList()">← חזרה</button>
-          </div>
-        </div>
-      </div>
-    `;
+  // Starts from the styles on screen, unsaved edits included
+  async createSet() {
+    const name = (prompt('שם הערכה החדשה:', `${this.draft.name} (עותק)`) || '').trim();
+    if (!name) return;
+    const data = await this.load();
+    const set = {
+      id: this.dm.generateId(),
+      name,
+      styles: JSON.parse(JSON.stringify(this.draft.styles)),
+      createdAt: this.dm.formatDateTime()
+    };
+    data.sets.push(set);
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.dirty = false;
+    router.go(`/docs/styles/${set.id}`);
   }
 
-  async editItem(itemId) {
-    const data = await this.dm.load('knowledge.json');
-    const item = data.items.find(i => i.id === itemId);
+  async renameSet() {
+    const name = (prompt('שם חדש לערכה:', this.draft.name) || '').trim();
+    if (!name || name === this.draft.name) return;
+    const data = await this.load();
+    const set = data.sets.find(existing => existing.id === this.draft.id);
+    if (!set) return;
+    set.name = name;
+    set.updatedAt = this.dm.formatDateTime();
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.draft.name = name;
+    document.querySelector('.style-set-select').innerHTML = this.options(this.draft.id);
+  }
 
-    if (!item) return;
+  async makeDefault() {
+    const data = await this.load();
+    data.defaultSet = this.draft.id;
+    if (!await this.dm.save(this.fileName, data)) return;
+    await router.resolve();
+  }
 
-    const workspace = document.getElementById('knowledge-workspace');
-    workspace.innerHTML = `
-      <div class="card">
-        <h3 class="card-title">עריכת חומר למידה</h3>
+  // Documents that used the set fall back to the default one
+  async deleteSet() {
+    const data = await this.load();
+    if (data.sets.length <= 1) {
+      alert('לא ניתן למחוק את ערכת הסגנונות האחרונה');
+      return;
+    }
+    if (!confirm(`למחוק את הערכה "${this.draft.name}"? מסמכים שמשתמשים בה יעוצבו לפי ערכת ברירת המחדל.`)) return;
+
+    data.sets = data.sets.filter(set => set.id !== this.draft.id);
+    if (data.defaultSet === this.draft.id) data.defaultSet = data.sets[0].id;
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.dirty = false;
+    router.go('/docs/styles');
+    this.dm.history.offerUndo('🗑 ערכת הסגנונות נמחקה');
+  }
+}
 
-        <div class="form-group">
-          <label class="form-label">כותרת</label>
-          <input type="text" class="form-input" id="knowledge-title" value="${item.title || ''}" placeholder="שם החומר">
-        </div>
+// ============================================
+// Git Sync - Commit-Ready Export of data/
+// ============================================
+// Writes canonical JSON (sorted keys, records sorted by id, 2-space indent)
+// into a local folder that mirrors data/, and appends an entry per sync to
+// CHANGELOG.md in that folder. Without the File System Access API the same
+// files are downloaded as a zip, and the sync counts once the user confirms
+// the zip was saved.
+class GitSync {
+  constructor(dataManager) {
+    this.dm = dataManager;
+    this.stateKey = 'git_sync_state';
+    this.handleKey = 'git_sync_folder';
+    this.folder = null;
+  }
 
-        <div class="form-group">
-          <label class="form-label">קורס (Course)</label>
-          <select class="form-select" id="knowledge-course">
-            <option value="">-- בחר קורס --</option>
-            <option value="C01" ${item.course === 'C01' ? 'selected' : ''}>C01 – מבוא לאנטומיה ומכניקה של נגינה</option>
-            <option value="C02" ${item.course === 'C02' ? 'selected' : ''}>C02 – מבוא למדעי המוח במוזיקה</option>
-            <option value="C03" ${item.course === 'C03' ? 'selected' : ''}>C03 – מבוא למחקר למוזיקאים</option>
-            <option value="C04" ${item.course === 'C04' ? 'selected' : ''}>C04 – נוירופלסטיות ולמידה ממוקדת</option>
-            <option value="C05" ${item.course === 'C05' ? 'selected' : ''}>C05 – יומן אימון: מתודולוגיה איכותנית</option>
-            <option value="C05_1" ${item.course === 'C05_1' ? 'selected' : ''}>C05_1 – מתודיקה לפסנתר: גישות ויישום</option>
-            <option value="C06" ${item.course === 'C06' ? 'selected' : ''}>C06 – ניתוח תנועה וקשב בנגינה</option>
-            <option value="C07" ${item.course === 'C07' ? 'selected' : ''}>C07 – תכנון מחקר אישי (Pre-Project)</option>
-          </select>
-        </div>
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => this.canonicalize(item));
+      return this.dm.isRecordList(value) && value.length > 0
+        ? items.sort((a, b) => String(a.id).localeCompare(String(b.id)))
+        : items;
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this.canonicalize(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value;
+  }
 
-        <div class="form-group">
-          <label class="form-label">יחידה (Unit Number)</label>
-          <input type="text" class="form-input" id="knowledge-unit" value="${item.unitNumber || ''}" placeholder="למשל: U01, U02, U03">
-        </div>
+  toCanonicalJson(data) {
+    return `${JSON.stringify(this.canonicalize(data), null, 2)}\n`;
+  }
 
-        <div class="form-group">
-          <label class="form-label">סוג מסמך (Document Type)</label>
-          <select class="form-select" id="knowledge-doctype">
-            <option value="">-- בחר סוג --</option>
-            <option value="Theory" ${item.documentType === 'Theory' ? 'selected' : ''}>Theory (תיאוריה)</option>
-            <option value="Exercise" ${item.documentType === 'Exercise' ? 'selected' : ''}>Exercise (תרגול)</option>
-            <option value="Summary" ${item.documentType === 'Summary' ? 'selected' : ''}>Summary (סיכום)</option>
-            <option value="Reflection" ${item.documentType === 'Reflection' ? 'selected' : ''}>Reflection (רפלקציה)</option>
-          </select>
-        </div>
+  // "<file>|<collection>|<id>" → names of everyone the activity log shows
+  // changing that record since `since` (the previous sync)
+  async changeActors(since) {
+    const actors = {};
+    (await this.dm.activity.load(true))
+      .filter(entry => !since || entry.at >= since)
+      .forEach(entry => {
+        const key = `${entry.file}|${entry.collection}|${entry.entityId}`;
+        if (!actors[key]) actors[key] = [];
+        if (!actors[key].includes(entry.actor)) actors[key].push(entry.actor);
+      });
+    return actors;
+  }
 
-        <div class="form-group">
-          <label class="form-label">שפה (Language)</label>
-          <select class="form-select" id="knowledge-language">
-            <option value="he" ${item.language === 'he' ? 'selected' : ''}>עברית (he)</option>
-            <option value="en" ${item.language === 'en' ? 'selected' : ''}>English (en)</option>
-          </select>
-        </div>
+  // One line per added / updated (with changed fields) / removed record, with who did it
+  describeChanges(fileName, before, current, actors = {}) {
+    const after = this.canonicalize(current);
+    const lines = [];
+    const label = record => `"${record.title || record.id}"`;
+    const by = (key, record) => ` — ${(actors[`${fileName}|${key}|${record.id}`] || ['לא ידוע']).join(', ')}`;
+
+    new Set([...Object.keys(before || {}), ...Object.keys(after)]).forEach(key => {
+      if (key === 'schemaVersion') return;
+      const oldValue = (before || {})[key];
+      const newValue = after[key];
+
+      if (this.dm.isRecordList(newValue || []) && Array.isArray(newValue || oldValue)) {
+        const oldById = new Map((oldValue || []).map(record => [record.id, record]));
+        const newIds = new Set((newValue || []).map(record => record.id));
+
+        (newValue || []).forEach(record => {
+          const previous = oldById.get(record.id);
+          if (!previous) {
+            lines.push(`- ${fileName} › ${key}: נוסף ${label(record)}${by(key, record)}`);
+            return;
+          }
+          const fields = [...new Set([...Object.keys(previous), ...Object.keys(record)])]
+            .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(record[field]));
+          if (fields.length > 0) {
+            lines.push(`- ${fileName} › ${key}: עודכן ${label(record)} (${fields.join(', ')})${by(key, record)}`);
+          }
+        });
+        (oldValue || []).forEach(record => {
+          if (!newIds.has(record.id)) lines.push(`- ${fileName} › ${key}: נמחק ${label(record)}${by(key, record)}`);
+        });
+      } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        lines.push(`- ${fileName}: שונה השדה ${key}`);
+      }
+    });
 
-        <div class="form-group">
-          <label class="form-label">סוג קובץ</label>
-          <select class="form-select" id="knowledge-type">
-            <option value="pdf" ${item.type === 'pdf' ? 'selected' : ''}>PDF</option>
-            <option value="text" ${item.type === 'text' ? 'selected' : ''}>טקסט</option>
-            <option value="image" ${item.type === 'image' ? 'selected' : ''}>תמונה</option>
-            <option value="video" ${item.type === 'video' ? 'selected' : ''}>וידאו</option>
-          </select>
-        </div>
+    return lines;
+  }
 
-        <div class="form-group">
-          <label class="form-label">תוכן / הערות</label>
-          <textarea class="form-textarea" id="knowledge-content" placeholder="הדבק טקסט או כתוב הערות...">${item.content || ''}</textarea>
-        </div>
+  async getFolder() {
+    if (!window.showDirectoryPicker) return null;
 
-        <div class="form-group">
-          <label class="form-label">תקציר</label>
-          <textarea class="form-textarea" id="knowledge-summary" placeholder="תקציר קצר של החומר...">${item.summary || ''}</textarea>
-        </div>
+    let handle = this.folder || await this.dm.store.idbRequest('readonly', store => store.get(this.handleKey));
+    if (handle && await handle.queryPermission({ mode: 'readwrite' }) !== 'granted'
+      && await handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+      handle = null;
+    }
+    if (!handle) {
+      handle = await this.chooseFolder();
+    }
+    return handle;
+  }
 
-        <div class="btn-group">
-          <button class="btn btn-success" onclick="knowledgeEnv.saveItem('${item.id}')">💾 שמירה</button>
-          <button class="btn btn-secondary" onclick="knowledgeEnv.viewItem('${item.id}')">← ביטול</button>
-        </div>
-      </div>
-    `;
+  async chooseFolder() {
+    const handle = await window.showDirectoryPicker({ id: 'btk-data', mode: 'readwrite' });
+    this.folder = handle;
+    try {
+      // Remembered across sessions where the browser can store directory handles
+      await this.dm.store.idbRequest('readwrite', store => store.put(handle, this.handleKey));
+    } catch (error) {
+      console.warn('[BTK] Sync folder will be asked again next session', error);
+    }
+    return handle;
   }
 
-  async addHighlight(itemId) {
-    const data = await this.dm.load('knowledge.json');
-    const item = data.items.find(i => i.id === itemId);
-    if (item) {
-      item.highlights = (item.highlights || 0) + 1;
-      await this.dm.save('knowledge.json', data);
-      this.showToast('✓ הדגשה נוספה');
-      await this.viewItem(itemId);
+  async readText(folder, name) {
+    try {
+      const file = await (await folder.getFileHandle(name)).getFile();
+      return await file.text();
+    } catch (error) {
+      return null;
     }
   }
 
-  async addNote(itemId) {
-    const note = prompt('הכנס הערה:');
-    if (note) {
-      const data = await this.dm.load('knowledge.json');
-      const item = data.items.find(i => i.id === itemId);
-      if (item) {
-        item.notes = (item.notes || 0) + 1;
-        if (!item.userNotes) item.userNotes = [];
-        item.userNotes.push({ text: note, createdAt: this.dm.formatDateTime() });
-        await this.dm.save('knowledge.json', data);
-        this.showToast('✓ הערה נוספה');
+  async writeText(folder, name, text) {
+    const writable = await (await folder.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(text);
+    await writable.close();
+  }
+
+  async sync() {
+    const state = await this.dm.store.get(this.stateKey) || { files: {}, changelog: '' };
+    const files = {};
+    const lines = [];
+    const actors = await this.changeActors(state.syncedAt);
+
+    for (const fileName of this.dm.dataFiles) {
+      const data = await this.dm.load(fileName);
+      files[fileName] = this.toCanonicalJson(data);
+      const synced = state.files[fileName] ? JSON.parse(state.files[fileName]) : null;
+      if (files[fileName] !== state.files[fileName]) {
+        lines.push(...(synced ? this.describeChanges(fileName, synced, data, actors) : [`- ${fileName}: סנכרון ראשון`]));
+      }
+    }
+
+    const changed = Object.keys(files).filter(fileName => files[fileName] !== state.files[fileName]);
+    if (changed.length === 0) {
+      return { changed, entry: null };
+    }
+
+    const entry = `## ${this.dm.formatDateTime()}\n\n${lines.join('\n')}\n\n`;
+    let folder;
+    try {
+      folder = await this.getFolder();
+    } catch (error) {
+      // Folder picker closed: nothing written, nothing to record
+      if (error.name === 'AbortError') return { changed: [], entry: null, cancelled: true };
+      throw error;
+    }
+
+    // The state only moves on once the files are known to be written
+    if (folder) {
+      for (const fileName of changed) {
+        await this.writeText(folder, fileName, files[fileName]);
+      }
+      const existing = await this.readText(folder, 'CHANGELOG.md') ?? state.changelog;
+      await this.writeText(folder, 'CHANGELOG.md', this.appendEntry(existing, entry));
+    } else {
+      this.download(files, this.appendEntry(state.changelog, entry));
+      // A download cannot be watched; the user says whether it was saved
+      if (!confirm('האם קובץ ה-ZIP נשמר? רק אז השינויים יסומנו כמסונכרנים.')) {
+        return { changed: [], entry: null, cancelled: true };
       }
     }
-  }
 
-  readAloud(itemId) {
-    this.showToast('🔊 תכונת הקראה תהיה זמינה בקרוב');
+    await this.dm.store.set(this.stateKey, {
+      files,
+      changelog: this.appendEntry(state.changelog, entry),
+      syncedAt: this.dm.formatDateTime()
+    });
+    return { changed, entry };
   }
 
-  async deleteItem(itemId) {
-    if (!confirm('האם למחוק פריט זה?')) return;
-
-    const data = await this.dm.load('knowledge.json');
-    data.items = data.items.filter(i => i.id !== itemId);
-    await this.dm.save('knowledge.json', data);
-    await this.showKnowledgeList();
-    this.showToast('✓ הפריט נמחק');
+  // Newest entry first, under a fixed title
+  appendEntry(changelog, entry) {
+    const title = '# יומן שינויים – BTK data/\n\n';
+    const body = (changelog || '').startsWith(title) ? changelog.slice(title.length) : (changelog || '');
+    return `${title}${entry}${body}`;
   }
 
-  showToast(message) {
-    const toast = document.createElement('div');
-    toast.style.cssText = `
-      position: fixed;
-      top: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: var(--accent-green);
-      color: white;
-      padding: 1rem 2rem;
-      border-radius: 8px;
-      z-index: 9999;
-    `;
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 2000);
+  download(files, changelog) {
+    const zip = new ZipArchive();
+    Object.entries(files).forEach(([fileName, text]) => zip.addFile(`data/${fileName}`, text));
+    zip.addFile('data/CHANGELOG.md', changelog);
+
+    const url = URL.createObjectURL(zip.toBlob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `btk-data-${this.dm.formatDate()}.zip`;
+    a.click();
   }
 }
 
 // ============================================
-// Module 4: Creative Studio
+// Backup Manager - Full Workspace Backup & Restore
 // ============================================
-class CreativeStudioModule {
+// Archive layout:
+//   manifest.json          format, creation time, schema versions
+//   data/<file>.json       every data file, as currently loaded
+//   copies/<key>           per-record copies (doc_<id>.md, knowledge_<id>.json)
+class BackupManager {
   constructor(app, dataManager) {
     this.app = app;
     this.dm = dataManager;
-    this.currentProject = null;
+    this.pendingRestore = null;
   }
 
-  async render() {
-    this.app.innerHTML = `
-      <div class="module-container">
-        <div class="module-header">
-          <h1 class="module-title">✍️ סטודיו כתיבה יצירתית</h1>
-          <p class="module-description">כתיבה מובנית: ספר → חלק → פרק → מקטע</p>
-        </div>
-
-        <div class="btn-group mb-2">
-          <button class="btn" onclick="writingStudio.createProject()">+ פרויקט חדש</button>
-          <button class="btn btn-secondary" onclick="writingStudio.showProjectList()">📖 הפרויקטים שלי</button>
-        </div>
-
-        <div id="writing-workspace"></div>
-      </div>
-    `;
-
-    await this.showProjectList();
+  localCopyKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (/^btk_(doc_.+\.md|knowledge_.+\.json)$/.test(key)) keys.push(key);
+    }
+    return keys.sort();
   }
 
-  async showProjectList() {
-    const data = await this.dm.load('writing_projects.json');
-    const projects = data.projects || [];
-    const workspace = document.getElementById('writing-workspace');
+  async createBackup() {
+    const zip = new ZipArchive();
+    const schemaVersions = {};
 
-    if (projects.length === 0) {
-      workspace.innerHTML = `
-        <div class="empty-state">
-          <div class="empty-state-icon">✍️</div>
-          <div class="empty-state-title">אין פרויקטי כתיבה</div>
-          <div class="empty-state-description">צור פרויקט חדש להתחלת כתיבה</div>
-        </div>
-      `;
-      return;
+    for (const fileName of this.dm.dataFiles) {
+      const data = await this.dm.load(fileName);
+      schemaVersions[fileName] = data.schemaVersion;
+      zip.addFile(`data/${fileName}`, JSON.stringify(data, null, 2));
     }
 
-    workspace.innerHTML = `
-      <div class="card-grid">
-        ${projects.map(project => `
-          <div class="card">
-            <div class="card-title">${project.title}</div>
-            <div class="card-content">
-              <p>${project.description || 'אין תיאור'}</p>
-              <div style="margin-top: 1rem;">
-                <span class="badge badge-info">${project.parts?.length || 0} חלקים</span>
-                <span class="badge badge-success">${project.wordCount || 0} מילים</span>
-              </div>
-            </div>
-            <div class="card-meta">
-              <button class="btn btn-secondary" onclick="writingStudio.openProject('${project.id}')">✎ פתיחה</button>
-              <button class="btn btn-warning" onclick="writingStudio.exportProject('${project.id}')">⬇ יצוא</button>
-              <button class="btn btn-danger" onclick="writingStudio.deleteProject('${project.id}')">🗑</button>
-            </div>
-          </div>
-        `).join('')}
-      </div>
-    `;
-  }
+    this.localCopyKeys().forEach(key => {
+      zip.addFile(`copies/${key.replace(/^btk_/, '')}`, localStorage.getItem(key));
+    });
 
-  createProject() {
-    const workspace = document.getElementById('writing-workspace');
-    workspace.innerHTML = `
-      <div class="card">
-        <h3 class="card-title">פרויקט כתיבה חדש</h3>
+    zip.addFile('manifest.json', JSON.stringify({
+      format: 'btk-backup',
+      version: 1,
+      createdAt: this.dm.formatDateTime(),
+      schemaVersions
+    }, null, 2));
 
-        <div class="form-group">
-          <label class="form-label">שם הפרויקט</label>
-          <input type="text" class="form-input" id="project-title" placeholder="לדוגמה: הספר שלי">
-        </div>
+    const url = URL.createObjectURL(zip.toBlob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `btk-backup-${this.dm.formatDate()}.zip`;
+    a.click();
 
-        <div class="form-group">
-          <label class="form-label">תיאור</label>
-          <textarea class="form-textarea" id="project-description" placeholder="תיאור קצר של הפרויקט..."></textarea>
-        </div>
+    this.showToast('✓ הגיבוי נוצר');
+  }
 
-        <div class="btn-group">
-          <button class="btn btn-success" onclick="writingStudio.saveNewProject()">💾 יצירה</button>
-          <button class="btn btn-secondary" onclick="writingStudio.showProjectList()">← ביטול</button>
-        </div>
-      </div>
-    `;
+  chooseRestoreFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.zip,application/zip';
+    input.onchange = () => {
+      if (input.files[0]) this.previewRestore(input.files[0]);
+    };
+    input.click();
   }
 
-  async saveNewProject() {
-    const title = document.getElementById('project-title').value;
-    const description = document.getElementById('project-description').value;
+  async previewRestore(file) {
+    let entries;
+    let manifest;
+    try {
+      entries = await ZipArchive.read(await file.arrayBuffer());
+      manifest = JSON.parse(new TextDecoder().decode(entries.get('manifest.json')));
+      if (manifest.format !== 'btk-backup') throw new Error();
+    } catch (error) {
+      this.showToast(`⚠️ ${error.message || 'קובץ הגיבוי אינו תקין'}`);
+      return;
+    }
 
-    if (!title) {
-      alert('יש למלא שם פרויקט');
+    const decoder = new TextDecoder();
+    const files = {};
+    const changes = {};
+
+    try {
+      for (const fileName of this.dm.dataFiles) {
+        const entry = entries.get(`data/${fileName}`);
+        if (!entry) continue;
+
+        let incoming;
+        try {
+          incoming = JSON.parse(decoder.decode(entry));
+        } catch (error) {
+          throw new DataValidationError(fileName, [`invalid JSON (${error.message})`], 'backup:');
+        }
+        files[fileName] = this.dm.upgrade(fileName, incoming, 'backup:');
+        changes[fileName] = this.diffData(await this.dm.load(fileName), files[fileName]);
+      }
+    } catch (error) {
+      router.renderError(error);
       return;
     }
 
-    const project = {
-      id: this.dm.generateId(),
-      title,
-      description,
-      parts: [],
-      wordCount: 0,
-      createdAt: this.dm.formatDateTime()
-    };
+    const copies = {};
+    entries.forEach((bytes, name) => {
+      if (name.startsWith('copies/')) copies[`btk_${name.slice('copies/'.length)}`] = decoder.decode(bytes);
+    });
 
-    const data = await this.dm.load('writing_projects.json');
-    data.projects.push(project);
-    await this.dm.save('writing_projects.json', data);
+    this.pendingRestore = { files, copies };
+    this.renderPreview(manifest, changes, this.diffCopies(copies));
+  }
 
-    this.showToast('✓ הפרויקט נוצר בהצלחה');
-    await this.showProjectList();
+  // Per record array: added / overwritten / removed records; plus changed plain fields
+  diffData(current, incoming) {
+    const records = {};
+    const fields = [];
+    const label = record => record.title || record.id;
+
+    new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach(key => {
+      if (key === 'schemaVersion') return;
+      const before = current[key];
+      const after = incoming[key];
+
+      if (this.dm.isRecordList(before || []) && this.dm.isRecordList(after || [])
+        && (Array.isArray(before) || Array.isArray(after))) {
+        const beforeById = new Map((before || []).map(record => [record.id, record]));
+        const afterIds = new Set((after || []).map(record => record.id));
+        const diff = { added: [], overwritten: [], removed: [] };
+
+        (after || []).forEach(record => {
+          if (!beforeById.has(record.id)) diff.added.push(label(record));
+          else if (JSON.stringify(beforeById.get(record.id)) !== JSON.stringify(record)) diff.overwritten.push(label(record));
+        });
+        (before || []).forEach(record => {
+          if (!afterIds.has(record.id)) diff.removed.push(label(record));
+        });
+        records[key] = diff;
+      } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        fields.push(key);
+      }
+    });
+
+    return { records, fields };
   }
 
-  async openProject(projectId) {
-    const data = await this.dm.load('writing_projects.json');
-    this.currentProject = data.projects.find(p => p.id === projectId);
+  diffCopies(copies) {
+    const diff = { added: [], overwritten: [], removed: [] };
+    const current = this.localCopyKeys();
 
-    if (!this.currentProject) return;
+    Object.entries(copies).forEach(([key, value]) => {
+      const existing = localStorage.getItem(key);
+      if (existing === null) diff.added.push(key);
+      else if (existing !== value) diff.overwritten.push(key);
+    });
+    current.forEach(key => {
+      if (!(key in copies)) diff.removed.push(key);
+    });
+    return diff;
+  }
 
-    const workspace = document.getElementById('writing-workspace');
-    workspace.innerHTML = `
-      <div style="display: grid; grid-template-columns: 250px 1fr 300px; gap: 1rem;">
-        <!-- Structure Panel -->
-        <div class="card">
-          <h3 class="card-title">מבנה</h3>
-          <div id="structure-panel">
-            <button class="btn btn-secondary mb-1" onclick="writingStudio.addPart()">+ חלק חדש</button>
-            ${this.renderStructure()}
-          </div>
+  renderDiffList(diff) {
+    const rows = [
+      ['added', 'badge-success', 'יתווספו'],
+      ['overwritten', 'badge-warning', 'יידרסו'],
+      ['removed', 'badge-danger', 'יוסרו']
+    ].filter(([kind]) => diff[kind].length > 0);
+
+    if (rows.length === 0) return '<p class="text-muted">ללא שינוי</p>';
+
+    return rows.map(([kind, badge, label]) => `
+      <div class="mb-1">
+        <span class="badge ${badge}">${label}: ${diff[kind].length}</span>
+        <div class="list-item-meta">${diff[kind].map(escapeHtml).join(' · ')}</div>
+      </div>
+    `).join('');
+  }
+
+  renderPreview(manifest, changes, copyChanges) {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">♻ שחזור מגיבוי</h1>
+          <p class="module-description">גיבוי מתאריך ${escapeHtml(manifest.createdAt || '')} – בדוק את השינויים לפני השחזור</p>
         </div>
 
-        <!-- Editor Panel -->
-        <div class="card">
-          <h3 class="card-title">${this.currentProject.title}</h3>
-          <div class="form-group">
-            <input type="text" class="form-input" id="section-title" placeholder="כותרת המקטע">
-          </div>
-          <div class="editor-container">
-            <div class="editor-content" contenteditable="true" id="writing-editor" style="min-height: 500px;">
-              התחל לכתוב כאן...
+        <div class="card-grid">
+          ${Object.entries(changes).map(([fileName, { records, fields }]) => `
+            <div class="card">
+              <div class="card-title">${escapeHtml(fileName)}</div>
+              <div class="card-content">
+                ${Object.entries(records).map(([key, diff]) => `
+                  <div class="mb-1"><strong>${escapeHtml(key)}</strong>${this.renderDiffList(diff)}</div>
+                `).join('')}
+                ${fields.length > 0 ? `<div class="list-item-meta">שדות שישתנו: ${fields.map(escapeHtml).join(', ')}</div>` : ''}
+              </div>
             </div>
-          </div>
-          <div class="btn-group mt-1">
-            <button class="btn btn-success" onclick="writingStudio.saveSection()">💾 שמירה</button>
-            <button class="btn btn-secondary" onclick="writingStudio.showProjectList()">← חזרה</button>
+          `).join('')}
+          <div class="card">
+            <div class="card-title">עותקים מקומיים (Markdown / JSON)</div>
+            <div class="card-content">${this.renderDiffList(copyChanges)}</div>
           </div>
         </div>
 
-        <!-- Knowledge Panel (Read-Only) -->
-        <div class="card">
-          <h3 class="card-title">📚 ידע</h3>
-          <div id="knowledge-panel" style="max-height: 600px; overflow-y: auto;">
-            ${await this.renderKnowledgePanel()}
-          </div>
+        <div class="btn-group">
+          <button class="btn btn-danger" onclick="backupManager.applyRestore()">♻ שחזור</button>
+          <button class="btn btn-secondary" onclick="backupManager.cancelRestore()">← ביטול</button>
         </div>
       </div>
     `;
   }
 
-  renderStructure() {
-    if (!this.currentProject.parts || this.currentProject.parts.length === 0) {
-      return '<p class="text-muted">אין חלקים עדיין</p>';
+  // The data files are restored as one undo step, so a restore that stops
+  // at a failed save can be taken back in one go
+  async applyRestore() {
+    if (!this.pendingRestore) return;
+    const { files, copies } = this.pendingRestore;
+
+    let saved = 0;
+    const restored = await this.dm.history.group('שחזור מגיבוי', async save => {
+      for (const [fileName, data] of Object.entries(files)) {
+        if (!await save(fileName, data)) return false;
+        saved++;
+      }
+      return true;
+    });
+    if (!restored) {
+      if (saved > 0) this.showToast('⚠️ השחזור נעצר באמצע – אפשר לבטל את החלק ששוחזר ב-Ctrl+Z');
+      return;
     }
+    this.pendingRestore = null;
 
-    return this.currentProject.parts.map(part => `
-      <div style="margin: 0.5rem 0; padding: 0.5rem; background: var(--bg-dark); border-radius: 4px;">
-        <strong>${part.title}</strong>
-        <div style="font-size: 0.85rem; color: var(--text-muted);">
-          ${part.chapters?.length || 0} פרקים
-        </div>
-      </div>
-    `).join('');
-  }
-
-  async renderKnowledgePanel() {
-    const knowledgeData = await this.dm.load('knowledge.json');
-    const items = knowledgeData.items || [];
-
-    if (items.length === 0) {
-      return '<p class="text-muted">אין פריטי ידע</p>';
+    const previous = Object.fromEntries(this.localCopyKeys().map(key => [key, localStorage.getItem(key)]));
+    try {
+      Object.keys(previous).forEach(key => {
+        if (!(key in copies)) localStorage.removeItem(key);
+      });
+      Object.entries(copies).forEach(([key, value]) => localStorage.setItem(key, value));
+      this.showToast('✓ הגיבוי שוחזר');
+    } catch (error) {
+      console.error('[BTK] Restoring local copies failed', error);
+      // Back to the copies as they were; they fitted before
+      Object.keys(copies).forEach(key => localStorage.removeItem(key));
+      Object.entries(previous).forEach(([key, value]) => localStorage.setItem(key, value));
+      this.showToast(error.name === 'QuotaExceededError'
+        ? '⚠️ הנתונים שוחזרו, אך העותקים המקומיים לא: אין מספיק מקום באחסון הדפדפן'
+        : `⚠️ הנתונים שוחזרו, אך העותקים המקומיים לא: ${error.message}`);
     }
-
-    return items.map(item => `
-      <div style="margin: 0.5rem 0; padding: 0.5rem; background: var(--bg-dark); border-radius: 4px; cursor: pointer;"
-           onclick="writingStudio.copyFromKnowledge('${item.id}')">
-        <strong>${item.title}</strong>
-        <div style="font-size: 0.85rem; color: var(--text-muted);">${item.summary || ''}</div>
-      </div>
-    `).join('');
+    router.navigate('dashboard');
   }
 
-  async copyFromKnowledge(itemId) {
-    const knowledgeData = await this.dm.load('knowledge.json');
-    const item = knowledgeData.items.find(i => i.id === itemId);
+  cancelRestore() {
+    this.pendingRestore = null;
+    router.navigate('dashboard');
+  }
 
-    if (item) {
-      const editor = document.getElementById('writing-editor');
-      const sourceTag = `[מקור: ${item.title}]`;
-      editor.innerHTML += `<p>${sourceTag}</p><p>${item.content}</p>`;
-      this.showToast('✓ המידע הועתק עם תגית מקור');
-    }
+  showToast(message) {
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: var(--accent-green);
+      color: white;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      z-index: 9999;
+    `;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2000);
   }
+}
 
-  addPart() {
-    const partName = prompt('שם החלק:');
-    if (partName) {
-      if (!this.currentProject.parts) this.currentProject.parts = [];
-      this.currentProject.parts.push({
+// ============================================
+// Trash Bin - Deleted Records
+// ============================================
+// Deleting a document, knowledge item, writing project, task or review moves
+// it to data/trash.json, from where it can be restored or purged for good.
+// Each of these is one undo step (see UndoHistory).
+class TrashBin {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.fileName = 'trash.json';
+  }
+
+  // `detach(data, record)` may unlink other records from the deleted one and
+  // return those links; they are stored with the entry for restore()
+  async discard(fileName, collection, id, detach = null) {
+    const data = await this.dm.load(fileName);
+    const record = (data[collection] || []).find(existing => existing.id === id);
+    if (!record) return false;
+
+    return this.dm.history.group(`מחיקת "${record.title || id}"`, async save => {
+      data[collection] = data[collection].filter(existing => existing.id !== id);
+      const links = detach ? detach(data, record) : null;
+      if (!await save(fileName, data)) return false;
+
+      const trash = await this.dm.load(this.fileName);
+      trash.entries.push({
         id: this.dm.generateId(),
-        title: partName,
-        chapters: []
+        file: fileName,
+        collection,
+        title: record.title || id,
+        record,
+        deletedAt: this.dm.formatDateTime(),
+        deletedBy: this.dm.activity.getActor(),
+        ...(links && { links })
       });
-      this.openProject(this.currentProject.id);
+      return save(this.fileName, trash);
+    });
+  }
+
+  async restore(entryId) {
+    const trash = await this.dm.load(this.fileName);
+    const entry = trash.entries.find(existing => existing.id === entryId);
+    if (!entry) return;
+
+    const data = await this.dm.load(entry.file);
+    const list = data[entry.collection] || [];
+    if (list.some(existing => existing.id === entry.record.id)) {
+      this.showToast('⚠️ רשומה עם אותו מזהה כבר קיימת');
+      return;
     }
+
+    const restored = await this.dm.history.group(`שחזור "${entry.title}"`, async save => {
+      data[entry.collection] = [...list, entry.record];
+      if (entry.collection === 'tasks' && entry.links) {
+        TaskGraph.reattach(data.tasks, entry.record, entry.links);
+      }
+      if (!await save(entry.file, data)) return false;
+      trash.entries = trash.entries.filter(existing => existing.id !== entryId);
+      return save(this.fileName, trash);
+    });
+    if (!restored) return;
+    await this.showList();
+    this.dm.history.offerUndo(`♻ "${entry.title}" שוחזר`);
   }
 
-  async saveSection() {
-    const content = document.getElementById('writing-editor').innerHTML;
-    const title = document.getElementById('section-title').value;
+  async purge(entryId) {
+    const trash = await this.dm.load(this.fileName);
+    const entry = trash.entries.find(existing => existing.id === entryId);
+    if (!entry) return;
 
-    // Update word count
-    const words = content.replace(/<[^>]*>/g, '').split(/\s+/).filter(w => w.length > 0);
-    this.currentProject.wordCount = words.length;
+    const purged = await this.dm.history.group(`מחיקה לצמיתות של "${entry.title}"`, save => {
+      trash.entries = trash.entries.filter(existing => existing.id !== entryId);
+      return save(this.fileName, trash);
+    });
+    if (!purged) return;
+    await this.showList();
+    this.dm.history.offerUndo(`"${entry.title}" נמחק לצמיתות`);
+  }
 
-    const data = await this.dm.load('writing_projects.json');
-    const index = data.projects.findIndex(p => p.id === this.currentProject.id);
-    if (index >= 0) {
-      data.projects[index] = this.currentProject;
-      await this.dm.save('writing_projects.json', data);
-    }
+  async empty() {
+    const trash = await this.dm.load(this.fileName);
+    if (trash.entries.length === 0) return;
 
-    this.showToast('✓ המקטע נשמר');
+    const count = trash.entries.length;
+    const emptied = await this.dm.history.group('ריקון סל המחזור', save => {
+      trash.entries = [];
+      return save(this.fileName, trash);
+    });
+    if (!emptied) return;
+    await this.showList();
+    this.dm.history.offerUndo(`סל המחזור רוקן (${count} רשומות)`);
   }
 
-  async exportProject(projectId) {
-    const data = await this.dm.load('writing_projects.json');
-    const project = data.projects.find(p => p.id === projectId);
+  async render() {
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">🗑 סל מחזור</h1>
+          <p class="module-description">רשומות שנמחקו נשמרות כאן עד שמשחזרים אותן או מוחקים אותן לצמיתות</p>
+        </div>
 
-    if (project) {
-      const content = JSON.stringify(project, null, 2);
-      const blob = new Blob([content], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${project.title}.json`;
-      a.click();
-      this.showToast('✓ הפרויקט יוצא');
-    }
+        <div class="btn-group mb-2">
+          <button class="btn btn-secondary" onclick="dataManager.history.undo()" ${this.dm.history.canUndo ? '' : 'disabled'}>↶ ביטול פעולה</button>
+          <button class="btn btn-secondary" onclick="dataManager.history.redo()" ${this.dm.history.canRedo ? '' : 'disabled'}>↷ שחזור פעולה</button>
+          <button class="btn btn-danger" onclick="trashBin.empty()">ריקון הסל</button>
+        </div>
+
+        <div id="trash-list"></div>
+
+        ${this.dm.history.canUndo ? `
+          <div class="card mt-2">
+            <div class="card-title">פעולות אחרונות (Ctrl+Z לביטול)</div>
+            <ul class="review-list">
+              ${[...this.dm.history.done].reverse().slice(0, 10).map(step => `
+                <li>${escapeHtml(step.label)} <span class="text-muted">${step.at}</span></li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+      </div>
+    `;
+
+    await this.showList();
   }
 
-  async deleteProject(projectId) {
-    if (!confirm('האם למחוק פרויקט זה?')) return;
+  async showList() {
+    const container = document.getElementById('trash-list');
+    if (!container) return;
+    const entries = [...(await this.dm.load(this.fileName)).entries]
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
 
-    const data = await this.dm.load('writing_projects.json');
-    data.projects = data.projects.filter(p => p.id !== projectId);
-    await this.dm.save('writing_projects.json', data);
-    await this.showProjectList();
-    this.showToast('✓ הפרויקט נמחק');
+    if (entries.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">🗑</div>
+          <div class="empty-state-title">סל המחזור ריק</div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = entries.map(entry => `
+      <div class="list-item">
+        <div class="list-item-content">
+          <div class="list-item-title">${ActivityLog.display(entry.title)}</div>
+          <div class="list-item-meta">
+            ${ActivityLog.collectionLabels[entry.collection] || entry.collection} |
+            נמחק: ${entry.deletedAt}${entry.deletedBy ? ` | ${ActivityLog.display(entry.deletedBy)}` : ''}
+          </div>
+        </div>
+        <div class="list-item-actions">
+          <button class="btn btn-success" onclick="trashBin.restore('${entry.id}')">♻ שחזור</button>
+          <button class="btn btn-danger" onclick="trashBin.purge('${entry.id}')">מחיקה לצמיתות</button>
+        </div>
+      </div>
+    `).join('');
   }
 
   showToast(message) {
@@ -1459,193 +9097,457 @@ class CreativeStudioModule {
 }
 
 // ============================================
-// Module 5: Management Layer
+// Global Search
 // ============================================
-class ManagementModule {
+// The header search box (Ctrl+K or "/") searches documents, knowledge items,
+// writing sections and tasks. The index is built on first use and rebuilt
+// after any save; results are grouped by module and link to the record.
+class GlobalSearch {
   constructor(app, dataManager) {
     this.app = app;
     this.dm = dataManager;
+    this.index = null;
+    this.revision = -1;
+    this.query = '';
+  }
+
+  get groups() {
+    return [
+      { module: 'docs', title: '📄 ספריית מסמכים' },
+      { module: 'knowledge', title: '📚 סביבת למידה' },
+      { module: 'writing', title: '✍️ סטודיו כתיבה' },
+      { module: 'management', title: '📋 משימות' }
+    ];
+  }
+
+  async buildIndex() {
+    if (this.index && this.revision === this.dm.revision) return this.index;
+    const revision = this.dm.revision;
+    const index = new SearchIndex();
+
+    ((await this.dm.load('documents.json')).documents || []).forEach(doc => index.add({
+      key: `docs:${doc.id}`,
+      module: 'docs',
+      title: doc.title,
+      link: `/docs/${doc.id}/edit`,
+      fields: [
+        { name: 'כותרת', text: doc.title, weight: 3 },
+        { name: 'תוכן', text: SearchIndex.plainText(doc.content) },
+        { name: 'תגיות', text: (doc.tags || []).join(' ') }
+      ]
+    }));
+
+    ((await this.dm.load('knowledge.json')).items || []).forEach(item => index.add({
+      key: `knowledge:${item.id}`,
+      module: 'knowledge',
+      title: item.title,
+      meta: [item.course, item.unitNumber, item.documentType].filter(Boolean).join(' · '),
+      link: `/knowledge/${item.id}`,
+      fields: [
+        { name: 'כותרת', text: item.title, weight: 3 },
+        { name: 'תקציר', text: item.summary, weight: 2 },
+        { name: 'תוכן', text: item.content },
+        { name: 'הערות', text: (item.userNotes || []).map(note => note.text).join(' ') },
+        { name: 'תגיות', text: (item.tags || []).join(' ') }
+      ]
+    }));
+
+    ((await this.dm.load('writing_projects.json')).projects || []).forEach(project => {
+      index.add({
+        key: `writing:${project.id}`,
+        module: 'writing',
+        title: project.title,
+        link: `/writing/${project.id}`,
+        fields: [
+          { name: 'כותרת', text: project.title, weight: 3 },
+          { name: 'תיאור', text: project.description },
+          { name: 'תגיות', text: (project.tags || []).join(' ') }
+        ]
+      });
+      (project.sections || []).forEach(section => index.add({
+        key: `writing:${project.id}:${section.id}`,
+        module: 'writing',
+        title: section.title,
+        meta: project.title,
+        link: `/writing/${project.id}${section.partId ? `/part/${section.partId}` : ''}?section=${section.id}`,
+        fields: [
+          { name: 'כותרת', text: section.title, weight: 3 },
+          { name: 'תוכן', text: SearchIndex.plainText(section.content) }
+        ]
+      }));
+    });
+
+    ((await this.dm.load('tasks.json')).tasks || []).forEach(task => index.add({
+      key: `management:${task.id}`,
+      module: 'management',
+      title: task.title,
+      meta: [task.project, task.category, task.deadline].filter(Boolean).join(' · '),
+      link: `/management/tasks/${task.id}/edit`,
+      fields: [
+        { name: 'כותרת', text: task.title, weight: 3 },
+        { name: 'תיאור', text: task.description },
+        { name: 'פרויקט', text: `${task.project || ''} ${task.category || ''}` },
+        { name: 'תגיות', text: (task.tags || []).join(' ') }
+      ]
+    }));
+
+    this.index = index;
+    this.revision = revision;
+    return index;
   }
 
   async render() {
     this.app.innerHTML = `
       <div class="module-container">
         <div class="module-header">
-          <h1 class="module-title">⚙️ שכבת ניהול</h1>
-          <p class="module-description">ניהול משימות, סקירות ומדדים</p>
-        </div>
-
-        <div class="btn-group mb-2">
-          <button class="btn" onclick="management.createTask()">+ משימה חדשה</button>
-          <button class="btn btn-secondary" onclick="management.createReview()">📋 סקירה חדשה</button>
-          <button class="btn btn-warning" onclick="management.viewMetrics()">📊 מדדים</button>
+          <h1 class="module-title">🔍 חיפוש</h1>
+          <p class="module-description">חיפוש בכל המסמכים, פריטי הידע, מקטעי הכתיבה והמשימות</p>
         </div>
-
-        <div id="management-workspace"></div>
+        <div id="search-results"></div>
       </div>
     `;
+  }
 
-    await this.showTaskList();
+  // Typing in the header box keeps one history entry for the search page
+  onInput(value) {
+    clearTimeout(this.inputTimer);
+    this.inputTimer = setTimeout(() => {
+      const path = value.trim() ? `/search?q=${encodeURIComponent(value.trim())}` : '/search';
+      if (router.currentView === 'search') {
+        router.replace(path);
+        this.showResults(value);
+      } else {
+        router.go(path);
+      }
+    }, 200);
   }
 
-  async showTaskList() {
-    const data = await this.dm.load('tasks.json');
-    const tasks = data.tasks || [];
-    const workspace = document.getElementById('management-workspace');
+  async showResults(query = '') {
+    this.query = query;
+    const input = document.getElementById('global-search');
+    if (input && input.value !== query) input.value = query;
+    const container = document.getElementById('search-results');
+    if (!container) return;
 
-    if (tasks.length === 0) {
-      workspace.innerHTML = `
+    if (!query.trim()) {
+      container.innerHTML = `
         <div class="empty-state">
-          <div class="empty-state-icon">📋</div>
-          <div class="empty-state-title">אין משימות</div>
-          <div class="empty-state-description">צור משימה חדשה להתחלה</div>
+          <div class="empty-state-icon">🔍</div>
+          <div class="empty-state-title">מה לחפש?</div>
+          <div class="empty-state-description">הקלידו בתיבת החיפוש (Ctrl+K). אפשר לחפש עם או בלי ניקוד ואותיות שימוש – "בית" ימצא גם "ובבית"</div>
         </div>
       `;
       return;
     }
 
-    workspace.innerHTML = `
-      <h3 style="color: var(--accent-blue); margin-bottom: 1rem;">רשימת משימות</h3>
-      <div class="item-list">
-        ${tasks.map(task => `
-          <div class="list-item">
-            <div class="list-item-content">
-              <div class="list-item-title">${task.title}</div>
-              <div class="list-item-meta">${task.description || ''}</div>
-            </div>
-            <div class="list-item-actions">
-              <span class="badge badge-${task.status === 'completed' ? 'success' : task.status === 'in-progress' ? 'warning' : 'secondary'}">
-                ${this.getStatusLabel(task.status)}
-              </span>
-              <button class="btn btn-success" onclick="management.completeTask('${task.id}')">✓</button>
-              <button class="btn btn-danger" onclick="management.deleteTask('${task.id}')">🗑</button>
-            </div>
+    const results = (await this.buildIndex()).search(query);
+    if (results.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">🤷</div>
+          <div class="empty-state-title">לא נמצאו תוצאות עבור "${escapeHtml(query)}"</div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="text-muted mb-2">${results.length} תוצאות</p>
+      ${this.groups.map(group => {
+        const found = results.filter(result => result.record.module === group.module);
+        if (found.length === 0) return '';
+        return `
+          <div class="card mb-2">
+            <div class="card-title">${group.title} (${found.length})</div>
+            ${found.map(result => this.renderResult(result)).join('')}
           </div>
-        `).join('')}
-      </div>
+        `;
+      }).join('')}
     `;
   }
 
-  getStatusLabel(status) {
-    const labels = {
-      'pending': 'ממתין',
-      'in-progress': 'בתהליך',
-      'completed': 'הושלם'
-    };
-    return labels[status] || status;
+  renderResult({ record, words }) {
+    const title = SearchIndex.highlight(record.title || '', words, 200) || escapeHtml(record.title || '');
+    const snippets = record.fields
+      .filter(field => field.weight !== 3 && field.text)
+      .map(field => ({ name: field.name, html: SearchIndex.highlight(field.text, words) }))
+      .filter(snippet => snippet.html)
+      .slice(0, 2);
+
+    return `
+      <a class="search-result" href="#${record.link}">
+        <div class="search-result-title">${title}</div>
+        ${record.meta ? `<div class="list-item-meta">${escapeHtml(record.meta)}</div>` : ''}
+        ${snippets.map(snippet => `
+          <div class="search-snippet"><span class="badge badge-secondary">${snippet.name}</span> ${snippet.html}</div>
+        `).join('')}
+      </a>
+    `;
   }
 
-  createTask() {
-    const workspace = document.getElementById('management-workspace');
-    workspace.innerHTML = `
-      <div class="card">
-        <h3 class="card-title">משימה חדשה</h3>
+  bindShortcuts() {
+    document.addEventListener('keydown', event => {
+      const input = document.getElementById('global-search');
+      if (!input) return;
+      const editing = event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]');
+      const shortcut = ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k')
+        || (event.key === '/' && !editing);
+      if (shortcut) {
+        event.preventDefault();
+        input.focus();
+        input.select();
+      } else if (event.key === 'Escape' && event.target === input) {
+        input.blur();
+      }
+    });
+  }
+}
 
-        <div class="form-group">
-          <label class="form-label">כותרת</label>
-          <input type="text" class="form-input" id="task-title" placeholder="שם המשימה">
-        </div>
+// ============================================
+// Tag Manager - Tags Shared Across Modules
+// ============================================
+// Documents, knowledge items, writing projects and tasks carry free-form tag
+// names in a `tags` array; tags.json gives each name a color. Renaming or
+// merging a tag rewrites every record that uses it (the trash included) as
+// one undo step.
+class TagManager {
+  constructor(app, dataManager) {
+    this.app = app;
+    this.dm = dataManager;
+    this.fileName = 'tags.json';
+    this.registry = [];
+  }
 
-        <div class="form-group">
-          <label class="form-label">תיאור</label>
-          <textarea class="form-textarea" id="task-description" placeholder="פרטי המשימה..."></textarea>
-        </div>
+  static get palette() {
+    return ['#102A5C', '#D4AF37', '#2563EB', '#059669', '#DC2626', '#7C3AED', '#EA580C', '#0891B2', '#DB2777', '#4B5563'];
+  }
 
-        <div class="form-group">
-          <label class="form-label">סטטוס</label>
-          <select class="form-select" id="task-status">
-            <option value="pending">ממתין</option>
-            <option value="in-progress">בתהליך</option>
-            <option value="completed">הושלם</option>
-          </select>
-        </div>
+  get taggedFiles() {
+    return [
+      { file: 'documents.json', collection: 'documents', title: '📄 מסמכים', link: record => `/docs/${record.id}/edit` },
+      { file: 'knowledge.json', collection: 'items', title: '📚 פריטי ידע', link: record => `/knowledge/${record.id}` },
+      { file: 'writing_projects.json', collection: 'projects', title: '✍️ פרויקטי כתיבה', link: record => `/writing/${record.id}` },
+      { file: 'tasks.json', collection: 'tasks', title: '📋 משימות', link: record => `/management/tasks/${record.id}/edit` }
+    ];
+  }
 
-        <div class="btn-group">
-          <button class="btn btn-success" onclick="management.saveTask()">💾 שמירה</button>
-          <button class="btn btn-secondary" onclick="management.showTaskList()">← ביטול</button>
-        </div>
-      </div>
-    `;
+  static parse(value) {
+    return [...new Set(String(value || '').split(',').map(name => name.trim().replace(/^#/, '')).filter(Boolean))];
   }
 
-  async saveTask() {
-    const title = document.getElementById('task-title').value;
-    const description = document.getElementById('task-description').value;
-    const status = document.getElementById('task-status').value;
+  async load() {
+    this.registry = (await this.dm.load(this.fileName)).tags;
+    return this.registry;
+  }
 
-    if (!title) {
-      alert('יש למלא כותרת');
-      return;
-    }
+  colorOf(name) {
+    const tag = this.registry.find(existing => existing.name === name);
+    return tag ? tag.color : TagManager.palette[TagManager.palette.length - 1];
+  }
 
-    const task = {
+  // Gives new names a color from the palette
+  async register(names) {
+    const data = await this.dm.load(this.fileName);
+    const missing = names.filter(name => !data.tags.some(tag => tag.name === name));
+    if (missing.length === 0) return;
+    missing.forEach(name => data.tags.push({
       id: this.dm.generateId(),
-      title,
-      description,
-      status,
+      name,
+      color: TagManager.palette[data.tags.length % TagManager.palette.length],
       createdAt: this.dm.formatDateTime()
-    };
+    }));
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.registry = data.tags;
+  }
 
-    const data = await this.dm.load('tasks.json');
-    data.tasks.push(task);
-    data.metrics.totalTasks = data.tasks.length;
-    data.metrics.completedTasks = data.tasks.filter(t => t.status === 'completed').length;
+  // Reads the tag field of a form into the record (and registers new names)
+  async apply(record, inputId) {
+    const names = TagManager.parse(document.getElementById(inputId).value);
+    if (names.length > 0) record.tags = names;
+    else delete record.tags;
+    await this.register(names);
+  }
 
-    await this.dm.save('tasks.json', data);
+  // A tag name as a string literal for an inline handler
+  handlerArg(name) {
+    return `decodeURIComponent('${encodeURIComponent(name).replace(/'/g, '%27')}')`;
+  }
 
-    this.showToast('✓ המשימה נוצרה');
-    await this.showTaskList();
+  chips(names = []) {
+    return names.map(name => `
+      <a class="tag-chip" href="#/tags/${encodeURIComponent(name)}" style="--tag-color: ${this.colorOf(name)};">#${escapeHtml(name)}</a>
+    `).join('');
   }
 
-  async completeTask(taskId) {
-    const data = await this.dm.load('tasks.json');
-    const task = data.tasks.find(t => t.id === taskId);
+  input(inputId, names = []) {
+    return `
+      <div class="form-group">
+        <label class="form-label">תגיות (מופרדות בפסיקים)</label>
+        <input type="text" class="form-input" id="${inputId}" list="${inputId}-options" value="${escapeHtml(names.join(', '))}" placeholder="למשל: מחקר, דחוף">
+        <datalist id="${inputId}-options">
+          ${this.registry.map(tag => `<option value="${escapeHtml(tag.name)}">`).join('')}
+        </datalist>
+      </div>
+    `;
+  }
 
-    if (task) {
-      task.status = 'completed';
-      task.completedAt = this.dm.formatDateTime();
-      data.metrics.completedTasks = data.tasks.filter(t => t.status === 'completed').length;
-      await this.dm.save('tasks.json', data);
-      await this.showTaskList();
-      this.showToast('✓ המשימה הושלמה');
+  // { name: { total, <collection>: [records] } } over every tagged file
+  async usage() {
+    const usage = {};
+    for (const source of this.taggedFiles) {
+      ((await this.dm.load(source.file))[source.collection] || []).forEach(record => {
+        (record.tags || []).forEach(name => {
+          if (!usage[name]) usage[name] = { total: 0 };
+          if (!usage[name][source.collection]) usage[name][source.collection] = [];
+          usage[name][source.collection].push(record);
+          usage[name].total += 1;
+        });
+      });
     }
+    return usage;
   }
 
-  async deleteTask(taskId) {
-    if (!confirm('האם למחוק משימה זו?')) return;
+  async render() {
+    await this.load();
+    this.app.innerHTML = `
+      <div class="module-container">
+        <div class="module-header">
+          <h1 class="module-title">🏷 תגיות</h1>
+          <p class="module-description">תגיות משותפות למסמכים, פריטי ידע, פרויקטי כתיבה ומשימות</p>
+        </div>
+        <div id="tags-workspace"></div>
+      </div>
+    `;
+    await this.showTagList();
+  }
 
-    const data = await this.dm.load('tasks.json');
-    data.tasks = data.tasks.filter(t => t.id !== taskId);
-    data.metrics.totalTasks = data.tasks.length;
-    await this.dm.save('tasks.json', data);
-    await this.showTaskList();
-    this.showToast('✓ המשימה נמחקה');
+  async showTagList() {
+    const usage = await this.usage();
+    const names = [...new Set([...this.registry.map(tag => tag.name), ...Object.keys(usage)])]
+      .sort((a, b) => a.localeCompare(b));
+    const workspace = document.getElementById('tags-workspace');
+
+    if (names.length === 0) {
+      workspace.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">🏷</div>
+          <div class="empty-state-title">אין תגיות עדיין</div>
+          <div class="empty-state-description">מוסיפים תגיות בטופס של כל מסמך, פריט ידע, פרויקט או משימה</div>
+        </div>
+      `;
+      return;
+    }
+
+    workspace.innerHTML = `
+      <div class="item-list">
+        ${names.map(name => `
+          <div class="list-item">
+            <div class="list-item-content">
+              <div class="list-item-title">${this.chips([name])}</div>
+              <div class="list-item-meta">
+                ${this.taggedFiles.map(source => `${source.title}: ${(usage[name] || {})[source.collection]?.length || 0}`).join(' | ')}
+              </div>
+            </div>
+            <div class="list-item-actions">
+              <input type="color" value="${this.colorOf(name)}" title="צבע" onchange="tagManager.setColor(${this.handlerArg(name)}, this.value)">
+              <button class="btn btn-secondary" onclick="tagManager.renameTag(${this.handlerArg(name)})">✎ שינוי שם</button>
+              <select class="form-select tag-merge-select" onchange="tagManager.mergeTag(${this.handlerArg(name)}, this.value)">
+                <option value="">מיזוג אל...</option>
+                ${names.filter(other => other !== name).map(other => `<option value="${escapeHtml(other)}">${escapeHtml(other)}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  async showTag(name) {
+    const usage = (await this.usage())[name];
+    if (!usage && !this.registry.some(tag => tag.name === name)) return false;
+
+    document.getElementById('tags-workspace').innerHTML = `
+      <h2 class="mb-2">${this.chips([name])}</h2>
+      ${!usage ? '<p class="text-muted">אין רשומות עם תגית זו</p>' : this.taggedFiles.map(source => {
+        const records = usage[source.collection] || [];
+        if (records.length === 0) return '';
+        return `
+          <div class="card mb-2">
+            <div class="card-title">${source.title} (${records.length})</div>
+            <div class="item-list">
+              ${records.map(record => `
+                <div class="list-item">
+                  <div class="list-item-content">
+                    <a class="list-item-title" href="#${source.link(record)}">${escapeHtml(record.title || '')}</a>
+                    <div class="list-item-meta">${this.chips(record.tags)}</div>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        `;
+      }).join('')}
+      <button class="btn btn-secondary" onclick="router.go('/tags')">← כל התגיות</button>
+    `;
   }
 
-  createReview() {
-    this.showToast('📋 תכונת סקירות תהיה זמינה בקרוב');
+  async setColor(name, color) {
+    const data = await this.dm.load(this.fileName);
+    const tag = data.tags.find(existing => existing.name === name);
+    if (tag) tag.color = color;
+    else data.tags.push({ id: this.dm.generateId(), name, color, createdAt: this.dm.formatDateTime() });
+    if (!await this.dm.save(this.fileName, data)) return;
+    this.registry = data.tags;
+    await router.resolve();
   }
 
-  viewMetrics() {
-    this.showToast('📊 תכונת מדדים תהיה זמינה בקרוב');
+  async renameTag(name) {
+    const newName = TagManager.parse(prompt('שם חדש לתגית:', name))[0];
+    if (!newName || newName === name) return;
+    if (this.registry.some(tag => tag.name === newName) && !confirm(`התגית "${newName}" כבר קיימת. למזג את "${name}" לתוכה?`)) return;
+    await this.replaceTag(name, newName, `שינוי שם התגית "${name}" ל-"${newName}"`);
   }
 
-  showToast(message) {
-    const toast = document.createElement('div');
-    toast.style.cssText = `
-      position: fixed;
-      top: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: var(--accent-green);
-      color: white;
-      padding: 1rem 2rem;
-      border-radius: 8px;
-      z-index: 9999;
-    `;
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 2000);
+  async mergeTag(name, target) {
+    if (!target || target === name) return;
+    await this.replaceTag(name, target, `מיזוג התגית "${name}" אל "${target}"`);
+  }
+
+  // Renames `from` to `to` in every record; when `to` already exists the two merge
+  async replaceTag(from, to, label) {
+    const retag = record => {
+      if (!record.tags || !record.tags.includes(from)) return false;
+      record.tags = [...new Set(record.tags.map(name => (name === from ? to : name)))];
+      return true;
+    };
+
+    let count = 0;
+    const replaced = await this.dm.history.group(label, async save => {
+      for (const source of this.taggedFiles) {
+        const data = await this.dm.load(source.file);
+        const changed = (data[source.collection] || []).filter(retag).length;
+        if (changed > 0 && !await save(source.file, data)) return false;
+        count += changed;
+      }
+
+      const trash = await this.dm.load('trash.json');
+      if (trash.entries.filter(entry => retag(entry.record)).length > 0 && !await save('trash.json', trash)) return false;
+
+      const data = await this.dm.load(this.fileName);
+      const source = data.tags.find(tag => tag.name === from);
+      if (data.tags.some(tag => tag.name === to)) {
+        data.tags = data.tags.filter(tag => tag !== source);
+      } else if (source) {
+        source.name = to;
+      }
+      if (!await save(this.fileName, data)) return false;
+      this.registry = data.tags;
+      return true;
+    });
+    if (!replaced) return;
+
+    router.go(`/tags/${encodeURIComponent(to)}`);
+    this.dm.history.offerUndo(`🏷 ${count} רשומות עודכנו`);
   }
 }
 
@@ -1662,6 +9564,11 @@ const docLibrary = new DocumentLibraryModule(app, dataManager);
 const knowledgeEnv = new LearningEnvironmentModule(app, dataManager);
 const writingStudio = new CreativeStudioModule(app, dataManager);
 const management = new ManagementModule(app, dataManager);
+const backupManager = new BackupManager(app, dataManager);
+const gitSync = new GitSync(dataManager);
+const trashBin = new TrashBin(app, dataManager);
+const globalSearch = new GlobalSearch(app, dataManager);
+const tagManager = new TagManager(app, dataManager);
 
 // Register modules
 router.registerModule('dashboard', dashboard);
@@ -1669,11 +9576,63 @@ router.registerModule('docs', docLibrary);
 router.registerModule('knowledge', knowledgeEnv);
 router.registerModule('writing', writingStudio);
 router.registerModule('management', management);
+router.registerModule('trash', trashBin);
+router.registerModule('search', globalSearch);
+router.registerModule('tags', tagManager);
+
+// Routes
+router.addRoute('/dashboard', 'dashboard');
+router.addRoute('/trash', 'trash');
+router.addRoute('/tags', 'tags');
+router.addRoute('/tags/:name', 'tags', (module, { name }) => module.showTag(name));
+router.addRoute('/search', 'search', (module, params, query) => module.showResults(query.q || ''));
+router.addRoute('/docs', 'docs');
+router.addRoute('/docs/new', 'docs', module => module.createNewDoc());
+router.addRoute('/docs/styles', 'docs', module => module.styleSets.show());
+router.addRoute('/docs/styles/:id', 'docs', (module, { id }) => module.styleSets.show(id));
+router.addRoute('/docs/:id/edit', 'docs', (module, { id }) => module.editDoc(id));
+router.addRoute('/knowledge', 'knowledge', (module, params, query) => {
+  const filters = module.filtersFromQuery(query);
+  if (Object.keys(filters).length > 0) return module.showKnowledgeList(filters);
+});
+router.addRoute('/knowledge/new', 'knowledge', module => module.uploadItem());
+router.addRoute('/knowledge/:id', 'knowledge', (module, { id }) => module.viewItem(id));
+router.addRoute('/knowledge/:id/edit', 'knowledge', (module, { id }) => module.editItem(id));
+router.addRoute('/writing', 'writing');
+router.addRoute('/writing/new', 'writing', module => module.createProject());
+router.addRoute('/writing/:projectId', 'writing',
+  (module, { projectId }, query) => module.openProject(projectId, null, query.section));
+router.addRoute('/writing/:projectId/part/:partId', 'writing',
+  (module, { projectId, partId }, query) => module.openProject(projectId, partId, query.section));
+router.addRoute('/management', 'management');
+router.addRoute('/management/tasks/new', 'management', (module, params, query) => module.createTask(query.parent));
+router.addRoute('/management/tasks/:id/edit', 'management', (module, { id }) => module.editTask(id));
+router.addRoute('/management/metrics', 'management', module => module.showMetrics());
+router.addRoute('/management/activity', 'management', (module, params, query) => module.showActivity(query));
+router.addRoute('/management/roadmap', 'management', module => module.showRoadmap());
+router.addRoute('/management/calendar', 'management', (module, params, query) => {
+  const date = WorkspaceStats.isDay(query.date) ? query.date : undefined;
+  return module.showCalendar(query.view === 'week' ? 'week' : 'month', date);
+});
+router.addRoute('/management/board', 'management', (module, params, query) => module.showBoard(query.lane === 'category' ? 'category' : 'project'));
+router.addRoute('/management/reviews', 'management', module => module.showReviewList());
+router.addRoute('/management/reviews/new', 'management', (module, params, query) => module.createReview(query.type));
+router.addRoute('/management/reviews/compare', 'management', (module, params, { a, b }) => module.compareReviews(a, b));
+router.addRoute('/management/reviews/:id', 'management', (module, { id }) => module.viewReview(id));
+router.addRoute('/management/reviews/:id/edit', 'management', (module, { id }) => module.editReview(id));
 
 // Initialize theme manager
 themeManager.init();
+dataManager.history.bindShortcuts();
+globalSearch.bindShortcuts();
+
+// Show where data is being saved
+dataManager.ready.then(remote => {
+  const indicator = document.getElementById('storage-mode');
+  if (indicator) indicator.textContent = remote ? '🖧 שרת מלווה – data/' : '💾 שמירה מקומית בדפדפן';
+});
 
-// Load default view
-router.navigate('dashboard');
+// Load the view in the address bar (dashboard by default)
+router.start();
 
 console.log('✓ BTK Management System loaded successfully');
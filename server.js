@@ -0,0 +1,431 @@
+// ================================================
+// Beyond the Keys - BTK Management System
+// Local Companion Server
+// ================================================
+// Serves the static app and a REST API over data/*.json so every change
+// made in the browser is written back to the repo's data files.
+//
+//   node server.js [--port 8000]
+//
+// API:
+//   GET    /api/health
+//   GET    /api/calendar.ics            task deadlines as an iCalendar feed (subscribable)
+//   GET    /api/activity                activity log entries, oldest first
+//   POST   /api/activity                { entries } appended to data/activity_log.jsonl
+//   GET    /api/data/:file              whole data file
+//   PUT    /api/data/:file              replace a data file
+//   PATCH  /api/data/:file              { fields, upsert, remove } applied under a file lock
+//   GET    /api/:collection             documents | knowledge | writing | tasks | reviews
+//   POST   /api/:collection
+//   GET    /api/:collection/:id
+//   PUT    /api/:collection/:id
+//   PATCH  /api/:collection/:id
+//   DELETE /api/:collection/:id
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ICalendar = require('./ical');
+
+const ROOT = __dirname;
+const DATA_DIR = path.join(ROOT, 'data');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const DATA_FILE_PATTERN = /^[a-z_]+\.json$/;
+const ACTIVITY_LOG_FILE = 'activity_log.jsonl';
+
+const COLLECTIONS = {
+  documents: { file: 'documents.json', key: 'documents' },
+  knowledge: { file: 'knowledge.json', key: 'items' },
+  writing: { file: 'writing_projects.json', key: 'projects' },
+  tasks: { file: 'tasks.json', key: 'tasks' },
+  reviews: { file: 'tasks.json', key: 'reviews' }
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.ico': 'image/x-icon',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ============================================
+// Data Store - Atomic JSON Files
+// ============================================
+class DataStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.locks = {};
+  }
+
+  resolve(fileName) {
+    if (!DATA_FILE_PATTERN.test(fileName)) {
+      throw new HttpError(400, `Invalid data file name: ${fileName}`);
+    }
+    return path.join(this.dir, fileName);
+  }
+
+  listFiles() {
+    return fs.readdirSync(this.dir).filter(name => DATA_FILE_PATTERN.test(name)).sort();
+  }
+
+  async read(fileName) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resolve(fileName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new HttpError(404, `${fileName} not found`);
+      if (error instanceof SyntaxError) throw new HttpError(500, `${fileName} is not valid JSON: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Write to a temp file in the same directory, then rename over the original
+  async write(fileName, data) {
+    const target = this.resolve(fileName);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    await fs.promises.rename(temp, target);
+    return data;
+  }
+
+  // Serializes read-modify-write cycles per file
+  update(fileName, change) {
+    const previous = this.locks[fileName] || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const current = await this.read(fileName).catch(error => {
+        if (error.status === 404) return {};
+        throw error;
+      });
+      const result = await change(current);
+      await this.write(fileName, current);
+      return result === undefined ? current : result;
+    });
+    this.locks[fileName] = next;
+    return next;
+  }
+
+  // JSON Lines files are only ever appended to, never rewritten
+  async readLines(fileName) {
+    try {
+      const text = await fs.promises.readFile(path.join(this.dir, fileName), 'utf8');
+      return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      if (error instanceof SyntaxError) throw new HttpError(500, `${fileName} is not valid JSON Lines: ${error.message}`);
+      throw error;
+    }
+  }
+
+  appendLines(fileName, records) {
+    const previous = this.locks[fileName] || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => fs.promises.appendFile(
+      path.join(this.dir, fileName),
+      records.map(record => `${JSON.stringify(record)}\n`).join(''),
+      'utf8'
+    ));
+    this.locks[fileName] = next;
+    return next;
+  }
+}
+
+const store = new DataStore(DATA_DIR);
+
+function generateId() {
+  return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function assertObject(value, what) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, `${what} must be a JSON object`);
+  }
+}
+
+// Same shape DataManager sends: { fields: {key: value}, upsert: {key: [records]}, remove: {key: [ids]} }
+function validatePatch(patch) {
+  assertObject(patch, 'Patch');
+  ['fields', 'upsert', 'remove'].forEach(part => {
+    if (patch[part] !== undefined) assertObject(patch[part], `Patch ${part}`);
+  });
+  Object.entries(patch.upsert || {}).forEach(([key, records]) => {
+    if (!Array.isArray(records)) throw new HttpError(400, `Patch upsert.${key} must be an array of records`);
+    records.forEach(record => assertObject(record, 'Record'));
+  });
+  Object.entries(patch.remove || {}).forEach(([key, ids]) => {
+    if (!Array.isArray(ids)) throw new HttpError(400, `Patch remove.${key} must be an array of ids`);
+  });
+}
+
+// Expects a patch that passed validatePatch
+function applyPatch(data, patch) {
+  Object.entries(patch.fields || {}).forEach(([key, value]) => {
+    data[key] = value;
+  });
+
+  Object.entries(patch.upsert || {}).forEach(([key, records]) => {
+    if (!Array.isArray(data[key])) data[key] = [];
+    records.forEach(record => {
+      const index = data[key].findIndex(existing => existing.id === record.id);
+      if (index >= 0) data[key][index] = record;
+      else data[key].push(record);
+    });
+  });
+
+  Object.entries(patch.remove || {}).forEach(([key, ids]) => {
+    if (!Array.isArray(data[key])) return;
+    const removed = new Set(ids);
+    data[key] = data[key].filter(record => !removed.has(record.id));
+  });
+
+  return data;
+}
+
+// ============================================
+// Request Handling
+// ============================================
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(null);
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// A malformed %-escape is the client's mistake, not a server error
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, `Malformed URL: ${value}`);
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+async function handleData(req, res, fileName) {
+  if (req.method === 'GET') {
+    return sendJson(res, 200, await store.read(fileName));
+  }
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    assertObject(body, 'Data file');
+    return sendJson(res, 200, await store.update(fileName, current => {
+      Object.keys(current).forEach(key => delete current[key]);
+      Object.assign(current, body);
+    }));
+  }
+  if (req.method === 'PATCH') {
+    const patch = await readBody(req);
+    validatePatch(patch);
+    return sendJson(res, 200, await store.update(fileName, current => {
+      applyPatch(current, patch);
+    }));
+  }
+  throw new HttpError(405, `${req.method} not allowed`);
+}
+
+async function handleCollection(req, res, collection, id) {
+  const { file, key } = COLLECTIONS[collection];
+
+  if (!id) {
+    if (req.method === 'GET') {
+      const data = await store.read(file);
+      return sendJson(res, 200, data[key] || []);
+    }
+    if (req.method === 'POST') {
+      const record = await readBody(req);
+      assertObject(record, 'Record');
+      const created = { ...record, id: record.id || generateId() };
+      await store.update(file, data => {
+        if (!Array.isArray(data[key])) data[key] = [];
+        if (data[key].some(existing => existing.id === created.id)) {
+          throw new HttpError(409, `${collection}/${created.id} already exists`);
+        }
+        data[key].push(created);
+      });
+      return sendJson(res, 201, created);
+    }
+    throw new HttpError(405, `${req.method} not allowed`);
+  }
+
+  if (req.method === 'GET') {
+    const record = ((await store.read(file))[key] || []).find(existing => existing.id === id);
+    if (!record) throw new HttpError(404, `${collection}/${id} not found`);
+    return sendJson(res, 200, record);
+  }
+
+  if (req.method === 'PUT' || req.method === 'PATCH') {
+    const body = await readBody(req);
+    assertObject(body, 'Record');
+    const updated = await store.update(file, data => {
+      const records = data[key] || [];
+      const index = records.findIndex(existing => existing.id === id);
+      if (index < 0) throw new HttpError(404, `${collection}/${id} not found`);
+      records[index] = req.method === 'PUT' ? { ...body, id } : { ...records[index], ...body, id };
+      return records[index];
+    });
+    return sendJson(res, 200, updated);
+  }
+
+  if (req.method === 'DELETE') {
+    await store.update(file, data => {
+      const records = data[key] || [];
+      if (!records.some(existing => existing.id === id)) {
+        throw new HttpError(404, `${collection}/${id} not found`);
+      }
+      data[key] = records.filter(existing => existing.id !== id);
+    });
+    res.writeHead(204);
+    return res.end();
+  }
+
+  throw new HttpError(405, `${req.method} not allowed`);
+}
+
+async function handleActivity(req, res) {
+  if (req.method === 'GET') {
+    return sendJson(res, 200, await store.readLines(ACTIVITY_LOG_FILE));
+  }
+  if (req.method === 'POST') {
+    const body = await readBody(req);
+    assertObject(body, 'Activity');
+    if (!Array.isArray(body.entries) || body.entries.some(entry => !entry || typeof entry !== 'object' || Array.isArray(entry))) {
+      throw new HttpError(400, 'Activity entries must be an array of objects');
+    }
+    await store.appendLines(ACTIVITY_LOG_FILE, body.entries);
+    return sendJson(res, 201, { appended: body.entries.length });
+  }
+  throw new HttpError(405, `${req.method} not allowed`);
+}
+
+async function handleStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new HttpError(405, `${req.method} not allowed`);
+  }
+
+  const relative = pathname === '/' ? 'index.html' : decodePath(pathname).replace(/^\/+/, '');
+  const filePath = path.resolve(ROOT, relative);
+  if (!filePath.startsWith(ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.'))) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new HttpError(404, 'Not found');
+  }
+  if (!stat.isFile()) throw new HttpError(404, 'Not found');
+
+  const headers = {
+    'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stat.size,
+    'Cache-Control': 'no-cache'
+  };
+  if (req.method === 'HEAD') {
+    res.writeHead(200, headers);
+    return res.end();
+  }
+
+  // Open first, so a file that cannot be read still gets an error response
+  const stream = fs.createReadStream(filePath);
+  await new Promise((resolve, reject) => {
+    stream.once('open', resolve);
+    stream.once('error', reject);
+  });
+  // Once the headers are out, a failed read can only cut the response short
+  stream.on('error', error => {
+    console.error(`[BTK] Reading ${relative} failed`, error);
+    res.destroy(error);
+  });
+  res.writeHead(200, headers);
+  stream.pipe(res);
+}
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const parts = pathname.split('/').filter(Boolean).map(decodePath);
+
+  if (parts[0] !== 'api') {
+    return handleStatic(req, res, pathname);
+  }
+
+  if (parts[1] === 'health' && parts.length === 2) {
+    return sendJson(res, 200, { ok: true, app: 'btk', files: store.listFiles() });
+  }
+  if (parts[1] === 'calendar.ics' && parts.length === 2) {
+    if (req.method !== 'GET') throw new HttpError(405, `${req.method} not allowed`);
+    const { tasks = [] } = await store.read('tasks.json');
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.ics'], 'Cache-Control': 'no-store' });
+    return res.end(ICalendar.build(ICalendar.taskEvents(tasks), ICalendar.deadlinesName));
+  }
+  if (parts[1] === 'activity' && parts.length === 2) {
+    return handleActivity(req, res);
+  }
+  if (parts[1] === 'data' && parts.length === 3) {
+    return handleData(req, res, parts[2]);
+  }
+  if (COLLECTIONS[parts[1]] && parts.length <= 3) {
+    return handleCollection(req, res, parts[1], parts[2]);
+  }
+  throw new HttpError(404, `Unknown endpoint: ${pathname}`);
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      const status = error.status || 500;
+      if (status === 500) console.error(`[BTK] ${req.method} ${req.url}`, error);
+      if (!res.headersSent) sendJson(res, status, { error: error.message });
+      else res.end();
+    });
+  });
+}
+
+const portFlag = process.argv.indexOf('--port');
+const port = Number(portFlag >= 0 ? process.argv[portFlag + 1] : process.env.PORT) || 8000;
+
+createServer().listen(port, '0.0.0.0', () => {
+  console.log(`✓ BTK companion server: http://localhost:${port}`);
+  Object.values(os.networkInterfaces()).flat()
+    .filter(address => address && address.family === 'IPv4' && !address.internal)
+    .forEach(address => console.log(`  LAN: http://${address.address}:${port}`));
+});
@@ -0,0 +1,41 @@
+// Markdown round trips (HTML → Markdown → HTML) of MarkdownConverter.
+// Runs the app in jsdom: npm install --no-save jsdom && node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8').replace(/<script src="[^"]+"><\/script>/g, '');
+const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+dom.window.fetch = async () => ({ ok: false, status: 404, json: async () => ({}), text: async () => '' });
+dom.window.console = { ...console, log() {} };
+dom.window.eval(fs.readFileSync(path.join(root, 'ical.js'), 'utf8'));
+dom.window.eval(`${fs.readFileSync(path.join(root, 'script.js'), 'utf8')}\n;window.MarkdownConverter = MarkdownConverter;`);
+const { MarkdownConverter } = dom.window;
+
+// The paragraph `content` comes back as after export and import
+const roundTrip = content => {
+  const body = dom.window.document.createElement('div');
+  body.innerHTML = MarkdownConverter.toHtml(MarkdownConverter.toMarkdown(content, 'כותרת')).html;
+  return body.firstElementChild;
+};
+
+test('a link whose URL has parentheses keeps the whole URL', () => {
+  const paragraph = roundTrip('<p>ראו <a href="https://e.com/a_(b)">ערך</a> כאן</p>');
+  const link = paragraph.querySelector('a');
+  assert.strictEqual(link.getAttribute('href'), 'https://e.com/a_(b)');
+  assert.strictEqual(link.textContent, 'ערך');
+  assert.strictEqual(paragraph.textContent, 'ראו ערך כאן');
+});
+
+test('escaped backticks stay literal text', () => {
+  const paragraph = roundTrip('<p>`tick` and ``two``</p>');
+  assert.strictEqual(paragraph.querySelector('code'), null);
+  assert.strictEqual(paragraph.textContent, '`tick` and ``two``');
+});
+
+test('code spans still turn into code', () => {
+  assert.strictEqual(MarkdownConverter.inlineHtml('a `b\\` c'), 'a <code>b\\</code> c');
+});